@@ -0,0 +1,284 @@
+// ==================== Alert Rules ====================
+// User-defined threshold alerts over the project data. A rule compares one
+// per-project metric with a value, e.g. "CPI < 0.9" or "CO cost > 10% of
+// budget in the last 90 days"; every project that meets it raises an alert.
+//
+//   AlertRules.rules()                     -> saved rules (or the defaults)
+//   AlertRules.evaluate(data, rules, asOf) -> [{ key, rule, severity, project, value, status, until }]
+//   AlertRules.check(data)                 -> evaluate(data) with the saved rules, and forget
+//                                             acknowledge/snooze state of alerts that stopped firing
+//   AlertRules.acknowledge(keys) / snooze(keys, days) / reopen(keys)
+//   AlertRules.counts(alerts)              -> { new, snoozed, acknowledged, severity }
+//   AlertRules.describe(rule)              -> "Schedule slip > 30 days"
+//
+// Rule: { id, name, metric, op, value, window, scope, severity, enabled }.
+// `window` (days, up to the status date) only applies to the change-order
+// metrics; `scope` is "active" (in progress only) or "all". Percentages are
+// entered and shown as percent (10 = 10%).
+//
+// The filter bar (js/filters.js) runs check() on the unfiltered data every
+// time a dashboard loads and links to dashboards/alerts.html, where rules
+// are edited and alerts acknowledged or snoozed. Rules and alert states are
+// kept in localStorage.
+// ==================================================================
+
+window.AlertRules = (() => {
+  const STORAGE_KEY = "ccd:alerts:rules:v1";
+  const STATE_KEY = "ccd:alerts:state:v1";
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  // most severe first
+  const SEVERITIES = {
+    critical: { label: "Critical", rank: 0 },
+    warning: { label: "Warning", rank: 1 },
+    info: { label: "Info", rank: 2 },
+  };
+  const OPS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+  };
+  const SCOPES = { active: "In-progress projects", all: "All projects" };
+  const STATUSES = { new: "New", snoozed: "Snoozed", acknowledged: "Acknowledged" };
+
+  // ---------- Metrics ----------
+  // value(entry, asOf, windowDays) for one ProjectData byProject entry;
+  // NaN (no data) never raises an alert
+  const slipDays = (p, asOf) => {
+    if (!p.planned_end) return NaN;
+    if (p.actual_end) return ProjectData.daysBetween(p.planned_end, p.actual_end);
+    return Math.max(0, ProjectData.daysBetween(p.planned_end, asOf));
+  };
+  const inWindow = (rows, asOf, windowDays) => {
+    if (!(windowDays > 0)) return rows;
+    const from = new Date(asOf.getTime() - windowDays * DAY_MS);
+    return rows.filter((r) => r.date && r.date > from && r.date <= asOf);
+  };
+  const percentOf = (a, b) => (b > 0 && isFinite(a) ? (a / b) * 100 : NaN);
+
+  const METRICS = {
+    cpi: {
+      label: "CPI", unit: "ratio",
+      value: (e, asOf) => EVM.projectEvm(e, asOf).cpi,
+    },
+    spi: {
+      label: "SPI", unit: "ratio",
+      value: (e, asOf) => EVM.projectEvm(e, asOf).spi,
+    },
+    slipDays: {
+      label: "Schedule slip", unit: "days",
+      value: (e, asOf) => slipDays(e.project, asOf),
+    },
+    costVariancePct: {
+      label: "Cost variance", unit: "%",
+      value: (e) => percentOf(e.project.actual_cost - e.project.planned_budget, e.project.planned_budget),
+    },
+    coCostPct: {
+      label: "CO cost", unit: "% of budget", windowed: true,
+      value: (e, asOf, w) => percentOf(d3.sum(inWindow(e.changeOrders, asOf, w), (r) => r.co_cost), e.project.planned_budget),
+    },
+    coCount: {
+      label: "Change orders", unit: "count", windowed: true,
+      value: (e, asOf, w) => inWindow(e.changeOrders, asOf, w).length,
+    },
+    supplierDelayP90: {
+      label: "Supplier delay P90", unit: "days",
+      value: (e) => {
+        const delays = e.materials.map((r) => r.delivery_delay_days).filter(isFinite).sort(d3.ascending);
+        return delays.length ? d3.quantileSorted(delays, 0.9) : NaN;
+      },
+    },
+    weatherDelayDays: {
+      label: "Weather delay", unit: "days",
+      value: (e) => (e.phases.length ? d3.sum(e.phases, (ph) => ph.weather_delay_days) : NaN),
+    },
+  };
+
+  function format(metric, v) {
+    if (!isFinite(v)) return "N/A";
+    const unit = METRICS[metric]?.unit;
+    if (unit === "ratio") return v.toFixed(2);
+    if (unit === "count") return Math.round(v).toLocaleString();
+    if (unit === "days") return `${Math.round(v).toLocaleString()} days`;
+    if (unit === "%") return `${v.toFixed(1)}%`;
+    if (unit === "% of budget") return `${v.toFixed(1)}% of budget`;
+    return String(v);
+  }
+
+  function describe(rule) {
+    const m = METRICS[rule.metric];
+    if (!m) return rule.name || rule.metric;
+    const within = m.windowed && rule.window > 0 ? ` in the last ${rule.window} days` : "";
+    return `${m.label} ${rule.op} ${format(rule.metric, +rule.value)}${within}`;
+  }
+
+  // ---------- Rules ----------
+  // one per example in the original request; all enabled
+  const DEFAULT_RULES = [
+    { id: "cpi-low", name: "Cost efficiency below plan", metric: "cpi", op: "<", value: 0.9, window: 0, scope: "active", severity: "critical", enabled: true },
+    { id: "slip-30", name: "Schedule slip over a month", metric: "slipDays", op: ">", value: 30, window: 0, scope: "active", severity: "warning", enabled: true },
+    { id: "co-cost-90d", name: "Change orders eating the budget", metric: "coCostPct", op: ">", value: 10, window: 90, scope: "all", severity: "warning", enabled: true },
+    { id: "supplier-p90", name: "Late deliveries", metric: "supplierDelayP90", op: ">", value: 5, window: 0, scope: "active", severity: "info", enabled: true },
+  ];
+
+  const clone = (x) => JSON.parse(JSON.stringify(x));
+
+  function readJSON(key) {
+    try {
+      return JSON.parse(window.localStorage.getItem(key) || "null");
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function readStored() {
+    const rules = readJSON(STORAGE_KEY);
+    return rules && !validate(rules).length ? rules : null;
+  }
+
+  // Returns a list of problems (empty = usable)
+  function validate(rules) {
+    if (!Array.isArray(rules)) return ["Not a list of alert rules."];
+    const problems = [];
+    const ids = new Set();
+    rules.forEach((r, i) => {
+      const name = r.name || `Rule ${i + 1}`;
+      if (!r.id) problems.push(`${name} needs an id.`);
+      else if (ids.has(r.id)) problems.push(`Rule id "${r.id}" is used twice.`);
+      ids.add(r.id);
+      if (!r.name) problems.push(`Rule ${i + 1} needs a name.`);
+      if (!METRICS[r.metric]) problems.push(`${name}: pick a metric.`);
+      if (!OPS[r.op]) problems.push(`${name}: pick a comparison.`);
+      if (typeof r.value !== "number" || !isFinite(r.value)) problems.push(`${name}: the threshold must be a number.`);
+      if (r.window != null && !(Number.isInteger(r.window) && r.window >= 0)) problems.push(`${name}: the window must be a whole number of days (0 = all time).`);
+      if (!SCOPES[r.scope]) problems.push(`${name}: pick which projects it applies to.`);
+      if (!SEVERITIES[r.severity]) problems.push(`${name}: pick a severity.`);
+    });
+    return problems;
+  }
+
+  const rules = () => clone(readStored() || DEFAULT_RULES);
+  const isCustom = () => readStored() != null;
+
+  // Throws when the rules have problems or the browser refuses to store them
+  function save(list) {
+    const problems = validate(list);
+    if (problems.length) throw new Error(problems.join(" "));
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  }
+
+  function reset() {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch (err) { /* storage unavailable */ }
+  }
+
+  // ---------- Alert state ----------
+  // { [alert key]: { status: "acknowledged" | "snoozed", until?: ISO time, at: ISO time } }
+  const readState = () => readJSON(STATE_KEY) || {};
+
+  function writeState(state) {
+    try {
+      window.localStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (err) {
+      console.debug("[ALERTS] Could not store alert state:", err.name);
+    }
+  }
+
+  function statusOf(key, state, now = Date.now()) {
+    const s = state[key];
+    if (!s) return { status: "new", until: null };
+    if (s.status === "snoozed") {
+      const until = new Date(s.until);
+      return until > now ? { status: "snoozed", until } : { status: "new", until: null };
+    }
+    return { status: s.status === "acknowledged" ? "acknowledged" : "new", until: null };
+  }
+
+  function mark(keys, entry) {
+    const state = readState();
+    const at = new Date().toISOString();
+    keys.forEach((k) => {
+      if (entry) state[k] = { ...entry, at };
+      else delete state[k];
+    });
+    writeState(state);
+  }
+
+  const acknowledge = (keys) => mark(keys, { status: "acknowledged" });
+  const snooze = (keys, days) => mark(keys, { status: "snoozed", until: new Date(Date.now() + days * DAY_MS).toISOString() });
+  const reopen = (keys) => mark(keys, null);
+
+  // ---------- Evaluation ----------
+  function evaluate(data, list = rules(), asOf = new Date()) {
+    const state = readState();
+    const entries = Array.from(data.byProject.values());
+    const alerts = [];
+    list.forEach((rule, order) => {
+      const m = METRICS[rule.metric];
+      const test = OPS[rule.op];
+      if (!rule.enabled || !m || !test) return;
+      entries.forEach((e) => {
+        if (rule.scope === "active" && !EVM.isInProgress(e.project)) return;
+        const value = m.value(e, asOf, rule.window);
+        if (!isFinite(value) || !test(value, rule.value)) return;
+        const key = `${rule.id}:${e.project.project_id}`;
+        alerts.push({ key, rule, order, severity: rule.severity, project: e.project, value, ...statusOf(key, state) });
+      });
+    });
+    // most severe first, then rule order, then the worst value
+    return alerts.sort((a, b) =>
+      SEVERITIES[a.severity].rank - SEVERITIES[b.severity].rank ||
+      a.order - b.order ||
+      (a.rule.op.startsWith("<") ? a.value - b.value : b.value - a.value));
+  }
+
+  // Saved rules on the whole dataset. Alerts that no longer fire lose their
+  // acknowledged / snoozed state, so they come back as new if they return.
+  function check(data, asOf = new Date()) {
+    const alerts = evaluate(data, rules(), asOf);
+    const firing = new Set(alerts.map((a) => a.key));
+    const state = readState();
+    const stale = Object.keys(state).filter((k) => !firing.has(k));
+    if (stale.length) {
+      stale.forEach((k) => delete state[k]);
+      writeState(state);
+    }
+    return alerts;
+  }
+
+  // severity = most severe among the new alerts (null when there are none)
+  function counts(alerts) {
+    const out = { new: 0, snoozed: 0, acknowledged: 0, severity: null };
+    alerts.forEach((a) => {
+      out[a.status]++;
+      if (a.status === "new" && (!out.severity || SEVERITIES[a.severity].rank < SEVERITIES[out.severity].rank)) out.severity = a.severity;
+    });
+    return out;
+  }
+
+  return {
+    STORAGE_KEY,
+    STATE_KEY,
+    SEVERITIES,
+    OPS,
+    SCOPES,
+    STATUSES,
+    METRICS,
+    DEFAULT_RULES,
+    rules,
+    isCustom,
+    validate,
+    save,
+    reset,
+    evaluate,
+    check,
+    counts,
+    acknowledge,
+    snooze,
+    reopen,
+    describe,
+    format,
+  };
+})();
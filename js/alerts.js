@@ -0,0 +1,326 @@
+// ==================== Alerts JS ====================
+// Works with dashboards/alerts.html. Lists the alerts raised by the rules
+// in js/alert-rules.js and edits those rules:
+//
+//   - Inbox: severity, rule, project, value; acknowledge, snooze (1 / 7 / 30
+//     days) or reopen, filtered by status and severity
+//   - Counts by rule and by severity
+//   - Rule editor: metric, comparison, threshold, window, which projects,
+//     severity; every edit is previewed in the inbox right away, Save stores
+//     the rules (localStorage) for the alert link on every dashboard
+//   - While the draft has unsaved changes the inbox actions are off: alert
+//     state is kept only for alerts the saved rules raise, so an action on a
+//     preview-only alert would be dropped by the next check()
+//
+// Always runs on the whole dataset (no global filters).
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
+  const dateStr = (d) => (d ? d.toLocaleDateString() : "");
+
+  const { SEVERITIES, OPS, SCOPES, STATUSES, METRICS } = AlertRules;
+  const SNOOZE_DAYS = [1, 7, 30];
+
+  // ---------- Elements ----------
+  const el = {
+    statusSel: $("statusSelect"),
+    severitySel: $("severitySelect"),
+
+    kNew: $("kpiNewAlerts"),
+    kHandled: $("kpiHandledAlerts"),
+    kProjects: $("kpiAlertProjects"),
+
+    alertTable: $("alertTable"),
+    cRules: $("alertsByRule"),
+    cSeverity: $("alertsBySeverity"),
+
+    saveBtn: $("saveRules"),
+    discardBtn: $("discardRules"),
+    resetBtn: $("resetRules"),
+    status: $("rulesStatus"),
+    ruleRows: $("ruleRows"),
+    addRuleBtn: $("addRule"),
+    problems: $("rulesProblems"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[ALERTS] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let data = null;
+  let draft = AlertRules.rules();
+  let preview = draft; // last draft without problems
+  let dirty = false;
+  let alerts = [];
+  const charts = { rules: null, severity: null };
+
+  ProjectData.load()
+    .then((loaded) => {
+      data = loaded;
+      AlertRules.check(data); // drops state of alerts that stopped firing
+      renderEditor();
+      updateView();
+    })
+    .catch((err) => console.error("[ALERTS] CSV load error:", err));
+
+  el.statusSel?.addEventListener("change", renderInbox);
+  el.severitySel?.addEventListener("change", renderInbox);
+
+  // ---------- Inbox actions ----------
+  el.alertTable?.addEventListener("click", (e) => {
+    if (dirty) return;
+    const { ack, reopen } = e.target.dataset || {};
+    if (ack) AlertRules.acknowledge([ack]);
+    else if (reopen) AlertRules.reopen([reopen]);
+    else return;
+    updateView();
+  });
+  el.alertTable?.addEventListener("change", (e) => {
+    const key = e.target.dataset?.snooze;
+    if (dirty || !key || !e.target.value) return;
+    AlertRules.snooze([key], +e.target.value);
+    updateView();
+  });
+
+  // ---------- Draft edits ----------
+  function edited({ rerender = false } = {}) {
+    dirty = true;
+    if (rerender) renderEditor();
+    updateView();
+  }
+
+  el.ruleRows?.addEventListener("input", (e) => {
+    const { rule, field } = e.target.dataset || {};
+    if (rule == null) return;
+    const r = draft[rule];
+    if (field === "enabled") r.enabled = e.target.checked;
+    if (field === "name") r.name = e.target.value.trim();
+    if (field === "metric") r.metric = e.target.value;
+    if (field === "op") r.op = e.target.value;
+    if (field === "scope") r.scope = e.target.value;
+    if (field === "severity") r.severity = e.target.value;
+    // blank inputs stay invalid (NaN) rather than turning into 0
+    if (field === "value") r.value = e.target.value.trim() === "" ? NaN : +e.target.value;
+    if (field === "window") r.window = e.target.value.trim() === "" ? 0 : +e.target.value;
+    // the window box only applies to some metrics
+    edited({ rerender: field === "metric" });
+  });
+  el.ruleRows?.addEventListener("click", (e) => {
+    const i = e.target.dataset?.removeRule;
+    if (i == null) return;
+    draft.splice(+i, 1);
+    edited({ rerender: true });
+  });
+  el.addRuleBtn?.addEventListener("click", () => {
+    let id = "rule";
+    for (let n = 2; draft.some((r) => r.id === id); n++) id = `rule-${n}`;
+    draft.push({ id, name: "", metric: "cpi", op: "<", value: 1, window: 0, scope: "active", severity: "warning", enabled: true });
+    edited({ rerender: true });
+    el.ruleRows?.querySelector(`[data-rule="${draft.length - 1}"][data-field="name"]`)?.focus();
+  });
+
+  // ---------- Save / discard / reset ----------
+  el.saveBtn?.addEventListener("click", () => {
+    try {
+      AlertRules.save(draft);
+      dirty = false;
+      if (data) AlertRules.check(data);
+      setStatus("Saved. Every dashboard checks these rules from its next load.");
+    } catch (err) {
+      setStatus(`Not saved: ${err.message}`);
+    }
+    updateView();
+  });
+  el.discardBtn?.addEventListener("click", () => {
+    draft = AlertRules.rules();
+    dirty = false;
+    setStatus("");
+    renderEditor();
+    updateView();
+  });
+  el.resetBtn?.addEventListener("click", () => {
+    if (!confirm("Replace the alert rules with the built-in defaults?")) return;
+    AlertRules.reset();
+    draft = AlertRules.rules();
+    dirty = false;
+    if (data) AlertRules.check(data);
+    setStatus("Back to the default rules.");
+    renderEditor();
+    updateView();
+  });
+
+  function setStatus(text) {
+    if (el.status) el.status.textContent = text;
+  }
+
+  // ---------- Editor ----------
+  const options = (entries, selected) =>
+    entries.map(([v, l]) => `<option value="${esc(v)}"${v === selected ? " selected" : ""}>${esc(l)}</option>`).join("");
+
+  function renderEditor() {
+    if (!el.ruleRows) return;
+    el.ruleRows.innerHTML = draft
+      .map((r, i) => {
+        const m = METRICS[r.metric];
+        return `<tr>
+            <td><input type="checkbox" data-rule="${i}" data-field="enabled"${r.enabled ? " checked" : ""} aria-label="Enabled" /></td>
+            <td><input type="text" data-rule="${i}" data-field="name" value="${esc(r.name)}" size="24" aria-label="Rule name" /></td>
+            <td>
+              <select data-rule="${i}" data-field="metric" aria-label="Metric">
+                ${m ? "" : `<option value="" selected>Pick a metric</option>`}
+                ${options(Object.entries(METRICS).map(([k, x]) => [k, `${x.label} (${x.unit})`]), r.metric)}
+              </select>
+            </td>
+            <td><select data-rule="${i}" data-field="op" aria-label="Comparison">${options(Object.keys(OPS).map((op) => [op, op]), r.op)}</select></td>
+            <td><input type="number" step="any" data-rule="${i}" data-field="value" value="${isFinite(r.value) ? r.value : ""}" aria-label="Threshold" /></td>
+            <td><input type="number" min="0" step="1" data-rule="${i}" data-field="window" value="${r.window || ""}" placeholder="all time"${m?.windowed ? "" : " disabled"} aria-label="Window in days" /></td>
+            <td><select data-rule="${i}" data-field="scope" aria-label="Projects">${options(Object.entries(SCOPES), r.scope)}</select></td>
+            <td><select data-rule="${i}" data-field="severity" aria-label="Severity">${options(Object.entries(SEVERITIES).map(([k, s]) => [k, s.label]), r.severity)}</select></td>
+            <td class="num" data-rule-count="${i}"></td>
+            <td><button type="button" data-remove-rule="${i}">Remove</button></td>
+          </tr>`;
+      })
+      .join("");
+  }
+
+  // ---------- View ----------
+  function updateView() {
+    const problems = AlertRules.validate(draft);
+    if (!problems.length) preview = JSON.parse(JSON.stringify(draft));
+    if (el.problems) el.problems.innerHTML = problems.map((p) => `<li>${esc(p)}</li>`).join("");
+    if (el.saveBtn) el.saveBtn.disabled = !dirty || problems.length > 0;
+    if (el.discardBtn) el.discardBtn.disabled = !dirty;
+    if (problems.length && dirty) setStatus("Fix the problems below to preview and save.");
+    else if (dirty) setStatus("Unsaved changes (previewed above). Save or discard them to acknowledge or snooze alerts.");
+
+    if (!data) return;
+    alerts = AlertRules.evaluate(data, preview);
+    updateKPIs();
+    updateRuleCounts();
+    renderCharts();
+    renderInbox();
+  }
+
+  function updateKPIs() {
+    const n = AlertRules.counts(alerts);
+    if (el.kNew) el.kNew.textContent = n.new ? `${n.new} (worst: ${SEVERITIES[n.severity].label})` : "None";
+    if (el.kHandled) el.kHandled.textContent = `${n.snoozed} / ${n.acknowledged}`;
+    if (el.kProjects) {
+      const open = new Set(alerts.filter((a) => a.status === "new").map((a) => a.project.project_id));
+      el.kProjects.textContent = `${open.size} of ${data.projects.length}`;
+    }
+  }
+
+  function updateRuleCounts() {
+    const byRule = d3.rollup(alerts, (v) => v.length, (a) => a.rule.id);
+    draft.forEach((r, i) => {
+      const cell = el.ruleRows?.querySelector(`[data-rule-count="${i}"]`);
+      if (cell) cell.textContent = r.enabled ? (byRule.get(r.id) || 0).toLocaleString() : "off";
+    });
+  }
+
+  function renderCharts() {
+    const statuses = Object.keys(STATUSES);
+
+    // one dataset per status so acknowledged / snoozed work shows as progress
+    if (el.cRules) {
+      const ruleList = preview.filter((r) => r.enabled);
+      charts.rules = drawOrUpdateChart(charts.rules, el.cRules, {
+        type: "bar",
+        data: {
+          labels: ruleList.map((r) => r.name),
+          datasets: statuses.map((s) => ({
+            label: STATUSES[s],
+            data: ruleList.map((r) => alerts.filter((a) => a.rule.id === r.id && a.status === s).length),
+          })),
+        },
+        options: { ...axisOptions({ stacked: true }), indexAxis: "y", scales: { x: { stacked: true, beginAtZero: true }, y: { stacked: true, grid: { display: false } } } },
+      });
+    }
+
+    if (el.cSeverity) {
+      const sevs = Object.keys(SEVERITIES);
+      charts.severity = drawOrUpdateChart(charts.severity, el.cSeverity, {
+        type: "bar",
+        data: {
+          labels: sevs.map((s) => SEVERITIES[s].label),
+          datasets: statuses.map((s) => ({
+            label: STATUSES[s],
+            data: sevs.map((sev) => alerts.filter((a) => a.severity === sev && a.status === s).length),
+          })),
+        },
+        options: axisOptions({ stacked: true }),
+      });
+    }
+  }
+
+  // ---------- Inbox ----------
+  function renderInbox() {
+    if (!el.alertTable) return;
+    const status = el.statusSel?.value || "";
+    const severity = el.severitySel?.value || "";
+    const shown = alerts.filter((a) => (!status || a.status === status) && (!severity || a.severity === severity));
+
+    const snoozeOptions = SNOOZE_DAYS.map((d) => `<option value="${d}">${d} day${d === 1 ? "" : "s"}</option>`).join("");
+    // preview of unsaved rules: look, don't touch (see the header)
+    const off = dirty ? ` disabled title="Save or discard the rule changes first"` : "";
+    const body = shown
+      .map((a) => {
+        const p = a.project;
+        const state = a.status === "snoozed" ? `Snoozed until ${dateStr(a.until)}` : STATUSES[a.status];
+        const actions = a.status === "new"
+          ? `<button type="button" data-ack="${esc(a.key)}"${off}>Acknowledge</button>
+             <select data-snooze="${esc(a.key)}" aria-label="Snooze"${off}><option value="">Snooze…</option>${snoozeOptions}</select>`
+          : `<button type="button" data-reopen="${esc(a.key)}"${off}>Reopen</button>`;
+        return `<tr class="alert-${a.severity}">
+            <td><span class="tag severity-${a.severity}">${SEVERITIES[a.severity].label}</span></td>
+            <td>${esc(a.rule.name)}<div class="table-note">${esc(AlertRules.describe(a.rule))}</div></td>
+            <td><a href="project.html?id=${encodeURIComponent(p.project_id)}">${esc(p.project_name || p.project_id)}</a></td>
+            <td class="num">${AlertRules.format(a.rule.metric, a.value)}</td>
+            <td>${state}</td>
+            <td>${actions}</td>
+          </tr>`;
+      })
+      .join("");
+
+    const what = status ? STATUSES[status].toLowerCase() + " " : "";
+    el.alertTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr><th>Severity</th><th>Rule</th><th>Project</th><th class="num">Value</th><th>Status</th><th></th></tr></thead>
+          <tbody>${body || `<tr><td colspan="6">No ${what}alerts.</td></tr>`}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ stacked = false }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+      },
+      scales: {
+        x: { stacked, grid: { display: false } },
+        y: { stacked, beginAtZero: true, ticks: { precision: 0 } },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
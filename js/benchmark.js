@@ -0,0 +1,312 @@
+// ==================== Peer Benchmark JS ====================
+// Works with dashboards/benchmark.html?id=<project_id>; peers and
+// percentiles from js/peer-benchmark.js
+//
+// KPIs: Peer Group (count + criteria), Cost Variance and Schedule Slip
+//       percentiles
+// Charts:
+//   - Percentile Among Peers: one bar per metric, colored by band
+//   - Box plots (P10–P90 whiskers, P25–P75 box, median, this project) for
+//     cost variance and CO cost, change-order count, and schedule slip
+//     plus each phase's duration
+// Tables: percentile bands per metric, the peer projects (closest first)
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const moneyStr = (n) => (isFinite(n) ? `$${Math.round(n).toLocaleString()}` : "N/A");
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+  const daysStr = (d) => (isFinite(d) ? `${Math.round(d)} days` : "N/A");
+  const countStr = (n) => (isFinite(n) ? (Math.round(n * 10) / 10).toLocaleString() : "N/A");
+  const rankStr = (p) => (isFinite(p) ? `P${Math.round(p)}` : "N/A");
+  const { esc } = ProjectData;
+
+  const FORMATS = { "%": pctStr, days: daysStr, count: countStr };
+  const fmt = (unit, v) => FORMATS[unit](v);
+  const bandLabel = (id) => PeerBenchmark.BANDS.find((b) => b.id === id)?.label || "No data";
+
+  // ---------- Elements ----------
+  const el = {
+    title: $("benchmarkTitle"),
+    projectSelect: $("projectSelect"),
+    budgetSel: $("peerBudget"),
+    eraSel: $("peerEra"),
+    durationSel: $("peerDuration"),
+    projectLink: $("projectLink"),
+
+    kPeers: $("kpiPeerGroup"),
+    kCost: $("kpiCostPercentile"),
+    kSlip: $("kpiSlipPercentile"),
+
+    cPercentile: $("percentileChart"),
+    cCost: $("costBoxes"),
+    cCOs: $("coBoxes"),
+    cSchedule: $("scheduleBoxes"),
+    benchmarkTable: $("benchmarkTable"),
+    peerTable: $("peerTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[BENCHMARK] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let dataset = null;
+  let projectId = null;
+  const charts = { percentile: null, cost: null, cos: null, schedule: null };
+
+  ProjectData.load()
+    .then((data) => {
+      dataset = data;
+      populateProjectSelect(data.projects);
+
+      const requested = new URLSearchParams(location.search).get("id");
+      projectId = data.byProject.has(requested) ? requested : data.projects[0]?.project_id;
+      if (requested && projectId !== requested) {
+        console.warn(`[BENCHMARK] Unknown project id "${requested}", showing ${projectId}`);
+      }
+      if (el.projectSelect) el.projectSelect.value = projectId;
+      render();
+
+      el.projectSelect?.addEventListener("change", () => {
+        projectId = el.projectSelect.value;
+        const url = new URL(location.href);
+        url.searchParams.set("id", projectId);
+        history.replaceState(null, "", url);
+        render();
+      });
+      [el.budgetSel, el.eraSel, el.durationSel].forEach((s) => s?.addEventListener("change", render));
+    })
+    .catch((err) => console.error("[BENCHMARK] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateProjectSelect(projects) {
+    if (!el.projectSelect) return;
+    projects
+      .slice()
+      .sort((a, b) => a.project_id.localeCompare(b.project_id))
+      .forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.project_id;
+        opt.textContent = p.project_name || `Project ${p.project_id}`;
+        el.projectSelect.appendChild(opt);
+      });
+  }
+
+  const numberOrNull = (v) => (v === "" || v == null ? null : +v);
+  function criteria() {
+    const d = PeerBenchmark.DEFAULT_CRITERIA;
+    return {
+      budget: el.budgetSel ? el.budgetSel.value || null : d.budget,
+      era: el.eraSel ? numberOrNull(el.eraSel.value) : d.era,
+      duration: el.durationSel ? numberOrNull(el.durationSel.value) : d.duration,
+    };
+  }
+
+  function describeCriteria(c, project) {
+    const parts = [];
+    const band = PeerBenchmark.budgetBand(project.planned_budget);
+    if (c.budget === "band" && band) parts.push(GlobalFilters.BANDS[band].label);
+    if (c.era != null && project.start_date) parts.push(`started ${project.start_date.getFullYear()} ± ${c.era}`);
+    if (c.duration != null) parts.push(`duration ± ${Math.round(c.duration * 100)}%`);
+    return parts.length ? parts.join(", ") : "all completed projects";
+  }
+
+  // ---------- Render ----------
+  function render() {
+    const c = criteria();
+    const result = PeerBenchmark.compare(dataset, projectId, c);
+    if (!result) return;
+    const { project } = result.entry;
+
+    const status = project.actual_end ? "Complete" : `In progress (${project.completion_pct}%)`;
+    if (el.title) el.title.textContent = `${project.project_name} vs Peers — ${status}`;
+    document.title = `${project.project_name} — Peer Benchmark`;
+    if (el.projectLink) el.projectLink.href = `project.html?id=${encodeURIComponent(projectId)}`;
+
+    DataExport.setRows({ projects: [project, ...result.peers.map((p) => p.entry.project)] });
+    updateKPIs(result, c);
+    renderCharts(result);
+    renderBenchmarkTable(result);
+    renderPeerTable(result);
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(result, c) {
+    const row = (key) => result.rows.find((r) => r.key === key);
+    const n = result.peers.length;
+    if (el.kPeers) {
+      const few = n < PeerBenchmark.MIN_PEERS ? " (few: widen the criteria)" : "";
+      el.kPeers.textContent = `${n} project${n === 1 ? "" : "s"}${few}: ${describeCriteria(c, result.entry.project)}`;
+    }
+    const show = (node, r) => {
+      if (node) node.textContent = isFinite(r.percentile) ? `${rankStr(r.percentile)} (${fmt(r.unit, r.value)} vs median ${fmt(r.unit, r.stats.median)})` : "N/A";
+    };
+    show(el.kCost, row("costVariance"));
+    show(el.kSlip, row("slip"));
+  }
+
+  // ---------- Charts ----------
+  function renderCharts(result) {
+    const rows = result.rows;
+
+    // one dataset per band so the legend doubles as a key
+    charts.percentile = drawOrUpdateChart(charts.percentile, el.cPercentile, {
+      type: "bar",
+      data: {
+        labels: rows.map((r) => r.label),
+        datasets: PeerBenchmark.BANDS.map((b) => ({
+          label: b.label,
+          data: rows.map((r) => (r.band === b.id ? r.percentile : null)),
+        })),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: "y",
+        plugins: {
+          legend: { position: "top" },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const r = rows[ctx.dataIndex];
+                return `${rankStr(r.percentile)}: ${fmt(r.unit, r.value)} (peer median ${fmt(r.unit, r.stats.median)}, n = ${r.stats.n})`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: { stacked: true, min: 0, max: 100, ticks: { callback: (v) => `P${v}` } },
+          y: { stacked: true, grid: { display: false } },
+        },
+      },
+    });
+
+    charts.cost = drawOrUpdateChart(charts.cost, el.cCost, boxPlot(rows.filter((r) => r.group === "cost"), "%"));
+    charts.cos = drawOrUpdateChart(charts.cos, el.cCOs, boxPlot(rows.filter((r) => r.group === "changeOrders"), "count"));
+    charts.schedule = drawOrUpdateChart(charts.schedule, el.cSchedule, boxPlot(rows.filter((r) => r.group === "schedule"), "days"));
+  }
+
+  // Box-plot style chart from floating bars: a thin P10–P90 whisker, a
+  // wider P25–P75 box, the median as a dash and the project as a diamond
+  function boxPlot(rows, unit) {
+    const s = rows.map((r) => r.stats);
+    const range = (lo, hi) => s.map((x) => (x.n ? [x[lo], x[hi]] : null));
+    const tick = unit === "%" ? (v) => `${Math.round(v * 100)}%` : (v) => v.toLocaleString();
+    return {
+      type: "bar",
+      data: {
+        labels: rows.map((r) => r.label),
+        datasets: [
+          { label: "Peers P10–P90", data: range("p10", "p90"), barPercentage: 0.08, grouped: false },
+          { label: "Peers P25–P75", data: range("q1", "q3"), barPercentage: 0.5, grouped: false },
+          {
+            type: "line", label: "Peer median", data: s.map((x) => (x.n ? x.median : null)),
+            showLine: false, pointStyle: "line", pointRadius: 18, pointHoverRadius: 18, borderWidth: 3,
+          },
+          {
+            type: "line", label: "This project", data: rows.map((r) => (isFinite(r.value) ? r.value : null)),
+            showLine: false, pointStyle: "rectRot", pointRadius: 7, pointHoverRadius: 9,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: "top" },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const v = ctx.raw;
+                if (Array.isArray(v)) return `${ctx.dataset.label}: ${fmt(unit, v[0])} to ${fmt(unit, v[1])}`;
+                const r = rows[ctx.dataIndex];
+                return ctx.datasetIndex === 3
+                  ? `${ctx.dataset.label}: ${fmt(unit, v)} (${rankStr(r.percentile)})`
+                  : `${ctx.dataset.label}: ${fmt(unit, v)} (n = ${r.stats.n})`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: { grid: { display: false } },
+          y: { ticks: { callback: tick } },
+        },
+      },
+    };
+  }
+
+  // ---------- Tables ----------
+  function renderBenchmarkTable(result) {
+    if (!el.benchmarkTable) return;
+    const body = result.rows
+      .map((r) => {
+        const s = r.stats;
+        const cell = (k) => `<td class="num">${s.n ? fmt(r.unit, s[k]) : "—"}</td>`;
+        return `<tr>
+          <td>${esc(r.label)}${r.projected ? `<div class="table-note">projected to completion</div>` : ""}</td>
+          <td class="num"><strong>${fmt(r.unit, r.value)}</strong></td>
+          ${cell("p10")}${cell("q1")}${cell("median")}${cell("q3")}${cell("p90")}
+          <td class="num">${s.n || 0}</td>
+          <td class="num">${rankStr(r.percentile)}</td>
+          <td>${r.band ? `<span class="tag benchmark-${r.band}">${bandLabel(r.band)}</span>` : "—"}</td>
+        </tr>`;
+      })
+      .join("");
+
+    el.benchmarkTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Metric</th><th class="num">This project</th><th class="num">P10</th><th class="num">P25</th>
+            <th class="num">Median</th><th class="num">P75</th><th class="num">P90</th><th class="num">Peers</th>
+            <th class="num">Percentile</th><th>Band</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+  }
+
+  function renderPeerTable(result) {
+    if (!el.peerTable) return;
+    const row = (e) => {
+      const p = e.project;
+      const costVar = (p.actual_cost - p.planned_budget) / p.planned_budget;
+      return `<tr>
+        <td><a href="benchmark.html?id=${encodeURIComponent(p.project_id)}">${esc(p.project_name || p.project_id)}</a></td>
+        <td>${p.start_date ? p.start_date.getFullYear() : "—"}</td>
+        <td class="num">${moneyStr(p.planned_budget)}</td>
+        <td class="num">${daysStr(ProjectData.daysBetween(p.start_date, p.planned_end))}</td>
+        <td class="num">${pctStr(costVar)}</td>
+        <td class="num">${daysStr(ProjectData.daysBetween(p.planned_end, p.actual_end))}</td>
+        <td class="num">${e.changeOrders.length}</td>
+      </tr>`;
+    };
+    const body = result.peers.map((x) => row(x.entry)).join("");
+
+    el.peerTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Project</th><th>Started</th><th class="num">Budget</th><th class="num">Planned duration</th>
+            <th class="num">Cost variance</th><th class="num">Slip</th><th class="num">COs</th>
+          </tr></thead>
+          <tbody>${body || `<tr><td colspan="7">No completed projects match. Widen the criteria above.</td></tr>`}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
@@ -0,0 +1,305 @@
+// ==================== Change Order Log JS ====================
+// Works with dashboards/changeorders.html; data comes from js/data.js
+//
+// An explorer over change_orders.csv, one row per change order:
+//   - Reason and phase come from the global filter bar (js/filters.js),
+//     like on every other dashboard; reasons are js/taxonomy.js categories,
+//     shown with their group (hover for the value as written in the file)
+//   - Page filters: full-text search, project, CO date range, cost band
+//   - Sort by any column (click the header again to reverse), paginate
+//   - KPIs total the whole filtered set, not just the visible page
+//   - Project ids link to the project detail page
+//
+// Search matches every whitespace-separated term (AND) against CO id,
+// project id/name, phase, reason (category, group and file value), date
+// (YYYY-MM-DD) and cost.
+// The page filters and sort are kept in the URL (?q=&project=&co_from=
+// &co_to=&cost=&sort=) next to the global filter keys.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const moneyStr = (n) => (n == null || isNaN(n) ? "N/A" : `$${Math.round(n).toLocaleString()}`);
+  const pad2 = (n) => String(n).padStart(2, "0");
+  const isoDay = (d) => (d ? `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` : "");
+  const { esc } = ProjectData;
+
+  const COST_BANDS = {
+    under25k: { label: "Under $25K", lo: 0, hi: 25e3 },
+    "25to50k": { label: "$25K–$50K", lo: 25e3, hi: 50e3 },
+    "50to100k": { label: "$50K–$100K", lo: 50e3, hi: 100e3 },
+    over100k: { label: "$100K+", lo: 100e3, hi: Infinity },
+  };
+
+  // column key -> header, sort value
+  const COLUMNS = {
+    co_id: { label: "CO", value: (r) => r.co_id },
+    project: { label: "Project", value: (r) => r.project_name || r.project_id },
+    phase: { label: "Phase", value: (r) => r.phase_id },
+    date: { label: "Date", value: (r) => (r.date ? r.date.getTime() : -Infinity) },
+    reason: { label: "Reason", value: (r) => r.co_reason },
+    group: { label: "Reason Group", value: (r) => r.reason_group },
+    cost: { label: "Cost", value: (r) => (isFinite(r.co_cost) ? r.co_cost : -Infinity), num: true },
+  };
+  const DEFAULT_SORT = "-date";
+  const URL_KEYS = ["q", "project", "co_from", "co_to", "cost", "sort"];
+
+  // ---------- Elements ----------
+  const el = {
+    search: $("coSearch"),
+    projectFilter: $("coProjectFilter"),
+    dateFrom: $("coDateFrom"),
+    dateTo: $("coDateTo"),
+    costFilter: $("coCostFilter"),
+    pageSize: $("coPageSize"),
+    clearBtn: $("coClear"),
+
+    kCount: $("kpiCoCount"),
+    kCost: $("kpiCoCost"),
+    kProjects: $("kpiCoProjects"),
+
+    table: $("coTable"),
+    pager: $("coPager"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[CO LOG] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let allCOs = [];
+  let byProject = new Map();
+  let sortKey = DEFAULT_SORT; // "-key" = descending
+  let page = 0;
+
+  ProjectData.load()
+    .then((data) => {
+      populateCostFilter();
+      readUrlState();
+
+      GlobalFilters.mount(data, (filtered) => {
+        byProject = filtered.byProject;
+        allCOs = filtered.changeOrders.map((r) => {
+          const project = byProject.get(r.project_id)?.project;
+          const group = ReasonTaxonomy.groupLabel(r.co_reason_group);
+          return {
+            ...r,
+            project_name: project?.project_name || "",
+            reason_group: group,
+            search: [r.co_id, r.project_id, project?.project_name, r.phase_name, r.co_reason, group, r.co_reason_raw, isoDay(r.date), r.co_cost]
+              .join(" ")
+              .toLowerCase(),
+          };
+        });
+        populateProjectFilter();
+        page = 0;
+        updateView();
+      });
+
+      el.search?.addEventListener("input", resetAndUpdate);
+      [el.projectFilter, el.dateFrom, el.dateTo, el.costFilter, el.pageSize].forEach((c) =>
+        c?.addEventListener("change", resetAndUpdate)
+      );
+      el.clearBtn?.addEventListener("click", () => {
+        if (el.search) el.search.value = "";
+        if (el.projectFilter) el.projectFilter.value = "all";
+        if (el.dateFrom) el.dateFrom.value = "";
+        if (el.dateTo) el.dateTo.value = "";
+        if (el.costFilter) el.costFilter.value = "all";
+        resetAndUpdate();
+      });
+      el.table?.addEventListener("click", (e) => {
+        const key = e.target.closest?.("th[data-sort]")?.dataset.sort;
+        if (!key) return;
+        sortKey = sortKey === key ? `-${key}` : key;
+        resetAndUpdate();
+      });
+      el.pager?.addEventListener("click", (e) => {
+        const step = +(e.target.dataset?.step || 0);
+        if (!step) return;
+        page += step;
+        updateView();
+      });
+    })
+    .catch((err) => console.error("[CO LOG] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateCostFilter() {
+    if (!el.costFilter) return;
+    Object.entries(COST_BANDS).forEach(([k, b]) => {
+      const opt = document.createElement("option");
+      opt.value = k;
+      opt.textContent = b.label;
+      el.costFilter.appendChild(opt);
+    });
+  }
+
+  // Projects that have change orders in the current global slice; keeps the
+  // pick when it is still there
+  function populateProjectFilter() {
+    if (!el.projectFilter) return;
+    const current = el.projectFilter.value;
+    const ids = Array.from(new Set(allCOs.map((r) => r.project_id)))
+      .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+    el.projectFilter.length = 1; // keep "All"
+    ids.forEach((id) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = byProject.get(id)?.project.project_name || `Project ${id}`;
+      el.projectFilter.appendChild(opt);
+    });
+    el.projectFilter.value = ids.includes(current) ? current : "all";
+  }
+
+  // ---------- URL state ----------
+  function readUrlState() {
+    const params = new URLSearchParams(location.search);
+    const set = (ctrl, key) => {
+      const v = params.get(key);
+      if (ctrl && v) ctrl.value = v;
+    };
+    set(el.search, "q");
+    set(el.dateFrom, "co_from");
+    set(el.dateTo, "co_to");
+    set(el.costFilter, "cost");
+    // the project list is filled later; keep the pick as a placeholder option
+    const project = params.get("project");
+    if (el.projectFilter && project) {
+      el.projectFilter.appendChild(new Option(project, project, true, true));
+    }
+    const sort = params.get("sort");
+    if (sort && COLUMNS[sort.replace(/^-/, "")]) sortKey = sort;
+  }
+
+  function writeUrlState() {
+    const values = {
+      q: el.search?.value.trim(),
+      project: el.projectFilter?.value === "all" ? "" : el.projectFilter?.value,
+      co_from: el.dateFrom?.value,
+      co_to: el.dateTo?.value,
+      cost: el.costFilter?.value === "all" ? "" : el.costFilter?.value,
+      sort: sortKey === DEFAULT_SORT ? "" : sortKey,
+    };
+    const url = new URL(location.href);
+    URL_KEYS.forEach((k) => {
+      if (values[k]) url.searchParams.set(k, values[k]);
+      else url.searchParams.delete(k);
+    });
+    try {
+      history.replaceState(null, "", url);
+    } catch (err) {
+      console.debug("[CO LOG] Could not update the URL:", err.name);
+    }
+  }
+
+  // ---------- Filtering ----------
+  const parseDay = (v) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v || "");
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+  };
+
+  function filteredRows() {
+    const terms = (el.search?.value || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const project = el.projectFilter?.value || "all";
+    const from = parseDay(el.dateFrom?.value);
+    const to = parseDay(el.dateTo?.value);
+    const band = COST_BANDS[el.costFilter?.value];
+
+    return allCOs.filter((r) => {
+      if (project !== "all" && r.project_id !== project) return false;
+      if (from && (!r.date || r.date < from)) return false;
+      if (to && (!r.date || r.date > to)) return false;
+      if (band && !(r.co_cost >= band.lo && r.co_cost < band.hi)) return false;
+      return terms.every((t) => r.search.includes(t));
+    });
+  }
+
+  function sortRows(rows) {
+    const desc = sortKey.startsWith("-");
+    const value = COLUMNS[sortKey.replace(/^-/, "")].value;
+    const cmp = (a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      const c = typeof va === "number" && typeof vb === "number"
+        ? va - vb
+        : String(va).localeCompare(String(vb), undefined, { numeric: true });
+      // stable tiebreak on CO id so pages don't shuffle
+      return (desc ? -c : c) || String(a.co_id).localeCompare(String(b.co_id), undefined, { numeric: true });
+    };
+    return rows.slice().sort(cmp);
+  }
+
+  function resetAndUpdate() {
+    page = 0;
+    updateView();
+  }
+
+  function updateView() {
+    const rows = sortRows(filteredRows());
+    DataExport.setRows({ changeOrders: rows });
+    writeUrlState();
+    updateKPIs(rows);
+    renderTable(rows);
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(rows) {
+    const cost = d3.sum(rows, (r) => (isFinite(r.co_cost) ? r.co_cost : 0));
+    const projects = new Set(rows.map((r) => r.project_id));
+    const budget = d3.sum(Array.from(projects), (id) => byProject.get(id)?.project.planned_budget || 0);
+
+    if (el.kCount) el.kCount.textContent = `${rows.length.toLocaleString()} of ${allCOs.length.toLocaleString()}`;
+    if (el.kCost) el.kCost.textContent = `${moneyStr(cost)} (avg ${moneyStr(rows.length ? cost / rows.length : NaN)})`;
+    if (el.kProjects) {
+      el.kProjects.textContent = budget > 0
+        ? `${projects.size.toLocaleString()} (${((cost / budget) * 100).toFixed(1)}% of their budget)`
+        : projects.size.toLocaleString();
+    }
+  }
+
+  // ---------- Table ----------
+  function renderTable(rows) {
+    if (!el.table) return;
+    const size = +(el.pageSize?.value || 25);
+    const pages = Math.max(1, Math.ceil(rows.length / size));
+    page = Math.min(Math.max(page, 0), pages - 1);
+    const visible = rows.slice(page * size, page * size + size);
+
+    const desc = sortKey.startsWith("-");
+    const active = sortKey.replace(/^-/, "");
+    const head = Object.entries(COLUMNS)
+      .map(([k, c]) => `<th data-sort="${k}" class="sortable${c.num ? " num" : ""}" aria-sort="${
+        k === active ? (desc ? "descending" : "ascending") : "none"
+      }">${c.label}${k === active ? (desc ? " ▼" : " ▲") : ""}</th>`)
+      .join("");
+
+    const body = visible
+      .map((r) => `<tr>
+          <td>${esc(r.co_id)}</td>
+          <td><a href="project.html?id=${encodeURIComponent(r.project_id)}">${esc(r.project_name || r.project_id)}</a></td>
+          <td>${esc(r.phase_name || r.phase_id)}</td>
+          <td>${isoDay(r.date)}</td>
+          <td${r.co_reason_raw && r.co_reason_raw !== r.co_reason ? ` title="In file: ${esc(r.co_reason_raw)}"` : ""}>${esc(r.co_reason)}</td>
+          <td>${esc(r.reason_group)}</td>
+          <td class="num">${moneyStr(r.co_cost)}</td>
+        </tr>`)
+      .join("");
+
+    el.table.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>${head}</tr></thead>
+          <tbody>${body || `<tr><td colspan="7">No change orders match these filters.</td></tr>`}</tbody>
+        </table>
+      </div>`;
+
+    if (el.pager) {
+      const first = rows.length ? page * size + 1 : 0;
+      el.pager.innerHTML = `
+        <button type="button" data-step="-1"${page === 0 ? " disabled" : ""}>‹ Prev</button>
+        <span>${first.toLocaleString()}–${(page * size + visible.length).toLocaleString()} of ${rows.length.toLocaleString()} · page ${page + 1} of ${pages}</span>
+        <button type="button" data-step="1"${page >= pages - 1 ? " disabled" : ""}>Next ›</button>`;
+    }
+  }
+});
@@ -0,0 +1,338 @@
+// ==================== Shared Data Layer ====================
+// Loads every CSV in data/ once, normalizes it, and joins it by
+// project_id / phase_id. Dashboards consume ProjectData.load() only.
+//
+//   ProjectData.load().then((data) => {
+//     data.projects, data.phases, data.changeOrders, data.labor,
+//     data.materials, data.equipment, data.weather, data.scenarios
+//     data.byProject.get("1000")   -> { project, phases, changeOrders, ... }
+//     data.byPhase.get("1000:2")   -> { phase, changeOrders, labor, ... }
+//   });
+//
+// ProjectData.buildDataset(tables) re-runs the joins over filtered tables
+// (used by js/filters.js). ProjectData.loadRaw() resolves to the rows as
+// they are in the files ({ projects: [{ project_id: "1000", ... }], ... },
+// all strings), for the data-quality checks. ProjectData.fromText(texts)
+// builds the same dataset from CSV text ({ projects: "project_id,...", ... },
+// missing tables are empty) without a browser, for tools/kpis.js.
+//
+// Normalization rules (the same on every page):
+//   - Dates: "YYYY-MM-DD" and "YYYY-MM-DD 00:00:00" both become local-midnight
+//     Date objects; blank or unparseable values become null
+//   - Numbers: blank or non-numeric values become NaN
+//   - CO reasons: numeric codes ("0".."3") and free-text variants
+//     ("Scope change") map onto the canonical categories of js/taxonomy.js;
+//     rows also get co_reason_group (e.g. "owner") and co_reason_raw
+//
+// Raw CSV text is cached in sessionStorage so moving between dashboards
+// does not download and re-read the files.
+//
+// Uploaded data (dashboards/import.html): ProjectData.saveUpload() keeps the
+// user's CSVs, already renamed to the schema columns, in localStorage. While
+// an upload is active load() reads those instead of data/*.csv; tables that
+// were not uploaded are empty. clearUpload() goes back to the demo data.
+// Every text value can then come from the user's file, so pages put data
+// into HTML through ProjectData.esc() (or textContent), never raw.
+// ==================================================================
+
+window.ProjectData = (() => {
+  const CACHE_PREFIX = "ccd:csv:v1:";
+  const UPLOAD_PREFIX = "ccd:upload:v1:";
+  const UPLOAD_META = UPLOAD_PREFIX + "meta";
+  const DATA_BASE = typeof document !== "undefined" && document.currentScript
+    ? new URL("../data/", document.currentScript.src).href
+    : "../data/";
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  // ---------- Schema ----------
+  // Field types: id | text | number | date | reason
+  const SCHEMA = {
+    projects: {
+      file: "projects.csv",
+      fields: {
+        project_id: "id", project_name: "text", start_date: "date",
+        planned_end: "date", actual_end: "date", planned_budget: "number",
+        actual_cost: "number", completion_pct: "number",
+      },
+    },
+    phases: {
+      file: "phases.csv",
+      fields: {
+        project_id: "id", phase_id: "id", phase_name: "text",
+        planned_start: "date", planned_end: "date", actual_start: "date", actual_end: "date",
+        planned_cost: "number", actual_cost: "number",
+        planned_hours: "number", actual_hours: "number", weather_delay_days: "number",
+      },
+    },
+    changeOrders: {
+      file: "change_orders.csv",
+      fields: {
+        project_id: "id", phase_id: "id", co_id: "id",
+        co_cost: "number", co_reason: "reason", date: "date",
+      },
+    },
+    labor: {
+      file: "labor.csv",
+      fields: {
+        project_id: "id", phase_id: "id", trade: "text", subcontractor: "text",
+        est_hours: "number", act_hours: "number", hourly_rate: "number", safety_incidents: "number",
+      },
+    },
+    materials: {
+      file: "materials.csv",
+      fields: {
+        project_id: "id", phase_id: "id", supplier: "text", item: "text", qty: "number",
+        planned_cost: "number", actual_cost: "number", delivery_date: "date", delivery_delay_days: "number",
+      },
+    },
+    equipment: {
+      file: "equipment.csv",
+      fields: {
+        project_id: "id", phase_id: "id", equipment_id: "id", type: "text",
+        planned_hours: "number", actual_hours: "number", downtime_hours: "number",
+      },
+    },
+    weather: {
+      file: "weather.csv",
+      fields: { project_id: "id", date: "date", weather_delay_hours: "number" },
+    },
+    scenarios: {
+      file: "scenarios.csv",
+      fields: {
+        project_id: "id", scenario: "text", expected_finish_date: "date",
+        expected_total_cost: "number", risk_score: "number", notes: "text",
+      },
+    },
+  };
+  const TABLES = Object.keys(SCHEMA);
+
+  // ---------- Reason mapping ----------
+  // The categories, aliases and groups live in js/taxonomy.js (editable on
+  // dashboards/reasons.html); this only applies them.
+  const normalizeReason = (v) => ReasonTaxonomy.classify(v).category;
+
+  // ---------- Field parsers ----------
+  function parseDay(v) {
+    const m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec((v ?? "").toString().trim());
+    if (!m) return null;
+    const d = new Date(+m[1], +m[2] - 1, +m[3]);
+    return isNaN(d) ? null : d;
+  }
+
+  function parseNumber(v) {
+    const s = (v ?? "").toString().trim();
+    return s === "" ? NaN : +s;
+  }
+
+  const PARSERS = {
+    id: (v) => (v ?? "").toString().trim(),
+    text: (v) => (v ?? "").toString().trim(),
+    number: parseNumber,
+    date: parseDay,
+    reason: normalizeReason,
+  };
+
+  function normalizeRows(table, rows) {
+    const fields = Object.entries(SCHEMA[table].fields);
+    return rows.map((d) => {
+      const out = {};
+      fields.forEach(([name, type]) => {
+        if (type !== "reason") {
+          out[name] = PARSERS[type](d[name]);
+          return;
+        }
+        // keep what the file said next to the category, plus its group
+        const c = ReasonTaxonomy.classify(d[name]);
+        out[name] = c.category;
+        out[`${name}_group`] = c.group;
+        out[`${name}_raw`] = c.raw;
+      });
+      return out;
+    });
+  }
+
+  // ---------- Loading + cache ----------
+  function readCache(file) {
+    try {
+      return window.sessionStorage.getItem(CACHE_PREFIX + file);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeCache(file, text) {
+    try {
+      window.sessionStorage.setItem(CACHE_PREFIX + file, text);
+    } catch (err) {
+      console.debug(`[DATA] Could not cache ${file}:`, err.name);
+    }
+  }
+
+  function clearCache() {
+    TABLES.forEach((t) => {
+      try {
+        window.sessionStorage.removeItem(CACHE_PREFIX + SCHEMA[t].file);
+      } catch (err) { /* storage unavailable */ }
+    });
+    pending = null;
+    pendingRaw = null;
+  }
+
+  function fetchText(file) {
+    const cached = readCache(file);
+    if (cached != null) return Promise.resolve(cached);
+    return d3.text(DATA_BASE + file).then((text) => {
+      writeCache(file, text);
+      return text;
+    });
+  }
+
+  // ---------- Uploaded data ----------
+  // Meta: { name, savedAt, tables: { projects: rowCount, ... } } or null
+  function uploadInfo() {
+    try {
+      return JSON.parse(window.localStorage.getItem(UPLOAD_META) || "null");
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // texts: { table: CSV text with schema column names }. Throws when the
+  // browser refuses to store it (e.g. QuotaExceededError), leaving the
+  // previous data in place.
+  function saveUpload(texts, meta) {
+    const storage = window.localStorage;
+    const written = [];
+    try {
+      TABLES.forEach((t) => {
+        storage.setItem(UPLOAD_PREFIX + t, texts[t] || "");
+        written.push(t);
+      });
+      storage.setItem(UPLOAD_META, JSON.stringify({ ...meta, savedAt: new Date().toISOString() }));
+    } catch (err) {
+      written.forEach((t) => storage.removeItem(UPLOAD_PREFIX + t));
+      storage.removeItem(UPLOAD_META);
+      throw err;
+    }
+    pending = null;
+    pendingRaw = null;
+  }
+
+  function clearUpload() {
+    try {
+      TABLES.forEach((t) => window.localStorage.removeItem(UPLOAD_PREFIX + t));
+      window.localStorage.removeItem(UPLOAD_META);
+    } catch (err) { /* storage unavailable */ }
+    pending = null;
+    pendingRaw = null;
+  }
+
+  function uploadedText(table) {
+    try {
+      return Promise.resolve(window.localStorage.getItem(UPLOAD_PREFIX + table) || "");
+    } catch (err) {
+      return Promise.resolve("");
+    }
+  }
+
+  let pendingRaw = null;
+  function loadRaw() {
+    if (!pendingRaw) {
+      const read = uploadInfo() ? uploadedText : (t) => fetchText(SCHEMA[t].file);
+      pendingRaw = Promise.all(TABLES.map((t) => read(t).then((text) => d3.csvParse(text)))).then((lists) => {
+        const raw = {};
+        TABLES.forEach((t, i) => (raw[t] = lists[i]));
+        return raw;
+      });
+      pendingRaw.catch(() => (pendingRaw = null)); // allow a retry after a failed load
+    }
+    return pendingRaw;
+  }
+
+  let pending = null;
+  function load() {
+    if (!pending) {
+      pending = loadRaw().then(fromRaw);
+      pending.catch(() => (pending = null));
+    }
+    return pending;
+  }
+
+  // raw: { table: rows as parsed by d3.csvParse }
+  function fromRaw(raw) {
+    const tables = {};
+    TABLES.forEach((t) => (tables[t] = normalizeRows(t, raw[t] || [])));
+    return buildDataset(tables);
+  }
+
+  function fromText(texts) {
+    const raw = {};
+    TABLES.forEach((t) => (raw[t] = d3.csvParse(texts[t] || "")));
+    return fromRaw(raw);
+  }
+
+  // ---------- Joins ----------
+  const phaseKey = (projectId, phaseId) => `${projectId}:${phaseId}`;
+
+  function buildDataset(tables) {
+    const byProject = new Map();
+    tables.projects.forEach((p) => {
+      byProject.set(p.project_id, {
+        project: p, phases: [], changeOrders: [], labor: [],
+        materials: [], equipment: [], weather: [], scenarios: [],
+      });
+    });
+
+    const byPhase = new Map();
+    tables.phases.forEach((ph) => {
+      byPhase.set(phaseKey(ph.project_id, ph.phase_id), {
+        phase: ph, changeOrders: [], labor: [], materials: [], equipment: [],
+      });
+      byProject.get(ph.project_id)?.phases.push(ph);
+    });
+    byProject.forEach((j) => j.phases.sort((a, b) => a.phase_id - b.phase_id));
+
+    // child rows: attach phase_name and push into both joins
+    ["changeOrders", "labor", "materials", "equipment"].forEach((t) => {
+      tables[t].forEach((r) => {
+        const ph = byPhase.get(phaseKey(r.project_id, r.phase_id));
+        r.phase_name = ph ? ph.phase.phase_name : "";
+        if (ph) ph[t].push(r);
+        byProject.get(r.project_id)?.[t].push(r);
+      });
+    });
+    ["weather", "scenarios"].forEach((t) => {
+      tables[t].forEach((r) => byProject.get(r.project_id)?.[t].push(r));
+    });
+
+    return { ...tables, byProject, byPhase };
+  }
+
+  // ---------- Shared derived helpers ----------
+  function daysBetween(a, b) {
+    if (!a || !b) return NaN;
+    return Math.round((b - a) / DAY_MS);
+  }
+
+  // HTML-escape a value for innerHTML text and "..." / '...' attributes
+  const esc = (s) =>
+    String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+  return {
+    SCHEMA,
+    DAY_MS,
+    load,
+    loadRaw,
+    fromRaw,
+    fromText,
+    clearCache,
+    uploadInfo,
+    saveUpload,
+    clearUpload,
+    buildDataset,
+    phaseKey,
+    daysBetween,
+    esc,
+    normalizeReason,
+  };
+})();
@@ -0,0 +1,285 @@
+// ==================== Descriptive KPIs ====================
+// The numbers behind dashboards/descriptive.html, without the DOM. The page
+// draws these series and tools/kpis.js prints them, so both agree.
+//
+//   DescriptiveKPIs.slice(data, year)           -> { projects, changeOrders, phases }
+//   DescriptiveKPIs.kpis(projects)              -> { totalProjects, avgCost, avgDurationDays }
+//   DescriptiveKPIs.projectsByPeriod(projects, year) / avgCostByPeriod(...)
+//   DescriptiveKPIs.coCountByGroup(cos, year) / coCostByPeriod(cos, year)
+//   DescriptiveKPIs.cashFlow(phases, asOf)      -> monthly + cumulative spend
+//   DescriptiveKPIs.summary(data, { year, cashflowProject, asOf })
+//
+// `data` is a ProjectData dataset (optionally through GlobalFilters.apply);
+// `year` is "all" (series by year) or a year such as "2015" (series by
+// month of that year). Projects fall in a year by start_date, change orders
+// by their date.
+// ==================================================================
+
+window.DescriptiveKPIs = (() => {
+  const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+  const isAllYears = (year) => year == null || year === "all";
+  const sumSafe = (arr) => arr.reduce((acc, v) => (isFinite(v) ? acc + v : acc), 0);
+
+  // ---------- Slices ----------
+  function slice(data, year = "all") {
+    const y = String(year);
+    const projects = isAllYears(year)
+      ? data.projects
+      : data.projects.filter((r) => r.start_date && r.start_date.getFullYear().toString() === y);
+    const changeOrders = isAllYears(year)
+      ? data.changeOrders
+      : data.changeOrders.filter((r) => r.date && r.date.getFullYear().toString() === y);
+    const phases = projects.flatMap((p) => data.byProject.get(p.project_id)?.phases || []);
+    return { projects, changeOrders, phases };
+  }
+
+  // ---------- KPIs ----------
+  function kpis(projects) {
+    const avgCost = d3.mean(projects, (r) => (isFinite(r.actual_cost) ? r.actual_cost : NaN));
+    const durations = projects
+      .map((r) => ProjectData.daysBetween(r.start_date, r.actual_end || r.planned_end))
+      .filter((v) => isFinite(v));
+    const avgDuration = d3.mean(durations);
+    return {
+      totalProjects: projects.length,
+      avgCost: avgCost ?? NaN,
+      avgDurationDays: avgDuration ?? NaN,
+    };
+  }
+
+  // ---------- Project rollups ----------
+  function rollupCountByYear(rows) {
+    const out = {};
+    rows.forEach((r) => {
+      if (!r.start_date) return;
+      const y = r.start_date.getFullYear();
+      out[y] = (out[y] || 0) + 1;
+    });
+    return out;
+  }
+  function rollupAvgActualCostByYear(rows) {
+    const sums = {};
+    const counts = {};
+    rows.forEach((r) => {
+      if (!r.start_date) return;
+      const y = r.start_date.getFullYear();
+      if (isFinite(r.actual_cost)) {
+        sums[y] = (sums[y] || 0) + r.actual_cost;
+        counts[y] = (counts[y] || 0) + 1;
+      }
+    });
+    const out = {};
+    Object.keys(sums).forEach((y) => (out[y] = sums[y] / counts[y]));
+    return out;
+  }
+  function rollupCountByMonth(rows, year) {
+    const counts = Array(12).fill(0);
+    rows.forEach((r) => {
+      const d = r.start_date;
+      if (d && d.getFullYear() === year) counts[d.getMonth()] += 1;
+    });
+    return counts;
+  }
+  function rollupAvgActualCostByMonth(rows, year) {
+    const sums = Array(12).fill(0);
+    const counts = Array(12).fill(0);
+    rows.forEach((r) => {
+      const d = r.start_date;
+      if (d && d.getFullYear() === year && isFinite(r.actual_cost)) {
+        const m = d.getMonth();
+        sums[m] += r.actual_cost;
+        counts[m] += 1;
+      }
+    });
+    return sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
+  }
+
+  // -> { labels: [years] or month names, values }
+  function projectsByPeriod(projects, year = "all") {
+    if (!isAllYears(year)) return { labels: MONTH_LABELS.slice(), values: rollupCountByMonth(projects, +year) };
+    const counts = rollupCountByYear(projects);
+    const labels = Object.keys(counts).map(Number).sort((a, b) => a - b);
+    return { labels, values: labels.map((y) => counts[y] || 0) };
+  }
+
+  function avgCostByPeriod(projects, year = "all") {
+    if (!isAllYears(year)) return { labels: MONTH_LABELS.slice(), values: rollupAvgActualCostByMonth(projects, +year) };
+    const avg = rollupAvgActualCostByYear(projects);
+    const labels = Object.keys(avg).map(Number).sort((a, b) => a - b);
+    return { labels, values: labels.map((y) => avg[y]) };
+  }
+
+  // Totals planned vs actual
+  function totals(projects) {
+    return {
+      planned: sumSafe(projects.map((r) => r.planned_budget)),
+      actual: sumSafe(projects.map((r) => r.actual_cost)),
+    };
+  }
+
+  // ---------- Change-order rollups ----------
+  function coCountByYear(rows) {
+    const out = {};
+    rows.forEach((r) => {
+      const d = r.date;
+      if (!d) return;
+      const y = d.getFullYear();
+      out[y] = (out[y] || 0) + 1;
+    });
+    return out;
+  }
+  function coCostByYear(rows) {
+    const out = {};
+    rows.forEach((r) => {
+      const d = r.date;
+      if (!d) return;
+      const y = d.getFullYear();
+      out[y] = (out[y] || 0) + (isFinite(r.co_cost) ? r.co_cost : 0);
+    });
+    return out;
+  }
+  function coCountByMonth(rows, year) {
+    const arr = Array(12).fill(0);
+    rows.forEach((r) => {
+      const d = r.date;
+      if (d && d.getFullYear() === year) arr[d.getMonth()] += 1;
+    });
+    return arr;
+  }
+  function coCostByMonth(rows, year) {
+    const arr = Array(12).fill(0);
+    rows.forEach((r) => {
+      const d = r.date;
+      if (d && d.getFullYear() === year && isFinite(r.co_cost)) {
+        arr[d.getMonth()] += r.co_cost;
+      }
+    });
+    return arr;
+  }
+
+  // CO counts per period, one series per reason group (js/taxonomy.js)
+  // -> { labels, groups: [{ id, label, values }] }
+  function coCountByGroup(rows, year = "all") {
+    let labels, countsFor;
+    if (isAllYears(year)) {
+      labels = Object.keys(coCountByYear(rows)).map(Number).sort((a, b) => a - b);
+      countsFor = (subset) => {
+        const counts = coCountByYear(subset);
+        return labels.map((y) => counts[y] || 0);
+      };
+    } else {
+      labels = MONTH_LABELS.slice();
+      countsFor = (subset) => coCountByMonth(subset, +year);
+    }
+    const groups = ReasonTaxonomy.groups()
+      .map((g) => ({ g, subset: rows.filter((r) => r.co_reason_group === g.id) }))
+      .filter(({ subset }) => subset.length)
+      .map(({ g, subset }) => ({ id: g.id, label: g.label, values: countsFor(subset) }));
+    return { labels, groups };
+  }
+
+  function coCostByPeriod(rows, year = "all") {
+    if (!isAllYears(year)) return { labels: MONTH_LABELS.slice(), values: coCostByMonth(rows, +year) };
+    const sums = coCostByYear(rows);
+    const labels = Object.keys(sums).map(Number).sort((a, b) => a - b);
+    return { labels, values: labels.map((y) => sums[y] || 0) };
+  }
+
+  // ---------- Cash flow ----------
+  // Monthly planned / actual spend from phase costs and dates; phases still
+  // open at `asOf` run to it
+  function monthlySpend(phases, asOf = new Date()) {
+    const planned = new Map();
+    const actual = new Map();
+    phases.forEach((ph) => {
+      if (ph.planned_start && isFinite(ph.planned_cost)) {
+        EVM.spreadByMonth(ph.planned_start, ph.planned_end, ph.planned_cost, planned);
+      }
+      if (ph.actual_start && ph.actual_start <= asOf && isFinite(ph.actual_cost)) {
+        EVM.spreadByMonth(ph.actual_start, ph.actual_end || asOf, ph.actual_cost, actual);
+      }
+    });
+
+    // every month between the first and last with spend, gaps filled with 0
+    const keys = [...planned.keys(), ...actual.keys()].sort();
+    const months = [];
+    if (keys.length) {
+      const [y0, m0] = keys[0].split("-").map(Number);
+      const last = keys[keys.length - 1];
+      for (let d = new Date(y0, m0 - 1, 1); EVM.monthKey(d) <= last; d.setMonth(d.getMonth() + 1)) {
+        months.push(EVM.monthKey(d));
+      }
+    }
+    return {
+      months,
+      planned: months.map((m) => planned.get(m) || 0),
+      actual: months.map((m) => actual.get(m) || 0),
+      lastActual: actual.size ? Array.from(actual.keys()).sort().pop() : null,
+    };
+  }
+
+  function cumulative(values, upTo = values.length) {
+    let run = 0;
+    return values.map((v, i) => (i < upTo ? (run += v) : null));
+  }
+
+  // -> { months, planned, actual, cumPlanned, cumActual, gap: { month, value } | null }
+  function cashFlow(phases, asOf = new Date()) {
+    const flow = monthlySpend(phases, asOf);
+    // actual curve stops at the last month with actual spend
+    const actualUpTo = flow.lastActual ? flow.months.indexOf(flow.lastActual) + 1 : 0;
+    const cumPlanned = cumulative(flow.planned);
+    const cumActual = cumulative(flow.actual, actualUpTo);
+
+    // where spending was furthest from plan (actual − planned, cumulative)
+    let gap = { i: -1, v: 0 };
+    cumActual.forEach((a, i) => {
+      if (a != null && Math.abs(a - cumPlanned[i]) > Math.abs(gap.v)) gap = { i, v: a - cumPlanned[i] };
+    });
+
+    return {
+      months: flow.months,
+      planned: flow.planned,
+      actual: flow.actual,
+      cumPlanned,
+      cumActual,
+      gap: gap.i >= 0 ? { month: flow.months[gap.i], value: gap.v } : null,
+    };
+  }
+
+  // ---------- Everything on the page ----------
+  // cashflowProject: "all" (the slice) or a project_id
+  function summary(data, { year = "all", cashflowProject = "all", asOf = new Date() } = {}) {
+    const s = slice(data, year);
+    const cfProjects = cashflowProject === "all" ? s.projects : s.projects.filter((p) => p.project_id === cashflowProject);
+    const cfPhases = cfProjects.flatMap((p) => data.byProject.get(p.project_id)?.phases || []);
+    return {
+      year: String(year),
+      kpis: kpis(s.projects),
+      series: {
+        projectsByPeriod: projectsByPeriod(s.projects, year),
+        totals: totals(s.projects),
+        avgCostByPeriod: avgCostByPeriod(s.projects, year),
+        coCountByGroup: coCountByGroup(s.changeOrders, year),
+        coCostByPeriod: coCostByPeriod(s.changeOrders, year),
+        cashFlow: { project: cashflowProject, ...cashFlow(cfPhases, asOf) },
+      },
+    };
+  }
+
+  return {
+    MONTH_LABELS,
+    slice,
+    kpis,
+    projectsByPeriod,
+    avgCostByPeriod,
+    totals,
+    coCountByGroup,
+    coCostByPeriod,
+    monthlySpend,
+    cumulative,
+    cashFlow,
+    summary,
+  };
+})();
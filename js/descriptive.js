@@ -1,5 +1,6 @@
 // ==================== Descriptive Dashboard JS ==================== 
-// Works with dashboards/descriptive.html and data/projects.csv
+// Works with dashboards/descriptive.html; data comes from js/data.js and the
+// numbers from js/descriptive-kpis.js (shared with tools/kpis.js)
 // KPIs: Total Projects, Average Cost, Average Duration
 // Charts:
 //   - All years: Projects by YEAR, Avg Actual Cost by YEAR
@@ -7,9 +8,17 @@
 // Totals (Planned vs Actual) always reflect the current filter slice
 //
 // Change Orders (optional canvases):
-//   - <canvas id="coCountTrend"></canvas>   // volume over time
+//   - <canvas id="coCountTrend"></canvas>   // volume over time, stacked by reason group
 //   - <canvas id="coCostTrend"></canvas>    // cost over time
 // If those canvases are not present, the code skips rendering them gracefully.
+//
+// Cash flow (phases.csv, spread with EVM.spreadByMonth from js/evm.js):
+//   - Planned: each phase's planned_cost spread evenly over planned_start..planned_end
+//   - Actual:  each phase's actual_cost spread over actual_start..actual_end
+//              (open phases run to today)
+//   - <canvas id="cashflowSCurve"></canvas>  // cumulative planned vs actual
+//   - <canvas id="burnRate"></canvas>        // monthly spend
+// For the portfolio (current slice) or one project picked in #cashflowProject.
 // ==================================================================
 
 window.addEventListener("DOMContentLoaded", () => {
@@ -17,7 +26,6 @@ window.addEventListener("DOMContentLoaded", () => {
   const $ = (id) => document.getElementById(id);
   const moneyStr = (n) =>
     n == null || isNaN(n) ? "N/A" : `$${Math.round(n).toLocaleString()}`;
-  const parseDate = (s) => (s ? new Date(s) : null);
 
   function abbrNumber(n) {
     if (!isFinite(n)) return "0";
@@ -29,7 +37,6 @@ window.addEventListener("DOMContentLoaded", () => {
     return String(Math.round(n));
   }
   const moneyAbbr = (n) => `$${abbrNumber(n)}`;
-  const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
 
   // ---------- Elements ----------
   const el = {
@@ -44,6 +51,11 @@ window.addEventListener("DOMContentLoaded", () => {
     // Optional change-order canvases
     cCoCountTrend: $("coCountTrend"),
     cCoCostTrend: $("coCostTrend"),
+
+    // Cash flow
+    cashflowProject: $("cashflowProject"),
+    cCashflow: $("cashflowSCurve"),
+    cBurnRate: $("burnRate"),
   };
 
   Object.entries(el).forEach(([k, v]) => {
@@ -51,8 +63,7 @@ window.addEventListener("DOMContentLoaded", () => {
   });
 
   // ---------- Data & charts ----------
-  let allProjects = [];
-  let allCOs = []; // change orders
+  let filtered = null; // global-filtered dataset; the year filter slices it
   const charts = {
     projectsByYear: null,
     totalsBar: null,
@@ -61,66 +72,44 @@ window.addEventListener("DOMContentLoaded", () => {
     // change orders
     coCountTrend: null,
     coCostTrend: null,
-  };
 
-  // Load both CSVs
-  Promise.all([
-    d3.csv("../data/projects.csv"),
-    d3.csv("../data/change_orders.csv"),
-  ])
-    .then(([projectRows, coRows]) => {
-      // projects
-      allProjects = projectRows.map((d) => ({
-        ...d,
-        planned_budget: +d.planned_budget,
-        actual_cost: +d.actual_cost,
-        completion_pct: +d.completion_pct,
-        start_date: d.start_date,
-        planned_end: d.planned_end,
-        actual_end: d.actual_end || "",
-      }));
+    // cash flow
+    cashflow: null,
+    burnRate: null,
+  };
 
-      // change orders
-      allCOs = coRows.map((d) => ({
-        project_id: d.project_id,
-        phase_id: d.phase_id,
-        co_id: d.co_id,
-        co_cost: +d.co_cost,
-        co_reason: d.co_reason || "Unspecified",
-        date: d.date, // parse later on use
-      }));
+  // Load the shared, normalized dataset
+  ProjectData.load()
+    .then((data) => {
+      populateYearFilter(data.projects);
 
-      populateYearFilter(allProjects);
-      update(allProjects, allCOs); // initial render
-
-      el.yearFilter.addEventListener("change", () => {
-        const y = el.yearFilter.value;
-        const projSlice =
-          y === "all"
-            ? allProjects
-            : allProjects.filter(
-                (r) => new Date(r.start_date).getFullYear().toString() === y
-              );
-
-        const coSlice =
-          y === "all"
-            ? allCOs
-            : allCOs.filter((r) => {
-                const d = new Date(r.date);
-                return !isNaN(d) && d.getFullYear().toString() === y;
-              });
-
-        update(projSlice, coSlice);
+      // global filter bar (js/filters.js) narrows the data; the year
+      // filter slices what is left
+      GlobalFilters.mount(data, (next) => {
+        filtered = next;
+        updateView();
       });
+
+      el.yearFilter.addEventListener("change", updateView);
+      el.cashflowProject?.addEventListener("change", updateView);
     })
     .catch((err) => {
       console.error("[DESCRIPTIVE] CSV load error:", err);
     });
 
+  function updateView() {
+    const { projects, changeOrders, phases } = DescriptiveKPIs.slice(filtered, el.yearFilter.value);
+
+    DataExport.setRows({ projects, changeOrders, phases });
+    update(projects, changeOrders);
+    populateCashflowProjects(projects);
+    renderCashFlow(projects);
+  }
+
   // ---------- UI builders ----------
   function populateYearFilter(data) {
     const years = Array.from(
-      new Set(data.map((r) => new Date(r.start_date).getFullYear()))
+      new Set(data.filter((r) => r.start_date).map((r) => r.start_date.getFullYear()))
     ).sort((a, b) => a - b);
 
     years.forEach((y) => {
@@ -131,6 +120,24 @@ window.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Project picker for the cash-flow charts; keeps the pick while it is
+  // still in the slice, otherwise falls back to the portfolio
+  function populateCashflowProjects(projects) {
+    if (!el.cashflowProject) return;
+    const current = el.cashflowProject.value;
+    el.cashflowProject.length = 1; // keep "Portfolio"
+    projects
+      .slice()
+      .sort((a, b) => String(a.project_id).localeCompare(String(b.project_id), undefined, { numeric: true }))
+      .forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.project_id;
+        opt.textContent = p.project_name || `Project ${p.project_id}`;
+        el.cashflowProject.appendChild(opt);
+      });
+    el.cashflowProject.value = projects.some((p) => p.project_id === current) ? current : "all";
+  }
+
   function update(projectsSlice, coSlice) {
     updateKPIs(projectsSlice);
     const selected = el.yearFilter.value; // "all" or "YYYY"
@@ -140,111 +147,10 @@ window.addEventListener("DOMContentLoaded", () => {
 
   // ---------- KPIs ----------
   function updateKPIs(data) {
-    el.total.textContent = data.length;
-
-    const avgCost = d3.mean(
-      data,
-      (r) => (isFinite(r.actual_cost) ? r.actual_cost : NaN)
-    );
-    el.avgCost.textContent = moneyStr(avgCost);
-
-    const durations = data
-      .map((r) => {
-        const s = parseDate(r.start_date);
-        const e = parseDate(r.actual_end) || parseDate(r.planned_end);
-        return s && e ? (e - s) / (1000 * 60 * 60 * 24) : NaN;
-      })
-      .filter((v) => isFinite(v));
-    const avgDuration = d3.mean(durations);
-    el.avgDur.textContent =
-      avgDuration != null && isFinite(avgDuration)
-        ? `${Math.round(avgDuration)} days`
-        : "N/A";
-  }
-
-  // ---------- Project rollups ----------
-  function rollupCountByYear(rows) {
-    const out = {};
-    rows.forEach((r) => {
-      const y = new Date(r.start_date).getFullYear();
-      out[y] = (out[y] || 0) + 1;
-    });
-    return out;
-  }
-  function rollupAvgActualCostByYear(rows) {
-    const sums = {};
-    const counts = {};
-    rows.forEach((r) => {
-      const y = new Date(r.start_date).getFullYear();
-      if (isFinite(r.actual_cost)) {
-        sums[y] = (sums[y] || 0) + r.actual_cost;
-        counts[y] = (counts[y] || 0) + 1;
-      }
-    });
-    const out = {};
-    Object.keys(sums).forEach((y) => (out[y] = sums[y] / counts[y]));
-    return out;
-  }
-  function rollupCountByMonth(rows, year) {
-    const counts = Array(12).fill(0);
-    rows.forEach((r) => {
-      const d = new Date(r.start_date);
-      if (!isNaN(d) && d.getFullYear() === year) counts[d.getMonth()] += 1;
-    });
-    return counts;
-  }
-  function rollupAvgActualCostByMonth(rows, year) {
-    const sums = Array(12).fill(0);
-    const counts = Array(12).fill(0);
-    rows.forEach((r) => {
-      const d = new Date(r.start_date);
-      if (!isNaN(d) && d.getFullYear() === year && isFinite(r.actual_cost)) {
-        const m = d.getMonth();
-        sums[m] += r.actual_cost;
-        counts[m] += 1;
-      }
-    });
-    return sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
-  }
-
-  // ---------- Change-order rollups ----------
-  function coCountByYear(rows) {
-    const out = {};
-    rows.forEach((r) => {
-      const d = new Date(r.date);
-      if (isNaN(d)) return;
-      const y = d.getFullYear();
-      out[y] = (out[y] || 0) + 1;
-    });
-    return out;
-  }
-  function coCostByYear(rows) {
-    const out = {};
-    rows.forEach((r) => {
-      const d = new Date(r.date);
-      if (isNaN(d)) return;
-      const y = d.getFullYear();
-      out[y] = (out[y] || 0) + (isFinite(r.co_cost) ? r.co_cost : 0);
-    });
-    return out;
-  }
-  function coCountByMonth(rows, year) {
-    const arr = Array(12).fill(0);
-    rows.forEach((r) => {
-      const d = new Date(r.date);
-      if (!isNaN(d) && d.getFullYear() === year) arr[d.getMonth()] += 1;
-    });
-    return arr;
-  }
-  function coCostByMonth(rows, year) {
-    const arr = Array(12).fill(0);
-    rows.forEach((r) => {
-      const d = new Date(r.date);
-      if (!isNaN(d) && d.getFullYear() === year && isFinite(r.co_cost)) {
-        arr[d.getMonth()] += r.co_cost;
-      }
-    });
-    return arr;
+    const k = DescriptiveKPIs.kpis(data);
+    el.total.textContent = k.totalProjects;
+    el.avgCost.textContent = moneyStr(k.avgCost);
+    el.avgDur.textContent = isFinite(k.avgDurationDays) ? `${Math.round(k.avgDurationDays)} days` : "N/A";
   }
 
   // ---------- Charts: Projects ----------
@@ -258,17 +164,8 @@ window.addEventListener("DOMContentLoaded", () => {
     if (costTitle)     costTitle.textContent     = isAll ? "Avg Actual Cost by Year" : `Avg Actual Cost by Month (${yearInt})`;
 
     // 1) Projects by year / month
-    let labels, values, rotateX;
-    if (isAll) {
-      const countsByYear = rollupCountByYear(data);
-      labels = Object.keys(countsByYear).map(Number).sort((a, b) => a - b);
-      values = labels.map((y) => countsByYear[y] || 0);
-      rotateX = labels.length > 12;
-    } else {
-      labels = MONTH_LABELS.slice();
-      values = rollupCountByMonth(data, yearInt);
-      rotateX = false;
-    }
+    const { labels, values } = DescriptiveKPIs.projectsByPeriod(data, selectedYearValue);
+    const rotateX = isAll && labels.length > 12;
 
     charts.projectsByYear = drawOrUpdateChart(
       charts.projectsByYear,
@@ -291,8 +188,7 @@ window.addEventListener("DOMContentLoaded", () => {
     );
 
     // 2) Totals planned vs actual
-    const totalPlanned = sumSafe(data.map((r) => r.planned_budget));
-    const totalActual  = sumSafe(data.map((r) => r.actual_cost));
+    const totals = DescriptiveKPIs.totals(data);
 
     charts.totalsBar = drawOrUpdateChart(
       charts.totalsBar,
@@ -302,8 +198,8 @@ window.addEventListener("DOMContentLoaded", () => {
         data: {
           labels: ["Totals"],
           datasets: [
-            { label: "Planned", data: [totalPlanned] },
-            { label: "Actual",  data: [totalActual]  },
+            { label: "Planned", data: [totals.planned] },
+            { label: "Actual",  data: [totals.actual]  },
           ],
         },
         options: axisOptions({ money: true }),
@@ -311,17 +207,8 @@ window.addEventListener("DOMContentLoaded", () => {
     );
 
     // 3) Avg actual cost by year / month
-    let costLabels, costValues, costRotateX;
-    if (isAll) {
-      const avgCostByYear = rollupAvgActualCostByYear(data);
-      costLabels = Object.keys(avgCostByYear).map(Number).sort((a, b) => a - b);
-      costValues = costLabels.map((y) => avgCostByYear[y]);
-      costRotateX = costLabels.length > 12;
-    } else {
-      costLabels = MONTH_LABELS.slice();
-      costValues = rollupAvgActualCostByMonth(data, yearInt);
-      costRotateX = false;
-    }
+    const { labels: costLabels, values: costValues } = DescriptiveKPIs.avgCostByPeriod(data, selectedYearValue);
+    const costRotateX = isAll && costLabels.length > 12;
 
     charts.avgCostByYear = drawOrUpdateChart(
       charts.avgCostByYear,
@@ -351,62 +238,37 @@ window.addEventListener("DOMContentLoaded", () => {
     const isAll = selectedYearValue === "all";
     const yearInt = isAll ? null : parseInt(selectedYearValue, 10);
 
-    // a) Volume trend (count)
+    // a) Volume trend (count), stacked by reason group (js/taxonomy.js)
     if (el.cCoCountTrend) {
-      let labels, values, rotateX;
-      if (isAll) {
-        const counts = coCountByYear(coRows);
-        labels = Object.keys(counts).map(Number).sort((a, b) => a - b);
-        values = labels.map((y) => counts[y] || 0);
-        rotateX = labels.length > 12;
-        const t = el.cCoCountTrend.previousElementSibling;
-        if (t) t.textContent = "Change Orders — Count by Year";
-      } else {
-        labels = MONTH_LABELS.slice();
-        values = coCountByMonth(coRows, yearInt);
-        rotateX = false;
-        const t = el.cCoCountTrend.previousElementSibling;
-        if (t) t.textContent = `Change Orders — Count by Month (${yearInt})`;
-      }
+      const { labels, groups } = DescriptiveKPIs.coCountByGroup(coRows, selectedYearValue);
+      const rotateX = isAll && labels.length > 12;
+      const t = el.cCoCountTrend.previousElementSibling;
+      if (t) t.textContent = isAll ? "Change Orders — Count by Year" : `Change Orders — Count by Month (${yearInt})`;
+
+      const datasets = groups.map((g) => ({
+        label: g.label,
+        data: g.values,
+        categoryPercentage: 0.9,
+        barPercentage: 0.9,
+      }));
 
       charts.coCountTrend = drawOrUpdateChart(
         charts.coCountTrend,
         el.cCoCountTrend,
         {
           type: "bar",
-          data: {
-            labels,
-            datasets: [
-              {
-                label: "Change Orders",
-                data: values,
-                categoryPercentage: 0.9,
-                barPercentage: 0.9,
-              },
-            ],
-          },
-          options: axisOptions({ money: false, rotateX }),
+          data: { labels, datasets },
+          options: axisOptions({ money: false, rotateX, stacked: true }),
         }
       );
     }
 
     // b) Cost trend (sum of co_cost)
     if (el.cCoCostTrend) {
-      let labels, values, rotateX;
-      if (isAll) {
-        const totals = coCostByYear(coRows);
-        labels = Object.keys(totals).map(Number).sort((a, b) => a - b);
-        values = labels.map((y) => totals[y] || 0);
-        rotateX = labels.length > 12;
-        const t = el.cCoCostTrend.previousElementSibling;
-        if (t) t.textContent = "Change Orders — Cost by Year";
-      } else {
-        labels = MONTH_LABELS.slice();
-        values = coCostByMonth(coRows, yearInt);
-        rotateX = false;
-        const t = el.cCoCostTrend.previousElementSibling;
-        if (t) t.textContent = `Change Orders — Cost by Month (${yearInt})`;
-      }
+      const { labels, values } = DescriptiveKPIs.coCostByPeriod(coRows, selectedYearValue);
+      const rotateX = isAll && labels.length > 12;
+      const t = el.cCoCostTrend.previousElementSibling;
+      if (t) t.textContent = isAll ? "Change Orders — Cost by Year" : `Change Orders — Cost by Month (${yearInt})`;
 
       charts.coCostTrend = drawOrUpdateChart(
         charts.coCostTrend,
@@ -430,8 +292,53 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // ---------- Cash flow ----------
+  function renderCashFlow(projectsSlice) {
+    if (!el.cCashflow && !el.cBurnRate) return;
+    const pick = el.cashflowProject?.value || "all";
+    const projects = pick === "all" ? projectsSlice : projectsSlice.filter((p) => p.project_id === pick);
+    const phases = projects.flatMap((p) => filtered.byProject.get(p.project_id)?.phases || []);
+    const flow = DescriptiveKPIs.cashFlow(phases);
+    const { cumPlanned, cumActual, gap } = flow;
+    const who = pick === "all" ? `${projects.length} projects` : projects[0]?.project_name || `Project ${pick}`;
+
+    const sTitle = el.cCashflow?.previousElementSibling;
+    if (sTitle) {
+      sTitle.textContent = gap
+        ? `Cash Flow S-Curve — ${who} (widest gap ${gap.value > 0 ? "+" : "−"}${moneyAbbr(Math.abs(gap.value))} in ${gap.month})`
+        : `Cash Flow S-Curve — ${who}`;
+    }
+    const bTitle = el.cBurnRate?.previousElementSibling;
+    if (bTitle) bTitle.textContent = `Monthly Burn Rate — ${who}`;
+
+    const rotateX = flow.months.length > 12;
+    charts.cashflow = drawOrUpdateChart(charts.cashflow, el.cCashflow, {
+      type: "line",
+      data: {
+        labels: flow.months,
+        datasets: [
+          { label: "Planned (cumulative)", data: cumPlanned, tension: 0.2, pointRadius: 0 },
+          { label: "Actual (cumulative)", data: cumActual, tension: 0.2, pointRadius: 0 },
+        ],
+      },
+      options: axisOptions({ money: true, rotateX }),
+    });
+
+    charts.burnRate = drawOrUpdateChart(charts.burnRate, el.cBurnRate, {
+      type: "bar",
+      data: {
+        labels: flow.months,
+        datasets: [
+          { label: "Planned spend", data: flow.planned, categoryPercentage: 0.9, barPercentage: 1 },
+          { label: "Actual spend", data: flow.actual, categoryPercentage: 0.9, barPercentage: 1 },
+        ],
+      },
+      options: axisOptions({ money: true, rotateX }),
+    });
+  }
+
   // ---------- Chart helpers ----------
-  function axisOptions({ money, rotateX = false }) {
+  function axisOptions({ money, rotateX = false, stacked = false }) {
     return {
       responsive: true,
       maintainAspectRatio: false,
@@ -449,10 +356,12 @@ window.addEventListener("DOMContentLoaded", () => {
       },
       scales: {
         x: {
+          stacked,
           grid: { display: false },
           ticks: { maxRotation: rotateX ? 45 : 0, minRotation: rotateX ? 45 : 0 },
         },
         y: {
+          stacked,
           beginAtZero: true,
           ticks: {
             callback: (v) => (money ? moneyAbbr(v) : abbrNumber(v)),
@@ -473,9 +382,4 @@ window.addEventListener("DOMContentLoaded", () => {
     const ctx = canvasEl.getContext("2d");
     return new Chart(ctx, config);
   }
-
-  // ---------- utils ----------
-  function sumSafe(arr) {
-    return arr.reduce((acc, v) => (isFinite(v) ? acc + v : acc), 0);
-  }
 });
@@ -0,0 +1,495 @@
+// ==================== Diagnostic KPIs ====================
+// The numbers behind dashboards/diagnostic.html, without the DOM. The page
+// draws these series and tools/kpis.js prints them, so both agree.
+//
+//   DiagnosticKPIs.slice(data, year)   -> { projects, changeOrders, phases, weather }
+//   DiagnosticKPIs.kpis(projects)      -> { overrunRate, avgCostVariance, avgScheduleVarianceDays }
+//   DiagnosticKPIs.costVarianceByPeriod(projects, year) / scheduleVarianceByPeriod(...)
+//   DiagnosticKPIs.topReasons(cos, topN) / coFrequency(projects, cos)
+//   DiagnosticKPIs.overrunAttribution(projects, cos, year, weatherCost)
+//   DiagnosticKPIs.weatherHeatmap(phases, weather) / weatherVsSlip(phases) / weatherByMonth(rows)
+//   DiagnosticKPIs.phaseVariance(phases, cos) / slipCarryover(phases) / projectWaterfall(entry)
+//   DiagnosticKPIs.summary(data, { year })
+//
+// `year` works as in js/descriptive-kpis.js: "all" gives series by year, a
+// year such as "2015" gives series by month of that year.
+// ==================================================================
+
+window.DiagnosticKPIs = (() => {
+  const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+  const isAllYears = (year) => year == null || year === "all";
+
+  // ---------- Slices ----------
+  // Phases and weather follow the projects that started in the year
+  function slice(data, year = "all") {
+    if (isAllYears(year)) {
+      return { projects: data.projects, changeOrders: data.changeOrders, phases: data.phases, weather: data.weather };
+    }
+    const y = String(year);
+    const projects = data.projects.filter((r) => r.start_date && r.start_date.getFullYear().toString() === y);
+    const changeOrders = data.changeOrders.filter((r) => r.date && r.date.getFullYear().toString() === y);
+    const ids = new Set(projects.map((r) => r.project_id));
+    return {
+      projects,
+      changeOrders,
+      phases: data.phases.filter((r) => ids.has(r.project_id)),
+      weather: data.weather.filter((r) => ids.has(r.project_id)),
+    };
+  }
+
+  // ---------- Derived metrics ----------
+  function projectDurationDays(r) {
+    // Prefer actual duration if possible; else planned
+    return ProjectData.daysBetween(r.start_date, r.actual_end || r.planned_end);
+  }
+
+  function projectCostVarianceRatio(r) {
+    const p = r.planned_budget;
+    const a = r.actual_cost;
+    if (!isFinite(p) || p <= 0 || !isFinite(a)) return NaN;
+    return (a - p) / p;
+  }
+
+  const scheduleVarianceDays = (r) => ProjectData.daysBetween(r.planned_end, r.actual_end);
+
+  // ---------- KPIs ----------
+  function kpis(projects) {
+    // Cost variance ratio (actual - planned)/planned, ignore rows without both
+    const vars = projects.map(projectCostVarianceRatio).filter((v) => isFinite(v));
+    // Schedule variance in days: (actual_end - planned_end)
+    const scheds = projects.map(scheduleVarianceDays).filter((v) => isFinite(v));
+    return {
+      overrunRate: vars.length ? vars.filter((v) => v > 0).length / vars.length : NaN,
+      avgCostVariance: d3.mean(vars) ?? NaN,
+      avgScheduleVarianceDays: d3.mean(scheds) ?? NaN,
+    };
+  }
+
+  // ---------- Rollups ----------
+  // rollups by year / month for a given accessor (e.g., variance ratio, schedule variance)
+  function rollupAvgByYear(rows, accessor) {
+    const sums = {};
+    const counts = {};
+    rows.forEach((r) => {
+      const v = accessor(r);
+      if (!isFinite(v) || !r.start_date) return;
+      const y = r.start_date.getFullYear();
+      sums[y] = (sums[y] || 0) + v;
+      counts[y] = (counts[y] || 0) + 1;
+    });
+    const out = {};
+    Object.keys(sums).forEach((y) => (out[y] = sums[y] / counts[y]));
+    return out;
+  }
+
+  function rollupAvgByMonth(rows, year, accessor) {
+    const sums = Array(12).fill(0);
+    const counts = Array(12).fill(0);
+    rows.forEach((r) => {
+      const d = r.start_date;
+      if (!d || d.getFullYear() !== year) return;
+      const v = accessor(r);
+      if (!isFinite(v)) return;
+      const m = d.getMonth();
+      sums[m] += v;
+      counts[m] += 1;
+    });
+    return sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
+  }
+
+  function avgByPeriod(projects, year, accessor) {
+    if (!isAllYears(year)) return { labels: MONTH_LABELS.slice(), values: rollupAvgByMonth(projects, +year, accessor) };
+    const m = rollupAvgByYear(projects, accessor);
+    const labels = Object.keys(m).map(Number).sort((a, b) => a - b);
+    return { labels, values: labels.map((y) => m[y]) };
+  }
+
+  const costVarianceByPeriod = (projects, year = "all") => avgByPeriod(projects, year, projectCostVarianceRatio);
+  const scheduleVarianceByPeriod = (projects, year = "all") => avgByPeriod(projects, year, scheduleVarianceDays);
+
+  // ---------- Change orders ----------
+  function coCountsPerProject(coRows) {
+    // returns map { project_id -> count }
+    const m = {};
+    coRows.forEach((r) => {
+      const k = r.project_id || "__missing__";
+      m[k] = (m[k] || 0) + 1;
+    });
+    return m;
+  }
+
+  function coTotalsPerProject(coRows) {
+    // returns map { project_id -> total co_cost }
+    const m = {};
+    coRows.forEach((r) => {
+      const k = r.project_id || "__missing__";
+      const c = isFinite(r.co_cost) ? r.co_cost : 0;
+      m[k] = (m[k] || 0) + c;
+    });
+    return m;
+  }
+
+  // Categories by count (js/taxonomy.js), split by taxonomy group
+  // -> { labels, groups: [{ id, label, total, values }] }
+  function topReasons(coRows, topN = 7) {
+    const counts = d3.rollup(coRows, (v) => v.length, (r) => r.co_reason || ReasonTaxonomy.UNSPECIFIED);
+    const pairs = Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, topN);
+    const labels = pairs.map((p) => p[0]);
+    const groups = ReasonTaxonomy.groups()
+      .filter((g) => labels.some((l) => ReasonTaxonomy.groupOf(l) === g.id))
+      .map((g) => ({
+        id: g.id,
+        label: g.label,
+        total: d3.sum(pairs, (p) => (ReasonTaxonomy.groupOf(p[0]) === g.id ? p[1] : 0)),
+        values: pairs.map((p) => (ReasonTaxonomy.groupOf(p[0]) === g.id ? p[1] : 0)),
+      }));
+    return { labels, groups };
+  }
+
+  // Histogram of COs per project; every project in the slice counts, even with 0 COs
+  function coFrequency(projects, coRows) {
+    const countsMap = coCountsPerProject(coRows);
+    const labels = ["0","1","2","3","4","5+"];
+    const values = Array(labels.length).fill(0);
+    projects.forEach((p) => {
+      const c = countsMap[p.project_id] || 0;
+      values[Math.min(c, 5)] += 1;
+    });
+    return { labels, values };
+  }
+
+  // ---------- Overrun attribution ----------
+  // Weather cost per project: each phase's weather delay days priced at
+  // that phase's planned daily burn (planned_cost / planned duration)
+  function weatherCostPerProject(phases) {
+    const m = {};
+    phases.forEach((ph) => {
+      const days = ProjectData.daysBetween(ph.planned_start, ph.planned_end);
+      if (!isFinite(days) || days <= 0 || !isFinite(ph.planned_cost) || !isFinite(ph.weather_delay_days)) return;
+      m[ph.project_id] = (m[ph.project_id] || 0) + ph.weather_delay_days * (ph.planned_cost / days);
+    });
+    return m;
+  }
+
+  // For each project, compute:
+  // overrun = max(actual - planned, 0)
+  // co_total = sum COs for that project (in the current slice)
+  // attributed_to_CO = min(overrun, co_total)
+  // attributed_to_weather = min(overrun - attributed_to_CO, weather_cost)
+  // other = overrun - attributed_to_CO - attributed_to_weather
+  // -> { labels, co, weather, other }
+  function overrunAttribution(projects, coRows, year = "all", weatherCost = {}) {
+    const isAll = isAllYears(year);
+    const coTotals = coTotalsPerProject(coRows);
+
+    const out = {};
+    projects.forEach((r) => {
+      const p = r.planned_budget;
+      const a = r.actual_cost;
+      if (!isFinite(p) || !isFinite(a) || !r.start_date) return;
+      const overrun = Math.max(a - p, 0);
+      if (overrun <= 0) return;
+
+      const coSum = coTotals[r.project_id] || 0;
+      const attrCO = Math.min(overrun, coSum);
+      const attrWeather = Math.min(overrun - attrCO, weatherCost[r.project_id] || 0);
+      const attrOther = Math.max(overrun - attrCO - attrWeather, 0);
+
+      const key = isAll ? r.start_date.getFullYear() : r.start_date.getMonth(); // year or month index
+      if (!out[key]) out[key] = { co: 0, weather: 0, other: 0 };
+      out[key].co += attrCO;
+      out[key].weather += attrWeather;
+      out[key].other += attrOther;
+    });
+
+    if (isAll) {
+      const labels = Object.keys(out).map(Number).sort((a, b) => a - b);
+      return {
+        labels,
+        co: labels.map((k) => out[k]?.co || 0),
+        weather: labels.map((k) => out[k]?.weather || 0),
+        other: labels.map((k) => out[k]?.other || 0),
+      };
+    }
+    const series = { labels: MONTH_LABELS.slice(), co: Array(12).fill(0), weather: Array(12).fill(0), other: Array(12).fill(0) };
+    Object.keys(out).forEach((m) => {
+      series.co[m] = out[m].co;
+      series.weather[m] = out[m].weather;
+      series.other[m] = out[m].other;
+    });
+    return series;
+  }
+
+  // Scatter points: duration days vs cost variance ratio
+  function varianceVsDuration(projects) {
+    return projects
+      .map((r) => {
+        const x = projectDurationDays(r);
+        const y = projectCostVarianceRatio(r);
+        if (!isFinite(x) || !isFinite(y)) return null;
+        return { x, y, id: r.project_id, name: r.project_name };
+      })
+      .filter(Boolean);
+  }
+
+  // ---------- Weather ----------
+  function phaseLabels(phases) {
+    const names = {};
+    phases.forEach((ph) => (names[ph.phase_id] = ph.phase_name));
+    return Object.keys(names).sort((a, b) => a - b).map((id) => ({ id, name: names[id] }));
+  }
+
+  // month-of-year × phase: weather delay days per 30 active phase-days.
+  // Each phase's delay days are spread across the months of its actual
+  // date range in proportion to the weather.csv delay hours logged for its
+  // project in each month, so the season shows; a phase with no hours
+  // logged over its range is spread by the days it was active instead.
+  // -> { [phase_id]: 12 rates (NaN where the phase never ran) }
+  function weatherHeatmap(phases, weatherRows = []) {
+    const delay = {};
+    const active = {};
+    const hoursByProject = d3.group(
+      weatherRows.filter((r) => r.date && isFinite(r.weather_delay_hours) && r.weather_delay_hours > 0),
+      (r) => r.project_id
+    );
+    phases.forEach((ph) => {
+      const start = ph.actual_start;
+      const end = ph.actual_end || ph.planned_end;
+      const total = ProjectData.daysBetween(start, end) + 1;
+      if (!isFinite(total) || total <= 0 || !isFinite(ph.weather_delay_days)) return;
+
+      const key = ph.phase_id;
+      delay[key] = delay[key] || Array(12).fill(0);
+      active[key] = active[key] || Array(12).fill(0);
+      // walk month by month: days of the phase and weather hours logged in each
+      const segments = [];
+      let cursor = start;
+      while (cursor <= end) {
+        const monthEnd = d3.timeDay.offset(d3.timeMonth.offset(d3.timeMonth.floor(cursor), 1), -1);
+        const segEnd = monthEnd < end ? monthEnd : end;
+        const from = cursor;
+        const hours = d3.sum(hoursByProject.get(ph.project_id) || [], (r) => (r.date >= from && r.date <= segEnd ? r.weather_delay_hours : 0));
+        segments.push({ m: cursor.getMonth(), days: ProjectData.daysBetween(cursor, segEnd) + 1, hours });
+        cursor = d3.timeDay.offset(segEnd, 1);
+      }
+      const totalHours = d3.sum(segments, (s) => s.hours);
+      segments.forEach(({ m, days, hours }) => {
+        active[key][m] += days;
+        delay[key][m] += ph.weather_delay_days * (totalHours > 0 ? hours / totalHours : days / total);
+      });
+    });
+    const rates = {};
+    Object.keys(delay).forEach((k) => {
+      rates[k] = delay[k].map((d, m) => (active[k][m] ? (d / active[k][m]) * 30 : NaN));
+    });
+    return rates;
+  }
+
+  function pearson(pts) {
+    const n = pts.length;
+    if (n < 3) return NaN;
+    const mx = d3.mean(pts, (p) => p.x);
+    const my = d3.mean(pts, (p) => p.y);
+    let sxy = 0, sxx = 0, syy = 0;
+    pts.forEach((p) => {
+      sxy += (p.x - mx) * (p.y - my);
+      sxx += (p.x - mx) ** 2;
+      syy += (p.y - my) ** 2;
+    });
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+  }
+
+  // Phase weather delay days vs finish slip, one series per phase, plus
+  // the correlation across all of them
+  // -> { series: [{ id, name, points: [{ x, y, id }] }], r }
+  function weatherVsSlip(phases) {
+    const series = phaseLabels(phases).map(({ id, name }) => ({
+      id,
+      name,
+      points: phases
+        .filter((ph) => ph.phase_id === id)
+        .map((ph) => ({
+          x: ph.weather_delay_days,
+          y: ProjectData.daysBetween(ph.planned_end, ph.actual_end),
+          id: ph.project_id,
+        }))
+        .filter((p) => isFinite(p.x) && isFinite(p.y)),
+    }));
+    return { series, r: pearson(series.flatMap((s) => s.points)) };
+  }
+
+  // Seasonal profile from weather.csv: average delay hours per record by month
+  function weatherByMonth(weatherRows) {
+    const sums = Array(12).fill(0);
+    const counts = Array(12).fill(0);
+    weatherRows.forEach((r) => {
+      if (!r.date || !isFinite(r.weather_delay_hours)) return;
+      sums[r.date.getMonth()] += r.weather_delay_hours;
+      counts[r.date.getMonth()] += 1;
+    });
+    return { labels: MONTH_LABELS.slice(), values: sums.map((s, i) => (counts[i] ? s / counts[i] : 0)) };
+  }
+
+  // ---------- Phases ----------
+  // Slip of one phase row, split so that finish = start + added:
+  //   start  = actual_start − planned_start (carried in, or a late start)
+  //   added  = actual duration − planned duration (slip made in the phase)
+  //   finish = actual_end − planned_end
+  function phaseSlip(ph) {
+    const start = ProjectData.daysBetween(ph.planned_start, ph.actual_start);
+    const finish = ProjectData.daysBetween(ph.planned_end, ph.actual_end);
+    return { start, added: finish - start, finish };
+  }
+
+  // Per phase (in phase order), over the rows that have both actual dates
+  // for slip and both costs for cost variance; change orders by phase_id,
+  // counting only the projects in `phases` so every column describes the
+  // same jobs (the year slice picks COs by their own date)
+  // -> [{ id, name, rows, startSlip, addedSlip, finishSlip, costVariance, overrunRate, coCount, coCost, coByGroup }]
+  function phaseVariance(phases, coRows) {
+    const ids = new Set(phases.map((ph) => ph.project_id));
+    const cos = d3.group(coRows.filter((r) => ids.has(r.project_id)), (r) => r.phase_id);
+    return phaseLabels(phases).map(({ id, name }) => {
+      const rows = phases.filter((ph) => ph.phase_id === id);
+      const slips = rows.map(phaseSlip).filter((x) => isFinite(x.finish) && isFinite(x.start));
+      const costed = rows.filter((ph) => isFinite(ph.planned_cost) && ph.planned_cost > 0 && isFinite(ph.actual_cost));
+      const planned = d3.sum(costed, (ph) => ph.planned_cost);
+      const phaseCOs = cos.get(id) || [];
+      return {
+        id,
+        name,
+        rows: rows.length,
+        startSlip: d3.mean(slips, (x) => x.start) ?? NaN,
+        addedSlip: d3.mean(slips, (x) => x.added) ?? NaN,
+        finishSlip: d3.mean(slips, (x) => x.finish) ?? NaN,
+        costVariance: planned > 0 ? (d3.sum(costed, (ph) => ph.actual_cost) - planned) / planned : NaN,
+        overrunRate: costed.length ? costed.filter((ph) => ph.actual_cost > ph.planned_cost).length / costed.length : NaN,
+        coCount: phaseCOs.length,
+        coCost: d3.sum(phaseCOs, (r) => r.co_cost),
+        coByGroup: ReasonTaxonomy.groups().map((g) => ({
+          id: g.id,
+          label: g.label,
+          count: phaseCOs.filter((r) => r.co_reason_group === g.id).length,
+          cost: d3.sum(phaseCOs, (r) => (r.co_reason_group === g.id ? r.co_cost : 0)),
+        })),
+      };
+    });
+  }
+
+  // How much of a phase's finish slip shows up as a late start of the next
+  // phase in the same project. carried = Σ next start slip ÷ Σ finish slip
+  // over the pairs where the earlier phase finished late (1 = all of it
+  // carried over, 0 = absorbed, e.g. by overlapping the phases).
+  // -> [{ from, to, pairs, late, finishSlip, nextStartSlip, carried, r }]
+  function slipCarryover(phases) {
+    const byTransition = new Map();
+    d3.group(phases, (ph) => ph.project_id).forEach((rows) => {
+      const ordered = rows.slice().sort((a, b) => a.phase_id - b.phase_id);
+      ordered.slice(1).forEach((next, i) => {
+        const prev = ordered[i];
+        const x = ProjectData.daysBetween(prev.planned_end, prev.actual_end);
+        const y = ProjectData.daysBetween(next.planned_start, next.actual_start);
+        if (!isFinite(x) || !isFinite(y)) return;
+        const key = `${prev.phase_id}>${next.phase_id}`;
+        if (!byTransition.has(key)) byTransition.set(key, { from: prev.phase_name, to: next.phase_name, order: [+prev.phase_id, +next.phase_id], points: [] });
+        byTransition.get(key).points.push({ x, y });
+      });
+    });
+    return Array.from(byTransition.values())
+      .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1])
+      .map(({ from, to, points }) => {
+        const late = points.filter((p) => p.x > 0);
+        const lateSlip = d3.sum(late, (p) => p.x);
+        return {
+          from,
+          to,
+          pairs: points.length,
+          late: late.length,
+          finishSlip: d3.mean(points, (p) => p.x),
+          nextStartSlip: d3.mean(points, (p) => p.y),
+          carried: lateSlip > 0 ? d3.sum(late, (p) => Math.max(0, p.y)) / lateSlip : NaN,
+          r: pearson(points),
+        };
+      });
+  }
+
+  // One project's schedule and cost variance, step by step through its
+  // phases. A phase's schedule step is how far it moved the finish slip
+  // (its finish slip minus the previous phase's); its cost step is its
+  // actual − planned cost. "After last phase" is what the project-level
+  // numbers add on top (closeout, costs outside phases.csv), so the steps
+  // always add up to the project total.
+  // -> { schedule: { steps: [{ label, value }], total }, cost: { steps, total } }
+  function projectWaterfall(entry) {
+    const p = entry.project;
+    const phases = entry.phases.slice().sort((a, b) => a.phase_id - b.phase_id);
+
+    const schedule = [];
+    let lastFinish = 0;
+    phases.forEach((ph) => {
+      const finish = ProjectData.daysBetween(ph.planned_end, ph.actual_end);
+      if (!isFinite(finish)) return;
+      schedule.push({ label: ph.phase_name, value: finish - lastFinish });
+      lastFinish = finish;
+    });
+    const scheduleTotal = ProjectData.daysBetween(p.planned_end, p.actual_end);
+    if (isFinite(scheduleTotal)) schedule.push({ label: "After last phase", value: scheduleTotal - lastFinish });
+
+    const cost = phases
+      .filter((ph) => isFinite(ph.planned_cost) && isFinite(ph.actual_cost))
+      .map((ph) => ({ label: ph.phase_name, value: ph.actual_cost - ph.planned_cost }));
+    const costTotal = isFinite(p.actual_cost) && isFinite(p.planned_budget) ? p.actual_cost - p.planned_budget : NaN;
+    if (isFinite(costTotal)) cost.push({ label: "After last phase", value: costTotal - d3.sum(cost, (s) => s.value) });
+
+    return {
+      schedule: { steps: schedule, total: isFinite(scheduleTotal) ? scheduleTotal : lastFinish },
+      cost: { steps: cost, total: isFinite(costTotal) ? costTotal : d3.sum(cost, (s) => s.value) },
+    };
+  }
+
+  // ---------- Everything on the page ----------
+  function summary(data, { year = "all" } = {}) {
+    const s = slice(data, year);
+    // weather cost is priced per project, so the unsliced phases give the same answer
+    const weatherCost = weatherCostPerProject(data.phases);
+    return {
+      year: String(year),
+      kpis: kpis(s.projects),
+      series: {
+        costVarianceByPeriod: costVarianceByPeriod(s.projects, year),
+        scheduleVarianceByPeriod: scheduleVarianceByPeriod(s.projects, year),
+        topReasons: topReasons(s.changeOrders),
+        coFrequency: coFrequency(s.projects, s.changeOrders),
+        overrunAttribution: overrunAttribution(s.projects, s.changeOrders, year, weatherCost),
+        varianceVsDuration: varianceVsDuration(s.projects),
+        weatherHeatmap: { phases: phaseLabels(s.phases), rates: weatherHeatmap(s.phases, s.weather) },
+        weatherVsSlip: weatherVsSlip(s.phases),
+        weatherByMonth: weatherByMonth(s.weather),
+        phaseVariance: phaseVariance(s.phases, s.changeOrders),
+        slipCarryover: slipCarryover(s.phases),
+      },
+    };
+  }
+
+  return {
+    MONTH_LABELS,
+    slice,
+    kpis,
+    costVarianceByPeriod,
+    scheduleVarianceByPeriod,
+    topReasons,
+    coFrequency,
+    weatherCostPerProject,
+    overrunAttribution,
+    varianceVsDuration,
+    phaseLabels,
+    weatherHeatmap,
+    weatherVsSlip,
+    weatherByMonth,
+    phaseVariance,
+    slipCarryover,
+    projectWaterfall,
+    summary,
+  };
+})();
@@ -1,5 +1,7 @@
 // ==================== Diagnostic Dashboard JS ====================
-// Works with dashboards/diagnostic.html and data/{projects.csv, change_orders.csv}
+// Works with dashboards/diagnostic.html; data comes from js/data.js, CO
+// reason categories and groups from js/taxonomy.js, and the numbers from
+// js/diagnostic-kpis.js (shared with tools/kpis.js)
 //
 // KPIs (diagnostic):
 //   - Overrun Rate (% projects where actual_cost > planned_budget)
@@ -9,10 +11,20 @@
 // Charts:
 //   - Cost Variance — by YEAR (or by MONTH when a single year is selected)
 //   - Schedule Variance — by YEAR (or by MONTH when a single year is selected)
-//   - Change Orders — Top Reasons (horizontal bar)
+//   - Change Orders — Top Reasons (horizontal bar, stacked by taxonomy group)
 //   - Change Orders — Frequency by Project (histogram of #COs per project)
-//   - Overrun Attribution — CO vs Other (stacked bar by YEAR or MONTH)
+//   - Overrun Attribution — CO vs Weather vs Other (stacked bar by YEAR or MONTH)
 //   - Variance vs Duration (scatter: duration days vs. cost variance %)
+//   - Weather Delay Heatmap (month-of-year × phase, delay days per 30 phase-days)
+//   - Weather Delay vs Phase Slip (scatter per phase, with correlation r)
+//   - Weather Delay Hours by Month (weather.csv seasonal profile)
+//   - Phase Slip (avg start slip carried in + days added in the phase)
+//   - Phase Cost Variance (cost variance and share of phases over budget)
+//   - Change Orders by Phase (CO cost stacked by taxonomy group)
+//   - Schedule / Cost Variance Waterfall for one project (picker next to
+//     the year filter): each phase's step up to the project total
+//
+// Tables: phase variance detail, slip carryover between phases
 //
 // If canvases are not present, the renderer skips them gracefully.
 // ==================================================================
@@ -20,7 +32,6 @@
 window.addEventListener("DOMContentLoaded", () => {
   // ---------- DOM helpers ----------
   const $ = (id) => document.getElementById(id);
-  const parseDate = (s) => (s ? new Date(s) : null);
 
   const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
 
@@ -35,10 +46,14 @@ window.addEventListener("DOMContentLoaded", () => {
   }
   const pctStr  = (x) => isFinite(x) ? `${(x*100).toFixed(1)}%` : "N/A";
   const daysStr = (d) => (d != null && isFinite(d)) ? `${Math.round(d)} days` : "N/A";
+  const moneyStr = (n) => isFinite(n) ? `$${Math.round(n).toLocaleString()}` : "N/A";
+  const signed = (n, fmt) => (isFinite(n) && n > 0 ? `+${fmt(n)}` : fmt(n));
+  const { esc } = ProjectData;
 
   // ---------- Elements ----------
   const el = {
     yearFilter: $("yearFilter"),
+    waterfallProject: $("waterfallProject"),
 
     // KPIs
     kOverrunRate: $("kpiOverrunRate"),
@@ -52,6 +67,16 @@ window.addEventListener("DOMContentLoaded", () => {
     cCOFreq:  $("coFrequencyByProject"),
     cAttrib:  $("overrunAttribution"),
     cScatter: $("varianceVsDuration"),
+    weatherHeatmap: $("weatherHeatmap"),
+    cWeatherSlip: $("weatherVsSlip"),
+    cWeatherMonthly: $("weatherByMonth"),
+    cPhaseSlip: $("phaseSlip"),
+    cPhaseCost: $("phaseCostVariance"),
+    cPhaseCOs: $("phaseChangeOrders"),
+    phaseTable: $("phaseVarianceTable"),
+    carryoverTable: $("slipCarryoverTable"),
+    cSchedWaterfall: $("scheduleWaterfall"),
+    cCostWaterfall: $("costWaterfall"),
   };
 
   Object.entries(el).forEach(([k, v]) => {
@@ -59,8 +84,8 @@ window.addEventListener("DOMContentLoaded", () => {
   });
 
   // ---------- State ----------
-  let allProjects = [];
-  let allCOs = [];
+  let filtered = null;
+  let weatherCostByProject = {};
   const charts = {
     costVar: null,
     schedVar: null,
@@ -68,62 +93,37 @@ window.addEventListener("DOMContentLoaded", () => {
     coFreq: null,
     attrib: null,
     scatter: null,
+    weatherSlip: null,
+    weatherMonthly: null,
+    phaseSlip: null,
+    phaseCost: null,
+    phaseCOs: null,
+    schedWaterfall: null,
+    costWaterfall: null,
   };
 
-  // ---------- Reason mapping ----------
-  // 0 = scope change, 1 = client request, 2 = unforeseen conditions, 3 = design revision
-  const REASON_MAP = {
-    "0": "Scope Change",
-    "1": "Client Request",
-    "2": "Unforeseen Conditions",
-    "3": "Design Revision",
-  };
-
-  // ---------- Load CSVs ----------
-  Promise.all([
-    d3.csv("../data/projects.csv"),
-    d3.csv("../data/change_orders.csv"),
-  ])
-    .then(([projectRows, coRows]) => {
-      // Normalize projects
-      allProjects = projectRows.map((d) => ({
-        project_id: d.project_id,
-        project_name: d.project_name,
-        start_date: d.start_date,
-        planned_end: d.planned_end,
-        actual_end: d.actual_end || "",
-        planned_budget: +d.planned_budget,
-        actual_cost: +d.actual_cost,
-        completion_pct: +d.completion_pct,
-      }));
-
-      // Normalize change orders (apply robust reason mapping)
-      allCOs = coRows.map((d) => {
-        // trim/normalize raw value so " 0", "0 ", "0.0" still map
-        const raw = (d.co_reason ?? "").toString().trim();
-        const numericish = raw.replace(/\.0+$/, ""); // e.g., "0.0" -> "0"
-        const mapped = REASON_MAP[raw] || REASON_MAP[numericish];
-        return {
-          project_id: d.project_id,
-          phase_id: d.phase_id,
-          co_id: d.co_id,
-          co_cost: +d.co_cost,
-          co_reason: mapped || (raw || "Unspecified"),
-          date: d.date,
-        };
+  // ---------- Load data ----------
+  ProjectData.load()
+    .then((data) => {
+      populateYearFilter(data.projects);
+
+      // global filter bar (js/filters.js) narrows the data; the year
+      // filter slices what is left
+      GlobalFilters.mount(data, (next) => {
+        filtered = next;
+        weatherCostByProject = DiagnosticKPIs.weatherCostPerProject(filtered.phases);
+        updateView();
       });
 
-      populateYearFilter(allProjects);
-      updateView();
-
       el.yearFilter.addEventListener("change", updateView);
+      el.waterfallProject?.addEventListener("change", renderWaterfall);
     })
     .catch((err) => console.error("[DIAGNOSTIC] CSV load error:", err));
 
   // ---------- UI builders ----------
   function populateYearFilter(projects) {
     const years = Array.from(
-      new Set(projects.map((r) => new Date(r.start_date).getFullYear()))
+      new Set(projects.filter((r) => r.start_date).map((r) => r.start_date.getFullYear()))
     ).sort((a, b) => a - b);
     years.forEach((y) => {
       const opt = document.createElement("option");
@@ -136,187 +136,26 @@ window.addEventListener("DOMContentLoaded", () => {
   function updateView() {
     const sel = el.yearFilter.value; // "all" or "YYYY"
 
-    const projSlice =
-      sel === "all"
-        ? allProjects
-        : allProjects.filter(
-            (r) => new Date(r.start_date).getFullYear().toString() === sel
-          );
-
-    const coSlice =
-      sel === "all"
-        ? allCOs
-        : allCOs.filter((r) => {
-            const d = new Date(r.date);
-            return !isNaN(d) && d.getFullYear().toString() === sel;
-          });
-
-    updateKPIs(projSlice);
-    renderCharts(projSlice, coSlice, sel);
+    const { projects, changeOrders, phases, weather } = DiagnosticKPIs.slice(filtered, sel);
+
+    DataExport.setRows({ projects, changeOrders, phases, weather });
+    updateKPIs(projects);
+    renderCharts(projects, changeOrders, sel);
+    renderWeather(phases, weather, sel);
+    renderPhases(phases, changeOrders, sel);
+    populateWaterfallProjects(projects);
+    renderWaterfall();
   }
 
   // ---------- KPIs ----------
   function updateKPIs(rows) {
-    // Cost variance ratio (actual - planned)/planned, ignore rows without both
-    const vars = rows
-      .map((r) => {
-        const p = r.planned_budget;
-        const a = r.actual_cost;
-        if (!isFinite(p) || p <= 0 || !isFinite(a)) return NaN;
-        return (a - p) / p;
-      })
-      .filter((v) => isFinite(v));
-
-    // Overrun rate
-    const overruns = vars.filter((v) => v > 0).length;
-    const overrunRate = vars.length ? overruns / vars.length : NaN;
-
-    // Schedule variance in days: (actual_end - planned_end)
-    const scheds = rows
-      .map((r) => {
-        const pe = parseDate(r.planned_end);
-        const ae = parseDate(r.actual_end);
-        if (!pe || !ae || isNaN(pe) || isNaN(ae)) return NaN;
-        return (ae - pe) / (1000 * 60 * 60 * 24);
-      })
-      .filter((v) => isFinite(v));
-
-    const avgCostVar = d3.mean(vars);
-    const avgSchedVar = d3.mean(scheds);
+    const { overrunRate, avgCostVariance: avgCostVar, avgScheduleVarianceDays: avgSchedVar } = DiagnosticKPIs.kpis(rows);
 
     if (el.kOverrunRate) el.kOverrunRate.textContent = pctStr(overrunRate);
     if (el.kAvgCostVar)  el.kAvgCostVar.textContent  = pctStr(avgCostVar);
     if (el.kAvgSchedVar) el.kAvgSchedVar.textContent = daysStr(avgSchedVar);
   }
 
-  // ---------- Derived metrics ----------
-  function projectDurationDays(r) {
-    // Prefer actual duration if possible; else planned
-    const s = parseDate(r.start_date);
-    const e = parseDate(r.actual_end) || parseDate(r.planned_end);
-    if (!s || !e || isNaN(s) || isNaN(e)) return NaN;
-    return (e - s) / (1000 * 60 * 60 * 24);
-  }
-
-  function projectCostVarianceRatio(r) {
-    const p = r.planned_budget;
-    const a = r.actual_cost;
-    if (!isFinite(p) || p <= 0 || !isFinite(a)) return NaN;
-    return (a - p) / p;
-  }
-
-  // rollups by year / month for a given accessor (e.g., variance ratio, schedule variance)
-  function rollupAvgByYear(rows, accessor) {
-    const sums = {};
-    const counts = {};
-    rows.forEach((r) => {
-      const v = accessor(r);
-      if (!isFinite(v)) return;
-      const y = new Date(r.start_date).getFullYear();
-      sums[y] = (sums[y] || 0) + v;
-      counts[y] = (counts[y] || 0) + 1;
-    });
-    const out = {};
-    Object.keys(sums).forEach((y) => (out[y] = sums[y] / counts[y]));
-    return out;
-  }
-
-  function rollupAvgByMonth(rows, year, accessor) {
-    const sums = Array(12).fill(0);
-    const counts = Array(12).fill(0);
-    rows.forEach((r) => {
-      const d = new Date(r.start_date);
-      if (isNaN(d) || d.getFullYear() !== year) return;
-      const v = accessor(r);
-      if (!isFinite(v)) return;
-      const m = d.getMonth();
-      sums[m] += v;
-      counts[m] += 1;
-    });
-    return sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
-  }
-
-  function coCountsPerProject(coRows) {
-    // returns map { project_id -> count }
-    const m = {};
-    coRows.forEach((r) => {
-      const k = r.project_id || "__missing__";
-      m[k] = (m[k] || 0) + 1;
-    });
-    return m;
-  }
-
-  function coTotalsPerProject(coRows) {
-    // returns map { project_id -> total co_cost }
-    const m = {};
-    coRows.forEach((r) => {
-      const k = r.project_id || "__missing__";
-      const c = isFinite(r.co_cost) ? r.co_cost : 0;
-      m[k] = (m[k] || 0) + c;
-    });
-    return m;
-  }
-
-  function topReasons(coRows, topN = 7) {
-    const counts = {};
-    coRows.forEach((r) => {
-      const k = (r.co_reason || "Unspecified").trim() || "Unspecified";
-      counts[k] = (counts[k] || 0) + 1;
-    });
-    const pairs = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, topN);
-    return { labels: pairs.map(p => p[0]), values: pairs.map(p => p[1]) };
-  }
-
-  function overrunAttributionByTime(projects, coRows, isAll, yearInt) {
-    // For each project, compute:
-    // overrun = max(actual - planned, 0)
-    // co_total = sum COs for that project (in the current slice)
-    // attributed_to_CO = min(overrun, co_total)
-    // other = overrun - attributed_to_CO
-    const coTotals = coTotalsPerProject(coRows);
-
-    const bucketer = (r) => {
-      const d = new Date(r.start_date);
-      return isAll ? d.getFullYear() : d.getMonth(); // year or month index
-    };
-
-    const out = {};
-    projects.forEach((r) => {
-      const p = r.planned_budget;
-      const a = r.actual_cost;
-      if (!isFinite(p) || !isFinite(a)) return;
-      const overrun = Math.max(a - p, 0);
-      if (overrun <= 0) return;
-
-      const coSum = coTotals[r.project_id] || 0;
-      const attrCO = Math.min(overrun, coSum);
-      const attrOther = Math.max(overrun - attrCO, 0);
-
-      const key = bucketer(r);
-      if (!out[key]) out[key] = { co: 0, other: 0 };
-      out[key].co += attrCO;
-      out[key].other += attrOther;
-    });
-
-    // labels as year numbers or month names
-    let labels, coVals, otherVals;
-    if (isAll) {
-      labels = Object.keys(out).map(Number).sort((a, b) => a - b);
-      coVals = labels.map((k) => out[k]?.co || 0);
-      otherVals = labels.map((k) => out[k]?.other || 0);
-    } else {
-      labels = MONTH_LABELS.slice();
-      coVals = Array(12).fill(0);
-      otherVals = Array(12).fill(0);
-      Object.keys(out).forEach((mStr) => {
-        const m = +mStr;
-        coVals[m] = out[m].co;
-        otherVals[m] = out[m].other;
-      });
-    }
-    return { labels, coVals, otherVals };
-  }
-
   // ---------- Rendering ----------
   function renderCharts(projects, coRows, selected) {
     const isAll = selected === "all";
@@ -333,17 +172,8 @@ window.addEventListener("DOMContentLoaded", () => {
     // --- Cost variance (avg) ---
     setTitle(el.cCostVar, "Cost Variance — by Year", (y) => `Cost Variance — by Month (${y})`);
     if (el.cCostVar) {
-      let labels, values, rotateX;
-      if (isAll) {
-        const m = rollupAvgByYear(projects, projectCostVarianceRatio);
-        labels = Object.keys(m).map(Number).sort((a, b) => a - b);
-        values = labels.map((y) => m[y]);
-        rotateX = labels.length > 12;
-      } else {
-        labels = MONTH_LABELS.slice();
-        values = rollupAvgByMonth(projects, yearInt, projectCostVarianceRatio);
-        rotateX = false;
-      }
+      const { labels, values } = DiagnosticKPIs.costVarianceByPeriod(projects, selected);
+      const rotateX = isAll && labels.length > 12;
       charts.costVar = drawOrUpdateChart(
         charts.costVar,
         el.cCostVar,
@@ -366,24 +196,8 @@ window.addEventListener("DOMContentLoaded", () => {
     // --- Schedule variance (avg days) ---
     setTitle(el.cSchedVar, "Schedule Variance — by Year", (y) => `Schedule Variance — by Month (${y})`);
     if (el.cSchedVar) {
-      const schedVarAccessor = (r) => {
-        const pe = parseDate(r.planned_end);
-        const ae = parseDate(r.actual_end);
-        if (!pe || !ae || isNaN(pe) || isNaN(ae)) return NaN;
-        return (ae - pe) / (1000 * 60 * 60 * 24);
-      };
-
-      let labels, values, rotateX;
-      if (isAll) {
-        const m = rollupAvgByYear(projects, schedVarAccessor);
-        labels = Object.keys(m).map(Number).sort((a, b) => a - b);
-        values = labels.map((y) => m[y]);
-        rotateX = labels.length > 12;
-      } else {
-        labels = MONTH_LABELS.slice();
-        values = rollupAvgByMonth(projects, yearInt, schedVarAccessor);
-        rotateX = false;
-      }
+      const { labels, values } = DiagnosticKPIs.scheduleVarianceByPeriod(projects, selected);
+      const rotateX = isAll && labels.length > 12;
 
       charts.schedVar = drawOrUpdateChart(
         charts.schedVar,
@@ -404,18 +218,20 @@ window.addEventListener("DOMContentLoaded", () => {
       );
     }
 
-    // --- CO Top Reasons (now uses mapped labels) ---
+    // --- CO Top Reasons (taxonomy categories, grouped) ---
     setTitle(el.cReasons, "Change Orders — Top Reasons", (y) => `Change Orders — Top Reasons (${y})`);
     if (el.cReasons) {
-      const { labels, values } = topReasons(coRows, 7);
+      const { labels, groups } = DiagnosticKPIs.topReasons(coRows, 7);
+      // one dataset per taxonomy group so the legend shows which group each reason rolls up to
+      const datasets = groups.map((g) => ({ label: `${g.label} (${g.total})`, data: g.values }));
       charts.reasons = drawOrUpdateChart(
         charts.reasons,
         el.cReasons,
         {
           type: "bar",
-          data: { labels, datasets: [{ label: "Count", data: values }] },
-          options: { 
-            ...axisOptions({ money: false }),
+          data: { labels, datasets },
+          options: {
+            ...axisOptions({ money: false, stacked: true }),
             indexAxis: "y"
           },
         }
@@ -425,15 +241,7 @@ window.addEventListener("DOMContentLoaded", () => {
     // --- CO Frequency by Project (histogram bins) ---
     setTitle(el.cCOFreq, "Change Orders — Frequency by Project", (y) => `Change Orders — Frequency (${y})`);
     if (el.cCOFreq) {
-      const countsMap = coCountsPerProject(coRows);
-      // Represent all projects in the slice (even 0 COs)
-      const counts = projects.map((p) => countsMap[p.project_id] || 0);
-      const labels = ["0","1","2","3","4","5+"];   // bin labels
-      const hist = Array(labels.length).fill(0);
-      counts.forEach((c) => {
-        if (c >= 5) hist[5] += 1;
-        else hist[c] += 1;
-      });
+      const { labels, values: hist } = DiagnosticKPIs.coFrequency(projects, coRows);
 
       charts.coFreq = drawOrUpdateChart(
         charts.coFreq,
@@ -447,9 +255,10 @@ window.addEventListener("DOMContentLoaded", () => {
     }
 
     // --- Overrun Attribution (stacked) ---
-    setTitle(el.cAttrib, "Overrun Attribution — CO vs Other", (y) => `Overrun Attribution — CO vs Other (${y})`);
+    setTitle(el.cAttrib, "Overrun Attribution — CO vs Weather vs Other", (y) => `Overrun Attribution — CO vs Weather vs Other (${y})`);
     if (el.cAttrib) {
-      const { labels, coVals, otherVals } = overrunAttributionByTime(projects, coRows, isAll, yearInt);
+      const { labels, co: coVals, weather: weatherVals, other: otherVals } =
+        DiagnosticKPIs.overrunAttribution(projects, coRows, selected, weatherCostByProject);
       charts.attrib = drawOrUpdateChart(
         charts.attrib,
         el.cAttrib,
@@ -459,6 +268,7 @@ window.addEventListener("DOMContentLoaded", () => {
             labels,
             datasets: [
               { label: "CO-driven", data: coVals, stack: "s1" },
+              { label: "Weather",   data: weatherVals, stack: "s1" },
               { label: "Other",     data: otherVals, stack: "s1" },
             ],
           },
@@ -473,14 +283,7 @@ window.addEventListener("DOMContentLoaded", () => {
     // --- Scatter: duration vs cost variance ---
     setTitle(el.cScatter, "Variance vs Duration (Correlation)", (y) => `Variance vs Duration (${y})`);
     if (el.cScatter) {
-      const pts = projects
-        .map((r) => {
-          const x = projectDurationDays(r);
-          const y = projectCostVarianceRatio(r);
-          if (!isFinite(x) || !isFinite(y)) return null;
-          return { x, y };
-        })
-        .filter(Boolean);
+      const pts = DiagnosticKPIs.varianceVsDuration(projects);
 
       charts.scatter = drawOrUpdateChart(
         charts.scatter,
@@ -499,13 +302,21 @@ window.addEventListener("DOMContentLoaded", () => {
           options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Click a dot to drill into that project
+            onClick: (evt, els) => {
+              const pt = els.length && pts[els[0].index];
+              if (pt) location.href = GlobalFilters.link(`project.html?id=${encodeURIComponent(pt.id)}`);
+            },
+            onHover: (evt, els) => {
+              evt.native.target.style.cursor = els.length ? "pointer" : "default";
+            },
             plugins: {
               legend: { position: "top" },
               tooltip: {
                 callbacks: {
                   label: (ctx) => {
-                    const { x, y } = ctx.raw || {};
-                    return `Duration: ${Math.round(x)} days, Var: ${(y*100).toFixed(1)}%`;
+                    const { x, y, name } = ctx.raw || {};
+                    return `${name}: Duration ${Math.round(x)} days, Var ${(y*100).toFixed(1)}%`;
                   },
                 },
               },
@@ -522,6 +333,305 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // ---------- Weather ----------
+  function renderWeather(phases, weatherRows, selected) {
+    const isAll = selected === "all";
+    const suffix = isAll ? "" : ` (${selected})`;
+    const phaseList = DiagnosticKPIs.phaseLabels(phases);
+
+    // --- Heatmap (HTML table, colored by delay rate) ---
+    if (el.weatherHeatmap) {
+      const rates = DiagnosticKPIs.weatherHeatmap(phases, weatherRows);
+      // color across the observed range so seasonal differences stand out
+      const [minRate, maxRate] = d3.extent(Object.values(rates).flat().filter((v) => isFinite(v)));
+      const lo = minRate ?? 0;
+      const hi = maxRate > lo ? maxRate : lo + 1;
+      const color = d3.scaleSequential(d3.interpolateBlues).domain([lo, hi]);
+      const head = MONTH_LABELS.map((m) => `<th>${m}</th>`).join("");
+      const body = phaseList.map(({ id, name }) => {
+        const cells = (rates[id] || Array(12).fill(NaN)).map((v) => {
+          if (!isFinite(v)) return `<td class="heat-cell">–</td>`;
+          const textColor = v > lo + (hi - lo) * 0.6 ? "#fff" : "inherit";
+          return `<td class="heat-cell" style="background:${color(v)};color:${textColor}" title="${esc(name)}: ${v.toFixed(2)} delay days per 30 phase-days">${v.toFixed(1)}</td>`;
+        }).join("");
+        return `<tr><th>${esc(name)}</th>${cells}</tr>`;
+      }).join("");
+      el.weatherHeatmap.innerHTML = `
+        <div class="table-wrap">
+          <table class="simple-table heatmap">
+            <thead><tr><th>Phase</th>${head}</tr></thead>
+            <tbody>${body}</tbody>
+          </table>
+        </div>`;
+      const t = el.weatherHeatmap.previousElementSibling;
+      if (t) t.textContent = `Weather Delay Heatmap — Month × Phase${suffix}`;
+    }
+
+    // --- Scatter: phase weather delay days vs finish slip ---
+    if (el.cWeatherSlip) {
+      const { series, r } = DiagnosticKPIs.weatherVsSlip(phases);
+      const datasets = series.map((s) => ({ label: s.name, data: s.points, pointRadius: 3 }));
+
+      const t = el.cWeatherSlip.previousElementSibling;
+      if (t) t.textContent = `Weather Delay vs Phase Slip${suffix} — r = ${isFinite(r) ? r.toFixed(2) : "N/A"}`;
+
+      charts.weatherSlip = drawOrUpdateChart(
+        charts.weatherSlip,
+        el.cWeatherSlip,
+        {
+          type: "scatter",
+          data: { datasets },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+              legend: { position: "top" },
+              tooltip: {
+                callbacks: {
+                  label: (ctx) => {
+                    const { x, y, id } = ctx.raw || {};
+                    return `Project ${id} ${ctx.dataset.label}: weather ${x} d, slip ${y} d`;
+                  },
+                },
+              },
+            },
+            scales: {
+              x: { title: { display: true, text: "Weather delay (days)" }, grid: { display: false } },
+              y: { title: { display: true, text: "Phase finish slip (days)" } },
+            },
+          },
+        }
+      );
+    }
+
+    // --- Seasonal profile from weather.csv ---
+    if (el.cWeatherMonthly) {
+      const t = el.cWeatherMonthly.previousElementSibling;
+      if (t) t.textContent = `Weather Delay Hours by Month${suffix}`;
+
+      const { labels, values } = DiagnosticKPIs.weatherByMonth(weatherRows);
+      charts.weatherMonthly = drawOrUpdateChart(
+        charts.weatherMonthly,
+        el.cWeatherMonthly,
+        {
+          type: "bar",
+          data: {
+            labels,
+            datasets: [
+              { label: "Avg delay hours per record", data: values },
+            ],
+          },
+          options: axisOptions({
+            money: false,
+            yTickFmt: (v) => v.toFixed(1),
+            tooltipFmt: (v) => `${v.toFixed(2)} hrs`,
+          }),
+        }
+      );
+    }
+  }
+
+  // ---------- Phases ----------
+  function renderPhases(phases, coRows, selected) {
+    const suffix = selected === "all" ? "" : ` (${selected})`;
+    const rows = DiagnosticKPIs.phaseVariance(phases, coRows);
+    const labels = rows.map((r) => r.name);
+    const setTitle = (node, text) => {
+      const t = node?.previousElementSibling;
+      if (t) t.textContent = text + suffix;
+    };
+
+    // stacked, so each bar ends at the phase's average finish slip
+    setTitle(el.cPhaseSlip, "Phase Slip — Carried In vs Added");
+    if (el.cPhaseSlip) {
+      charts.phaseSlip = drawOrUpdateChart(charts.phaseSlip, el.cPhaseSlip, {
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            { label: "Start slip (carried in)", data: rows.map((r) => r.startSlip) },
+            { label: "Added in phase", data: rows.map((r) => r.addedSlip) },
+          ],
+        },
+        options: axisOptions({
+          money: false,
+          stacked: true,
+          yTickFmt: (v) => `${Math.round(v)}`,
+          tooltipFmt: (v) => `${v.toFixed(1)} days`,
+        }),
+      });
+    }
+
+    setTitle(el.cPhaseCost, "Phase Cost Variance");
+    if (el.cPhaseCost) {
+      charts.phaseCost = drawOrUpdateChart(charts.phaseCost, el.cPhaseCost, {
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            { label: "Cost variance", data: rows.map((r) => r.costVariance) },
+            { label: "Phases over budget", data: rows.map((r) => r.overrunRate) },
+          ],
+        },
+        options: axisOptions({
+          money: false,
+          yTickFmt: (v) => `${(v*100).toFixed(0)}%`,
+          tooltipFmt: (v) => `${(v*100).toFixed(1)}%`,
+        }),
+      });
+    }
+
+    // one dataset per taxonomy group, as on the top reasons chart
+    setTitle(el.cPhaseCOs, "Change Orders by Phase");
+    if (el.cPhaseCOs) {
+      const groups = ReasonTaxonomy.groups().filter((g, i) => rows.some((r) => r.coByGroup[i].count));
+      charts.phaseCOs = drawOrUpdateChart(charts.phaseCOs, el.cPhaseCOs, {
+        type: "bar",
+        data: {
+          labels,
+          datasets: groups.map((g) => ({
+            label: g.label,
+            data: rows.map((r) => r.coByGroup.find((x) => x.id === g.id).cost),
+          })),
+        },
+        options: axisOptions({ money: true, stacked: true }),
+      });
+    }
+
+    if (el.phaseTable) {
+      const body = rows.map((r) => `<tr>
+          <td>${esc(r.name)}</td>
+          <td class="num">${r.rows.toLocaleString()}</td>
+          <td class="num">${signed(r.startSlip, daysStr)}</td>
+          <td class="num">${signed(r.addedSlip, daysStr)}</td>
+          <td class="num">${signed(r.finishSlip, daysStr)}</td>
+          <td class="num">${signed(r.costVariance, pctStr)}</td>
+          <td class="num">${pctStr(r.overrunRate)}</td>
+          <td class="num">${r.coCount.toLocaleString()}</td>
+          <td class="num">${moneyStr(r.coCost)}</td>
+          <td class="num">${r.rows ? (r.coCount / r.rows).toFixed(2) : "N/A"}</td>
+        </tr>`).join("");
+      el.phaseTable.innerHTML = `
+        <div class="table-wrap">
+          <table class="simple-table">
+            <thead><tr>
+              <th>Phase</th><th class="num">Phases</th><th class="num">Avg start slip</th><th class="num">Avg added</th>
+              <th class="num">Avg finish slip</th><th class="num">Cost variance</th><th class="num">Over budget</th>
+              <th class="num">COs</th><th class="num">CO cost</th><th class="num">COs per phase</th>
+            </tr></thead>
+            <tbody>${body || `<tr><td colspan="10">No phases in this selection.</td></tr>`}</tbody>
+          </table>
+        </div>`;
+      setTitle(el.phaseTable, "Phase Variance Detail");
+    }
+
+    if (el.carryoverTable) {
+      const body = DiagnosticKPIs.slipCarryover(phases).map((t) => `<tr>
+          <td>${esc(t.from)} → ${esc(t.to)}</td>
+          <td class="num">${t.pairs.toLocaleString()}</td>
+          <td class="num">${t.late.toLocaleString()}</td>
+          <td class="num">${signed(t.finishSlip, daysStr)}</td>
+          <td class="num">${signed(t.nextStartSlip, daysStr)}</td>
+          <td class="num">${pctStr(t.carried)}</td>
+          <td class="num">${isFinite(t.r) ? t.r.toFixed(2) : "N/A"}</td>
+        </tr>`).join("");
+      el.carryoverTable.innerHTML = `
+        <div class="table-wrap">
+          <table class="simple-table">
+            <thead><tr>
+              <th>Hand-off</th><th class="num">Projects</th><th class="num">Finished late</th>
+              <th class="num">Avg finish slip</th><th class="num">Avg next start slip</th><th class="num">Carried</th><th class="num">r</th>
+            </tr></thead>
+            <tbody>${body || `<tr><td colspan="7">No consecutive phases with actual dates in this selection.</td></tr>`}</tbody>
+          </table>
+        </div>`;
+      setTitle(el.carryoverTable, "Slip Carryover Between Phases");
+    }
+  }
+
+  // ---------- Waterfall ----------
+  // Projects in the current slice that have phases; keeps the pick when it
+  // is still there, else the project with the largest overrun
+  function populateWaterfallProjects(projects) {
+    if (!el.waterfallProject) return;
+    const current = el.waterfallProject.value;
+    const list = projects
+      .filter((p) => filtered.byProject.get(p.project_id)?.phases.length)
+      .sort((a, b) => a.project_id.localeCompare(b.project_id));
+    el.waterfallProject.innerHTML = list
+      .map((p) => `<option value="${esc(p.project_id)}">${esc(p.project_name || p.project_id)}</option>`)
+      .join("");
+    if (list.some((p) => p.project_id === current)) {
+      el.waterfallProject.value = current;
+    } else if (list.length) {
+      const overrun = (p) => (isFinite(p.actual_cost - p.planned_budget) ? p.actual_cost - p.planned_budget : -Infinity);
+      el.waterfallProject.value = list.reduce((a, b) => (overrun(b) > overrun(a) ? b : a)).project_id;
+    }
+  }
+
+  function renderWaterfall() {
+    const entry = filtered?.byProject.get(el.waterfallProject?.value);
+    const name = entry ? entry.project.project_name : "";
+    const w = entry ? DiagnosticKPIs.projectWaterfall(entry) : { schedule: { steps: [], total: NaN }, cost: { steps: [], total: NaN } };
+
+    const t1 = el.cSchedWaterfall?.previousElementSibling;
+    if (t1) t1.textContent = `Schedule Variance Waterfall${name ? ` — ${name}` : ""}`;
+    charts.schedWaterfall = drawOrUpdateChart(charts.schedWaterfall, el.cSchedWaterfall, waterfall(w.schedule, {
+      tick: (v) => `${Math.round(v)}`,
+      fmt: (v) => signed(v, daysStr),
+    }));
+
+    const t2 = el.cCostWaterfall?.previousElementSibling;
+    if (t2) t2.textContent = `Cost Variance Waterfall${name ? ` — ${name}` : ""}`;
+    charts.costWaterfall = drawOrUpdateChart(charts.costWaterfall, el.cCostWaterfall, waterfall(w.cost, {
+      tick: (v) => `$${abbrNumber(v)}`,
+      fmt: (v) => (v < 0 ? `-$${abbrNumber(-v)}` : `+$${abbrNumber(v)}`),
+    }));
+  }
+
+  // Floating bars from the running total; one dataset each for steps that
+  // add, steps that take away and the total, so the legend doubles as a key
+  function waterfall({ steps, total }, { tick, fmt }) {
+    const labels = [...steps.map((s) => s.label), "Total"];
+    const up = [], down = [], sum = [];
+    let run = 0;
+    steps.forEach((s) => {
+      const bar = [run, run + s.value];
+      up.push(s.value >= 0 ? bar : null);
+      down.push(s.value < 0 ? bar : null);
+      sum.push(null);
+      run += s.value;
+    });
+    up.push(null);
+    down.push(null);
+    sum.push(isFinite(total) ? [0, total] : null);
+    const delta = [...steps.map((s) => s.value), total];
+
+    return {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Adds", data: up, grouped: false },
+          { label: "Recovers", data: down, grouped: false },
+          { label: "Total", data: sum, grouped: false },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: "top" },
+          tooltip: { callbacks: { label: (ctx) => `${ctx.label}: ${fmt(delta[ctx.dataIndex])}` } },
+        },
+        scales: {
+          x: { grid: { display: false } },
+          y: { ticks: { callback: tick } },
+        },
+      },
+    };
+  }
+
   // ---------- Chart helpers ----------
   function axisOptions({ money, rotateX = false, yTickFmt, tooltipFmt, stacked = false }) {
     return {
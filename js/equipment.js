@@ -0,0 +1,313 @@
+// ==================== Equipment Dashboard JS ====================
+// Works with dashboards/equipment.html; data (equipment.csv joined to
+// projects) comes from js/data.js
+//
+// Definitions:
+//   - Utilization   = actual_hours / planned_hours
+//   - Downtime rate = downtime_hours / (actual_hours + downtime_hours)
+//   - Over-booked   = planned hours never used (planned − actual, when > 0)
+//   - Under-booked  = hours used beyond the booking (actual − planned, when > 0)
+//   - Unreliable    = unit deployed on 2+ phases whose downtime rate is at
+//                     least 1.5× the average for its equipment type
+//
+// KPIs: Fleet Utilization, Downtime Rate, Unreliable Units
+// Charts:
+//   - Utilization by Type, Downtime Rate by Type
+//   - Over/Under-Booking by Phase
+//   - Utilization Distribution (deployments per utilization band)
+//   - Highest Downtime Units (top 15 by downtime rate)
+// Table: chronically unreliable units
+//
+// Year filter follows the other dashboards (project start year).
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+
+  function abbrNumber(n) {
+    if (!isFinite(n)) return "0";
+    const abs = Math.abs(n);
+    if (abs >= 1e12) return (n / 1e12).toFixed(1) + "T";
+    if (abs >= 1e9)  return (n / 1e9 ).toFixed(1) + "B";
+    if (abs >= 1e6)  return (n / 1e6 ).toFixed(1) + "M";
+    if (abs >= 1e3)  return (n / 1e3 ).toFixed(1) + "K";
+    return String(Math.round(n));
+  }
+
+  const UNRELIABLE_MIN_DEPLOYMENTS = 2;
+  const UNRELIABLE_FACTOR = 1.5;
+  const UTIL_BINS = [
+    { label: "<60%",    lo: -Infinity, hi: 0.6 },
+    { label: "60–80%",  lo: 0.6, hi: 0.8 },
+    { label: "80–100%", lo: 0.8, hi: 1.0 },
+    { label: "100–120%", lo: 1.0, hi: 1.2 },
+    { label: "120%+",   lo: 1.2, hi: Infinity },
+  ];
+
+  // ---------- Elements ----------
+  const el = {
+    yearFilter: $("yearFilter"),
+
+    kUtil: $("kpiFleetUtilization"),
+    kDowntime: $("kpiDowntimeRate"),
+    kUnreliable: $("kpiUnreliableUnits"),
+
+    cUtilByType: $("utilizationByType"),
+    cDowntimeByType: $("downtimeByType"),
+    cBooking: $("bookingByPhase"),
+    cUtilDist: $("utilizationDistribution"),
+    cWorstUnits: $("worstUnits"),
+    unitTable: $("unreliableTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[EQUIPMENT] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let allEquipment = [];
+  const charts = { utilByType: null, downtimeByType: null, booking: null, utilDist: null, worstUnits: null };
+
+  ProjectData.load()
+    .then((data) => {
+      populateYearFilter(data.projects);
+
+      // global filter bar (js/filters.js) narrows the data; the year
+      // filter slices what is left
+      GlobalFilters.mount(data, (filtered) => {
+        allEquipment = filtered.equipment.map((r) => ({
+          ...r,
+          start_date: filtered.byProject.get(r.project_id)?.project.start_date || null,
+        }));
+        updateView();
+      });
+
+      el.yearFilter.addEventListener("change", updateView);
+    })
+    .catch((err) => console.error("[EQUIPMENT] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateYearFilter(projects) {
+    const years = Array.from(
+      new Set(projects.filter((r) => r.start_date).map((r) => r.start_date.getFullYear()))
+    ).sort((a, b) => a - b);
+    years.forEach((y) => {
+      const opt = document.createElement("option");
+      opt.value = y;
+      opt.textContent = y;
+      el.yearFilter.appendChild(opt);
+    });
+  }
+
+  function updateView() {
+    const sel = el.yearFilter.value; // "all" or "YYYY"
+    const slice =
+      sel === "all"
+        ? allEquipment
+        : allEquipment.filter((r) => r.start_date && r.start_date.getFullYear().toString() === sel);
+
+    DataExport.setRows({ equipment: slice });
+    const units = unitStats(slice);
+    updateKPIs(slice, units);
+    renderCharts(slice, units);
+    renderUnitTable(units);
+  }
+
+  // ---------- Rollups ----------
+  function hoursTotals(rows) {
+    const t = { planned: 0, actual: 0, downtime: 0, overBooked: 0, underBooked: 0, deployments: 0 };
+    rows.forEach((r) => {
+      if (!isFinite(r.planned_hours) || !isFinite(r.actual_hours)) return;
+      t.planned += r.planned_hours;
+      t.actual += r.actual_hours;
+      t.downtime += isFinite(r.downtime_hours) ? r.downtime_hours : 0;
+      t.overBooked += Math.max(0, r.planned_hours - r.actual_hours);
+      t.underBooked += Math.max(0, r.actual_hours - r.planned_hours);
+      t.deployments += 1;
+    });
+    t.utilization = t.planned > 0 ? t.actual / t.planned : NaN;
+    t.downtimeRate = t.actual + t.downtime > 0 ? t.downtime / (t.actual + t.downtime) : NaN;
+    return t;
+  }
+
+  function totalsBy(rows, keyFn) {
+    return new Map(Array.from(d3.group(rows, keyFn), ([k, v]) => [k, hoursTotals(v)]));
+  }
+
+  // Per-unit totals, flagged against the average downtime rate of its type
+  function unitStats(rows) {
+    const typeRate = totalsBy(rows, (r) => r.type);
+    return Array.from(d3.group(rows, (r) => r.equipment_id), ([id, v]) => {
+      const t = hoursTotals(v);
+      const type = v[0].type;
+      const typeAvg = typeRate.get(type)?.downtimeRate;
+      const ratio = typeAvg > 0 ? t.downtimeRate / typeAvg : NaN;
+      return {
+        id, type, ...t, typeAvg, ratio,
+        projects: Array.from(new Set(v.map((r) => r.project_id))),
+        unreliable: t.deployments >= UNRELIABLE_MIN_DEPLOYMENTS && ratio >= UNRELIABLE_FACTOR,
+      };
+    });
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(rows, units) {
+    const t = hoursTotals(rows);
+    if (el.kUtil) el.kUtil.textContent = pctStr(t.utilization);
+    if (el.kDowntime) el.kDowntime.textContent = `${pctStr(t.downtimeRate)} (${abbrNumber(t.downtime)} hrs)`;
+    if (el.kUnreliable) {
+      el.kUnreliable.textContent = `${units.filter((u) => u.unreliable).length} of ${units.length}`;
+    }
+  }
+
+  // ---------- Rendering ----------
+  function renderCharts(rows, units) {
+    const byType = Array.from(totalsBy(rows, (r) => r.type || "Unspecified"))
+      .sort((a, b) => a[0].localeCompare(b[0]));
+    const typeLabels = byType.map(([k]) => k);
+
+    charts.utilByType = drawOrUpdateChart(charts.utilByType, el.cUtilByType, {
+      type: "bar",
+      data: {
+        labels: typeLabels,
+        datasets: [{ label: "Utilization", data: byType.map(([, t]) => t.utilization) }],
+      },
+      options: axisOptions({ fmt: pctStr }),
+    });
+
+    charts.downtimeByType = drawOrUpdateChart(charts.downtimeByType, el.cDowntimeByType, {
+      type: "bar",
+      data: {
+        labels: typeLabels,
+        datasets: [{ label: "Downtime Rate", data: byType.map(([, t]) => t.downtimeRate) }],
+      },
+      options: axisOptions({ fmt: pctStr }),
+    });
+
+    // over/under-booking by phase
+    const byPhase = Array.from(totalsBy(rows, (r) => r.phase_id)).sort((a, b) => a[0] - b[0]);
+    const phaseLabel = (id) => rows.find((r) => r.phase_id === id)?.phase_name || `Phase ${id}`;
+    charts.booking = drawOrUpdateChart(charts.booking, el.cBooking, {
+      type: "bar",
+      data: {
+        labels: byPhase.map(([k]) => phaseLabel(k)),
+        datasets: [
+          { label: "Over-booked (idle) hrs", data: byPhase.map(([, t]) => t.overBooked) },
+          { label: "Under-booked (extra) hrs", data: byPhase.map(([, t]) => t.underBooked) },
+        ],
+      },
+      options: axisOptions({ fmt: abbrNumber }),
+    });
+
+    // utilization distribution per deployment
+    const hist = UTIL_BINS.map(() => 0);
+    rows.forEach((r) => {
+      if (!(r.planned_hours > 0) || !isFinite(r.actual_hours)) return;
+      const u = r.actual_hours / r.planned_hours;
+      const i = UTIL_BINS.findIndex((b) => u >= b.lo && u < b.hi);
+      if (i >= 0) hist[i] += 1;
+    });
+    charts.utilDist = drawOrUpdateChart(charts.utilDist, el.cUtilDist, {
+      type: "bar",
+      data: {
+        labels: UTIL_BINS.map((b) => b.label),
+        datasets: [{ label: "Deployments", data: hist, categoryPercentage: 0.9, barPercentage: 0.9 }],
+      },
+      options: axisOptions({ fmt: abbrNumber }),
+    });
+
+    // worst units by downtime rate (ties: more downtime hours first)
+    const worst = units
+      .filter((u) => isFinite(u.downtimeRate))
+      .sort((a, b) => b.downtimeRate - a.downtimeRate || b.downtime - a.downtime)
+      .slice(0, 15);
+    if (el.cWorstUnits) {
+      charts.worstUnits = drawOrUpdateChart(charts.worstUnits, el.cWorstUnits, {
+        type: "bar",
+        data: {
+          labels: worst.map((u) => u.id),
+          datasets: [{ label: "Downtime Rate", data: worst.map((u) => u.downtimeRate) }],
+        },
+        options: {
+          ...axisOptions({ fmt: pctStr }),
+          indexAxis: "y",
+          scales: {
+            x: { beginAtZero: true, ticks: { callback: pctStr } },
+            y: { grid: { display: false } },
+          },
+        },
+      });
+    }
+  }
+
+  // ---------- Table: unreliable units ----------
+  function renderUnitTable(units) {
+    if (!el.unitTable) return;
+    const flagged = units.filter((u) => u.unreliable).sort((a, b) => b.ratio - a.ratio);
+    if (!flagged.length) {
+      el.unitTable.innerHTML = "<p>No chronically unreliable units in this slice.</p>";
+      return;
+    }
+
+    const body = flagged.map((u) => `<tr>
+        <td>${esc(u.id)}</td>
+        <td>${esc(u.type)}</td>
+        <td class="num">${u.deployments}</td>
+        <td class="num">${Math.round(u.actual).toLocaleString()}</td>
+        <td class="num">${Math.round(u.downtime).toLocaleString()}</td>
+        <td class="num">${pctStr(u.downtimeRate)}</td>
+        <td class="num">${pctStr(u.typeAvg)}</td>
+        <td class="num">${u.ratio.toFixed(1)}×</td>
+        <td>${u.projects.map((id) => `<a href="project.html?id=${encodeURIComponent(id)}">${esc(id)}</a>`).join(", ")}</td>
+      </tr>`).join("");
+
+    el.unitTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Unit</th><th>Type</th><th>Deployments</th><th>Actual Hrs</th><th>Downtime Hrs</th>
+            <th>Downtime Rate</th><th>Type Avg</th><th>vs Type</th><th>Projects</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ fmt }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.chart.options.indexAxis === "y" ? ctx.parsed.x : ctx.parsed.y;
+              return `${ctx.dataset.label}: ${fmt(v)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: { beginAtZero: true, ticks: { callback: fmt } },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
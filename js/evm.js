@@ -0,0 +1,139 @@
+// ==================== Earned Value ====================
+// Earned value metrics for in-progress projects (no actual_end yet).
+// Shared by the predictive page and anything else that needs EVM numbers.
+//
+//   EVM.projectEvm(entry, asOf)    -> { bac, pv, ev, ac, cpi, spi, eac, etc, vac, ... }
+//   EVM.portfolioEvm(list)         -> same totals over many projectEvm() results
+//   EVM.sCurve(entries, asOf)      -> { months, pv, ev, ac } cumulative by month
+//   EVM.spreadByMonth(start, end, amount) -> Map("YYYY-MM" -> amount)
+//
+// Definitions (entry = ProjectData byProject value):
+//   BAC = project planned_budget
+//   PV  = BAC time-phased by phase planned dates/costs, up to the status date
+//   EV  = completion_pct × BAC
+//   AC  = project actual_cost
+//   CPI = EV / AC, SPI = EV / PV
+//   EAC = BAC / CPI (current cost efficiency holds), ETC = EAC − AC, VAC = BAC − EAC
+//
+// The S-curve spreads phase actual costs over their actual dates (open phases
+// run to the status date) scaled to the project AC, and draws EV as AC × CPI.
+// ==================================================================
+
+window.EVM = (() => {
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  const monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  const ratio = (a, b) => (b > 0 && isFinite(a) ? a / b : NaN);
+
+  const isInProgress = (p) => !p.actual_end && isFinite(p.completion_pct) && p.completion_pct < 100;
+
+  // Spread `amount` evenly over the days start..end (inclusive) and total it
+  // per calendar month. A missing or reversed end puts it all on `start`.
+  function spreadByMonth(start, end, amount, out = new Map()) {
+    if (!start || !isFinite(amount)) return out;
+    const last = end && end >= start ? end : start;
+    const days = Math.round((last - start) / DAY_MS) + 1;
+    const perDay = amount / days;
+    const d = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    while (d <= last) {
+      const next = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+      const stop = next <= last ? next : new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+      const n = Math.round((stop - d) / DAY_MS);
+      const k = monthKey(d);
+      out.set(k, (out.get(k) || 0) + perDay * n);
+      d.setTime(next.getTime());
+    }
+    return out;
+  }
+
+  // Share of a phase's planned window that has elapsed by `asOf` (0..1)
+  function elapsedShare(start, end, asOf) {
+    if (!start) return 0;
+    if (asOf < start) return 0;
+    if (!end || asOf >= end) return 1;
+    return (asOf - start) / (end - start);
+  }
+
+  // Phase planned costs scaled so they add up to BAC
+  function plannedPhases(entry) {
+    const bac = entry.project.planned_budget;
+    const phases = entry.phases.filter((ph) => ph.planned_start && isFinite(ph.planned_cost));
+    const sum = phases.reduce((a, ph) => a + ph.planned_cost, 0);
+    const k = sum > 0 && isFinite(bac) ? bac / sum : 1;
+    return phases.map((ph) => ({ start: ph.planned_start, end: ph.planned_end, cost: ph.planned_cost * k }));
+  }
+
+  function plannedValue(entry, asOf) {
+    const phases = plannedPhases(entry);
+    if (!phases.length) {
+      const p = entry.project;
+      return p.planned_budget * elapsedShare(p.start_date, p.planned_end, asOf);
+    }
+    return phases.reduce((a, ph) => a + ph.cost * elapsedShare(ph.start, ph.end, asOf), 0);
+  }
+
+  function withIndices(t) {
+    const cpi = ratio(t.ev, t.ac);
+    const spi = ratio(t.ev, t.pv);
+    const eac = cpi > 0 ? t.bac / cpi : NaN;
+    return { ...t, cpi, spi, eac, etc: eac - t.ac, vac: t.bac - eac, cv: t.ev - t.ac, sv: t.ev - t.pv };
+  }
+
+  function projectEvm(entry, asOf = new Date()) {
+    const p = entry.project;
+    const bac = p.planned_budget;
+    return withIndices({
+      id: p.project_id,
+      name: p.project_name,
+      completion: p.completion_pct / 100,
+      bac,
+      pv: plannedValue(entry, asOf),
+      ev: (p.completion_pct / 100) * bac,
+      ac: p.actual_cost,
+    });
+  }
+
+  function portfolioEvm(list) {
+    const ok = list.filter((r) => isFinite(r.bac) && isFinite(r.ac) && isFinite(r.ev));
+    const sum = (f) => ok.reduce((a, r) => a + r[f], 0);
+    return { ...withIndices({ bac: sum("bac"), pv: sum("pv"), ev: sum("ev"), ac: sum("ac") }), projects: ok.length };
+  }
+
+  // Cumulative monthly PV / EV / AC for one or more projects
+  function sCurve(entries, asOf = new Date()) {
+    const pvBy = new Map();
+    const acBy = new Map();
+    const evBy = new Map();
+
+    entries.forEach((entry) => {
+      plannedPhases(entry).forEach((ph) => spreadByMonth(ph.start, ph.end, ph.cost, pvBy));
+
+      const actual = new Map();
+      entry.phases.forEach((ph) => {
+        if (!ph.actual_start || ph.actual_start > asOf || !isFinite(ph.actual_cost)) return;
+        spreadByMonth(ph.actual_start, ph.actual_end || asOf, ph.actual_cost, actual);
+      });
+      const phaseAc = Array.from(actual.values()).reduce((a, v) => a + v, 0);
+      const { ac, cpi } = projectEvm(entry, asOf);
+      const k = phaseAc > 0 && isFinite(ac) ? ac / phaseAc : 1;
+      actual.forEach((v, m) => {
+        acBy.set(m, (acBy.get(m) || 0) + v * k);
+        if (isFinite(cpi)) evBy.set(m, (evBy.get(m) || 0) + v * k * cpi);
+      });
+    });
+
+    const months = Array.from(new Set([...pvBy.keys(), ...acBy.keys()])).sort();
+    const cumulative = (by, upTo) => {
+      let run = 0;
+      return months.map((m) => {
+        if (upTo && m > upTo) return null;
+        run += by.get(m) || 0;
+        return run;
+      });
+    };
+    const now = monthKey(asOf);
+    return { months, pv: cumulative(pvBy), ac: cumulative(acBy, now), ev: cumulative(evBy, now) };
+  }
+
+  return { isInProgress, projectEvm, portfolioEvm, sCurve, spreadByMonth, plannedValue, monthKey };
+})();
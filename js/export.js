@@ -0,0 +1,184 @@
+// ==================== Chart & Table Export ====================
+// Adds CSV / XLSX buttons to every chart card that holds a chart or a table.
+//
+//   - Charts export the series exactly as drawn (Chart.getChart(canvas).data);
+//     Date values (e.g. Gantt bars) are written as YYYY-MM-DD
+//   - Tables export their header + body cells as shown
+//   - "+ rows" also exports the filtered rows behind the card: pages report
+//     their current slices with DataExport.setRows({ projects, changeOrders, ... });
+//     otherwise the global filter bar's dataset is used. A card picks its table
+//     with data-export-rows="labor" (falls back to <main data-export-rows>,
+//     then "projects").
+//
+// XLSX uses SheetJS, loaded from its CDN on first use, and adds an "About"
+// sheet with the page, the active filters and the export time. CSV text
+// cells that a spreadsheet would run as a formula (=, +, -, @) get a
+// leading ' since names can come from an upload; XLSX stores them as text.
+// ==================================================================
+
+window.DataExport = (() => {
+  const XLSX_SRC = "https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js";
+
+  let rowsByTable = {};
+  const setRows = (tables) => { rowsByTable = { ...rowsByTable, ...tables }; };
+
+  const pad2 = (n) => String(n).padStart(2, "0");
+  const isoDay = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+  function cellValue(v) {
+    if (v == null || (typeof v === "number" && !isFinite(v))) return "";
+    if (v instanceof Date) return isoDay(v);
+    if (Array.isArray(v)) return v.join(" ");
+    return v;
+  }
+
+  // ---------- Series from a chart ----------
+  function chartSheet(chart) {
+    const labels = chart.data.labels || [];
+    const datasets = chart.data.datasets || [];
+    const scalar = datasets.every((ds) => ds.data.every((v) => v == null || typeof v === "number"));
+
+    if (labels.length && scalar) {
+      return [
+        ["Label", ...datasets.map((ds) => ds.label || "")],
+        ...labels.map((l, i) => [cellValue(l), ...datasets.map((ds) => cellValue(ds.data[i]))]),
+      ];
+    }
+
+    // points (scatter / bubble) or floating bars: one row per point
+    const points = [];
+    datasets.forEach((ds) => ds.data.forEach((v, i) => {
+      const row = { series: ds.label || "", label: cellValue(labels[i]) };
+      if (Array.isArray(v)) Object.assign(row, { start: v[0], end: v[1] });
+      else if (v && typeof v === "object") {
+        Object.entries(v).forEach(([k, x]) => { if (x == null || typeof x !== "object" || x instanceof Date) row[k] = x; });
+      } else row.value = v;
+      points.push(row);
+    }));
+    return objectsSheet(points);
+  }
+
+  // ---------- Rows from an HTML table ----------
+  const cellText = (c) => c.textContent.replace(/\s+/g, " ").trim();
+  function tableSheet(table) {
+    const head = Array.from(table.querySelectorAll("thead th")).map(cellText);
+    const body = Array.from(table.querySelectorAll("tbody tr")).map((tr) =>
+      Array.from(tr.children).map(cellText)
+    );
+    return head.length ? [head, ...body] : body;
+  }
+
+  // Array of objects -> [header, ...rows], skipping nested objects/arrays
+  function objectsSheet(rows) {
+    const keys = [];
+    rows.forEach((r) => Object.entries(r).forEach(([k, v]) => {
+      if (!keys.includes(k) && (v == null || typeof v !== "object" || v instanceof Date)) keys.push(k);
+    }));
+    return [keys, ...rows.map((r) => keys.map((k) => cellValue(r[k])))];
+  }
+
+  function underlyingRows(card) {
+    const table = card.dataset.exportRows || document.querySelector("main")?.dataset.exportRows || "projects";
+    const rows = rowsByTable[table] || window.GlobalFilters?.current()?.[table] || [];
+    return { table, sheet: objectsSheet(rows) };
+  }
+
+  // ---------- Writers ----------
+  const FORMULA_START = /^[=+\-@\t\r]/;
+  const PLAIN_NUMBER = /^[+-]?[\d,]*\.?\d+%?$/;
+
+  function toCsv(sheet) {
+    const esc = (v) => {
+      let s = String(v ?? "");
+      if (typeof v === "string" && FORMULA_START.test(s) && !PLAIN_NUMBER.test(s)) s = `'${s}`;
+      return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return "\ufeff" + sheet.map((r) => r.map(esc).join(",")).join("\r\n"); // BOM so Excel reads UTF-8
+  }
+
+  function download(name, blob) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  let xlsxPending = null;
+  function loadXlsx() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+    if (!xlsxPending) {
+      xlsxPending = new Promise((resolve, reject) => {
+        const s = document.createElement("script");
+        s.src = XLSX_SRC;
+        s.onload = () => resolve(window.XLSX);
+        s.onerror = () => { xlsxPending = null; reject(new Error("Could not load SheetJS")); };
+        document.head.appendChild(s);
+      });
+    }
+    return xlsxPending;
+  }
+
+  const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+
+  function exportCard(card, fmt, withRows) {
+    const title = card.querySelector("h3")?.textContent.trim() || "export";
+    const canvas = card.querySelector("canvas");
+    const chart = canvas && window.Chart?.getChart(canvas);
+    const table = card.querySelector("table");
+    const series = chart ? chartSheet(chart) : table ? tableSheet(table) : null;
+    if (!series) {
+      console.debug(`[EXPORT] Nothing to export in "${title}"`);
+      return;
+    }
+    const page = location.pathname.split("/").pop().replace(/\.html$/, "") || "dashboard";
+    const base = `${page}-${slug(title)}-${isoDay(new Date())}`;
+    const rows = withRows ? underlyingRows(card) : null;
+
+    if (fmt === "csv") {
+      download(`${base}.csv`, new Blob([toCsv(series)], { type: "text/csv;charset=utf-8" }));
+      if (rows) download(`${base}-${rows.table}.csv`, new Blob([toCsv(rows.sheet)], { type: "text/csv;charset=utf-8" }));
+      return;
+    }
+
+    loadXlsx()
+      .then((XLSX) => {
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(series), "Series");
+        if (rows) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows.sheet), rows.table.slice(0, 31));
+        const filters = window.GlobalFilters ? GlobalFilters.describe(GlobalFilters.read()) : "";
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+          ["Chart", title], ["Page", document.title], ["Filters", filters],
+          ["Exported", new Date().toLocaleString()], ["URL", location.href],
+        ]), "About");
+        XLSX.writeFile(wb, `${base}.xlsx`);
+      })
+      .catch((err) => console.error("[EXPORT] XLSX export failed:", err));
+  }
+
+  // ---------- Toolbar on each card ----------
+  function attach() {
+    document.querySelectorAll(".chart-card").forEach((card) => {
+      if (card.querySelector(".card-export")) return;
+      if (!card.querySelector("canvas, div[id]")) return; // notes-only cards
+      const bar = document.createElement("div");
+      bar.className = "card-export";
+      bar.innerHTML = `
+        <button type="button" data-fmt="csv" title="Download as CSV">CSV</button>
+        <button type="button" data-fmt="xlsx" title="Download as Excel workbook">XLSX</button>
+        <label title="Also export the filtered rows behind this card"><input type="checkbox" /> rows</label>`;
+      bar.addEventListener("click", (e) => {
+        const fmt = e.target.dataset?.fmt;
+        if (fmt) exportCard(card, fmt, bar.querySelector("input").checked);
+      });
+      card.classList.add("has-export");
+      card.appendChild(bar);
+    });
+  }
+
+  window.addEventListener("DOMContentLoaded", attach);
+
+  return { setRows, attach, chartSheet, tableSheet, objectsSheet, toCsv };
+})();
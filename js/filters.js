@@ -0,0 +1,279 @@
+// ==================== Global Filter Bar ====================
+// One filter bar shared by every dashboard. The state lives in the URL query
+// string (?from=&to=&band=&status=&reason=&phase=) so a view can be
+// deep-linked, and links to other dashboards carry it along.
+//
+//   GlobalFilters.mount(data, (filtered, state) => { ... })
+//     renders the bar into #globalFilters, calls back once with the filtered
+//     dataset and again after every change
+//   GlobalFilters.apply(data, state) -> dataset with the same shape as
+//     ProjectData.load() (tables + byProject / byPhase), rows filtered
+//   GlobalFilters.current() -> the dataset last handed to the mount callback
+//   GlobalFilters.read() / describe(state)
+//
+// The bar also links to dashboards/alerts.html when js/alert-rules.js is
+// loaded and some alert rules fire on the (unfiltered) data.
+//
+// Semantics:
+//   - from / to  : project start_date inside the range (inclusive)
+//   - band       : project planned_budget size band
+//   - status     : complete (has actual_end) or in progress
+//   - reason     : change orders with that reason (a js/taxonomy.js category,
+//                  or "group:<id>" for a whole group such as owner-driven);
+//                  projects without one drop out
+//   - phase      : phase-level rows (phases, COs, labor, materials,
+//                  equipment) for that phase only; projects are unaffected
+// ==================================================================
+
+window.GlobalFilters = (() => {
+  const KEYS = ["from", "to", "band", "status", "reason", "phase"];
+
+  const BANDS = {
+    small: { label: "Under $5M", lo: 0, hi: 5e6 },
+    medium: { label: "$5M–$10M", lo: 5e6, hi: 10e6 },
+    large: { label: "$10M+", lo: 10e6, hi: Infinity },
+  };
+  const STATUSES = { complete: "Complete", active: "In progress" };
+
+  const parseDay = (v) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v || "");
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+  };
+
+  // ---------- URL state ----------
+  function read(search = location.search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+    KEYS.forEach((k) => {
+      const v = (params.get(k) || "").trim();
+      if (v) state[k] = v;
+    });
+    if (state.from && !parseDay(state.from)) delete state.from;
+    if (state.to && !parseDay(state.to)) delete state.to;
+    if (state.band && !BANDS[state.band]) delete state.band;
+    if (state.status && !STATUSES[state.status]) delete state.status;
+    return state;
+  }
+
+  // Merge the filter keys into a URL, leaving its other params (e.g. ?id=) alone
+  function withState(href, state) {
+    const url = new URL(href, location.href);
+    KEYS.forEach((k) => {
+      if (state[k]) url.searchParams.set(k, state[k]);
+      else url.searchParams.delete(k);
+    });
+    return url;
+  }
+
+  function write(state) {
+    try {
+      history.replaceState(null, "", withState(location.href, state));
+    } catch (err) {
+      console.debug("[FILTERS] Could not update the URL:", err.name); // e.g. some file:// setups
+    }
+  }
+
+  const isActive = (state) => KEYS.some((k) => state[k]);
+
+  // Short human-readable summary, e.g. for headers and reports
+  function describe(state) {
+    const parts = [];
+    if (state.from || state.to) parts.push(`Started ${state.from || "…"} to ${state.to || "…"}`);
+    if (state.band) parts.push(`Budget ${BANDS[state.band].label}`);
+    if (state.status) parts.push(STATUSES[state.status]);
+    if (state.reason) parts.push(`CO reason: ${reasonLabel(state.reason)}`);
+    if (state.phase) parts.push(`Phase: ${state.phase}`);
+    return parts.length ? parts.join(" · ") : "All projects";
+  }
+
+  const GROUP_PREFIX = "group:";
+  const reasonLabel = (v) =>
+    v.startsWith(GROUP_PREFIX) ? `${ReasonTaxonomy.groupLabel(v.slice(GROUP_PREFIX.length))} (all)` : v;
+
+  function reasonTest(v) {
+    if (!v) return () => true;
+    if (v.startsWith(GROUP_PREFIX)) {
+      const group = v.slice(GROUP_PREFIX.length);
+      return (r) => r.co_reason_group === group;
+    }
+    return (r) => r.co_reason === v;
+  }
+
+  // ---------- Filtering ----------
+  function apply(data, state) {
+    if (!isActive(state)) return data;
+    const from = parseDay(state.from);
+    const to = parseDay(state.to);
+    const band = BANDS[state.band];
+
+    let keep = data.projects.filter((p) => {
+      if (from && (!p.start_date || p.start_date < from)) return false;
+      if (to && (!p.start_date || p.start_date > to)) return false;
+      if (band && !(p.planned_budget >= band.lo && p.planned_budget < band.hi)) return false;
+      if (state.status === "complete" && !p.actual_end) return false;
+      if (state.status === "active" && p.actual_end) return false;
+      return true;
+    });
+
+    const inPhase = state.phase ? (r) => r.phase_name === state.phase : () => true;
+    const inReason = reasonTest(state.reason);
+
+    if (state.reason) {
+      const withReason = new Set(data.changeOrders.filter((r) => inReason(r) && inPhase(r)).map((r) => r.project_id));
+      keep = keep.filter((p) => withReason.has(p.project_id));
+    }
+
+    const ids = new Set(keep.map((p) => p.project_id));
+    const inProject = (r) => ids.has(r.project_id);
+    const phaseRows = (rows) => rows.filter((r) => inProject(r) && inPhase(r));
+
+    return ProjectData.buildDataset({
+      projects: keep,
+      phases: phaseRows(data.phases),
+      changeOrders: phaseRows(data.changeOrders).filter(inReason),
+      labor: phaseRows(data.labor),
+      materials: phaseRows(data.materials),
+      equipment: phaseRows(data.equipment),
+      weather: data.weather.filter(inProject),
+      scenarios: data.scenarios.filter(inProject),
+    });
+  }
+
+  // ---------- UI ----------
+  // labels can come from the data or the user's taxonomy, so escape them
+  const { esc } = ProjectData;
+  const option = (value, label, selected) =>
+    `<option value="${esc(value)}"${selected ? " selected" : ""}>${esc(label)}</option>`;
+
+  function render(container, data, state) {
+    const phases = Array.from(new Set(
+      data.phases.slice().sort((a, b) => a.phase_id - b.phase_id).map((r) => r.phase_name)
+    ));
+    const select = (key, label, entries) => `
+      <label for="gf-${key}">${label}</label>
+      <select id="gf-${key}" data-key="${key}">
+        ${option("", "All", !state[key])}
+        ${entries.map(([v, l]) => option(v, l, state[key] === v)).join("")}
+      </select>`;
+
+    container.innerHTML = `
+      <label for="gf-from">Started:</label>
+      <input type="date" id="gf-from" data-key="from" value="${state.from || ""}" />
+      <label for="gf-to">to</label>
+      <input type="date" id="gf-to" data-key="to" value="${state.to || ""}" />
+      ${select("band", "Budget:", Object.entries(BANDS).map(([k, b]) => [k, b.label]))}
+      ${select("status", "Status:", Object.entries(STATUSES))}
+      <label for="gf-reason">CO reason:</label>
+      <select id="gf-reason" data-key="reason">
+        ${option("", "All", !state.reason)}
+        ${reasonOptions(data, state.reason)}
+      </select>
+      ${select("phase", "Phase:", phases.map((p) => [p, p]))}
+      <button type="button" class="filter-clear"${isActive(state) ? "" : " disabled"}>Clear</button>
+      ${sourceNote()}
+      ${alertsNote()}`;
+  }
+
+  // Taxonomy groups as optgroups: "All <group>" first, then the categories
+  // that occur in the data, in taxonomy order
+  function reasonOptions(data, selected) {
+    const present = new Set(data.changeOrders.map((r) => r.co_reason));
+    return ReasonTaxonomy.groups()
+      .map((g) => {
+        const cats = ReasonTaxonomy.categories().filter((c) => present.has(c) && ReasonTaxonomy.groupOf(c) === g.id);
+        if (!cats.length) return "";
+        const all = GROUP_PREFIX + g.id;
+        return `<optgroup label="${esc(g.label)}">
+          ${option(all, `All ${g.label.toLowerCase()}`, selected === all)}
+          ${cats.map((c) => option(c, c, selected === c)).join("")}
+        </optgroup>`;
+      })
+      .join("");
+  }
+
+  // Reminder that the dashboards are not on the demo data (dashboards/import.html)
+  function sourceNote() {
+    const info = ProjectData.uploadInfo();
+    if (!info) return "";
+    return `<span class="data-source">Your data: ${info.tables?.projects ?? 0} projects · <a href="import.html">change</a></span>`;
+  }
+
+  // New alerts from the user's rules (js/alert-rules.js, dashboards/alerts.html)
+  let openAlerts = null;
+  function alertsNote() {
+    const n = openAlerts && AlertRules.counts(openAlerts);
+    if (!n?.new) return "";
+    return `<a class="alerts-note ${n.severity}" href="alerts.html">${n.new} new alert${n.new === 1 ? "" : "s"}</a>`;
+  }
+
+  let lastFiltered = null;
+  const current = () => lastFiltered;
+
+  function mount(data, onChange) {
+    const container = document.getElementById("globalFilters");
+    let state = read();
+    const emit = () => {
+      lastFiltered = apply(data, state);
+      onChange(lastFiltered, state);
+    };
+    if (!container) {
+      console.debug("[FILTERS] Optional/missing element: globalFilters");
+      emit();
+      return;
+    }
+
+    // always on the unfiltered data: alerts do not depend on the view
+    if (window.AlertRules) {
+      try {
+        openAlerts = AlertRules.check(data);
+      } catch (err) {
+        console.debug("[FILTERS] Could not check alerts:", err.message);
+      }
+    }
+    render(container, data, state);
+    const update = (next) => {
+      state = next;
+      write(state);
+      render(container, data, state);
+      emit();
+    };
+
+    container.addEventListener("change", (e) => {
+      const key = e.target.dataset?.key;
+      if (!key) return;
+      const next = { ...state, [key]: e.target.value };
+      if (!next[key]) delete next[key];
+      update(next);
+    });
+    container.addEventListener("click", (e) => {
+      if (e.target.classList.contains("filter-clear")) update({});
+    });
+
+    emit();
+  }
+
+  // ---------- Carry filters across dashboards ----------
+  // Decorate same-origin dashboard links just before they are followed, so
+  // links rendered later (tables, tooltips) carry the current filters too.
+  function carry(e) {
+    const a = e.target.closest?.("a[href]");
+    if (!a) return;
+    const url = new URL(a.getAttribute("href"), location.href);
+    if (url.origin !== location.origin || !/\/dashboards\/[^/]+\.html$/.test(url.pathname)) return;
+    const state = read();
+    if (!isActive(state)) return;
+    a.href = withState(url.href, { ...read(url.search), ...state }).href;
+  }
+  if (typeof document !== "undefined") {
+    ["click", "auxclick", "contextmenu"].forEach((type) => document.addEventListener(type, carry, true));
+  }
+
+  // Same decoration for script-driven navigation (chart clicks)
+  function link(href) {
+    const state = read();
+    if (!isActive(state)) return href;
+    return withState(href, { ...read(new URL(href, location.href).search), ...state }).href;
+  }
+
+  return { link, current, KEYS, BANDS, STATUSES, read, write, withState, describe, isActive, apply, mount };
+})();
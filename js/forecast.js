@@ -0,0 +1,151 @@
+// ==================== Forecast Models ====================
+// Small yearly forecasting toolkit for the predictive page. Every model takes
+// a series of { x: year, y: value } points (sorted by x) and returns
+//   { name, fitted: [...], forecast(h) -> [{ x, y, lo, hi }] }
+// where lo/hi is an approximate 95% prediction interval.
+//
+//   Forecast.MODELS.linear(series)        ordinary least squares on the year
+//   Forecast.MODELS.holt(series)          Holt's linear exponential smoothing,
+//                                         α/β picked by grid search on SSE
+//   Forecast.MODELS.movingAverage(series) flat mean of the last 3 points
+//
+//   Forecast.backtest(series, model, n)   fit on all but the last n points,
+//                                         forecast them, report MAE / MAPE
+//
+// Intervals assume roughly normal residuals; they are a guide, not a guarantee.
+// ==================================================================
+
+window.Forecast = (() => {
+  const Z95 = 1.96;
+  const MA_WINDOW = 3;
+
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+  const rmse = (errs) => Math.sqrt(mean(errs.map((e) => e * e)));
+
+  // ---------- Linear trend ----------
+  function linear(series) {
+    const xs = series.map((p) => p.x);
+    const ys = series.map((p) => p.y);
+    const n = xs.length;
+    const mx = mean(xs);
+    const my = mean(ys);
+    const sxx = xs.reduce((a, x) => a + (x - mx) ** 2, 0);
+    const b = sxx > 0 ? xs.reduce((a, x, i) => a + (x - mx) * (ys[i] - my), 0) / sxx : 0;
+    const a = my - b * mx;
+    const fitted = xs.map((x) => a + b * x);
+    const s = n > 2 ? Math.sqrt(ys.reduce((acc, y, i) => acc + (y - fitted[i]) ** 2, 0) / (n - 2)) : 0;
+    const last = xs[n - 1];
+
+    return {
+      name: "Linear trend",
+      fitted,
+      forecast(h) {
+        return Array.from({ length: h }, (_, i) => {
+          const x = last + i + 1;
+          const y = a + b * x;
+          const se = s * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - mx) ** 2 / sxx : 0));
+          return { x, y, lo: y - Z95 * se, hi: y + Z95 * se };
+        });
+      },
+    };
+  }
+
+  // ---------- Holt (level + trend) ----------
+  function holtRun(ys, alpha, beta) {
+    let level = ys[0];
+    let trend = ys.length > 1 ? ys[1] - ys[0] : 0;
+    const fitted = [ys[0]];
+    let sse = 0;
+    for (let t = 1; t < ys.length; t++) {
+      const f = level + trend;
+      fitted.push(f);
+      sse += (ys[t] - f) ** 2;
+      const prev = level;
+      level = alpha * ys[t] + (1 - alpha) * (level + trend);
+      trend = beta * (level - prev) + (1 - beta) * trend;
+    }
+    return { level, trend, fitted, sse };
+  }
+
+  function holt(series) {
+    const ys = series.map((p) => p.y);
+    let best = null;
+    for (let alpha = 0.1; alpha <= 0.9001; alpha += 0.1) {
+      for (let beta = 0.05; beta <= 0.5001; beta += 0.05) {
+        const r = holtRun(ys, alpha, beta);
+        if (!best || r.sse < best.sse) best = { ...r, alpha, beta };
+      }
+    }
+    const s = rmse(ys.slice(1).map((y, i) => y - best.fitted[i + 1]));
+    const last = series[series.length - 1].x;
+
+    return {
+      name: "Holt smoothing",
+      alpha: best.alpha,
+      beta: best.beta,
+      fitted: best.fitted,
+      forecast(h) {
+        let acc = 0;
+        return Array.from({ length: h }, (_, i) => {
+          // variance grows with each step ahead: σ² × (1 + Σ (α(1 + jβ))²)
+          if (i > 0) acc += (best.alpha * (1 + i * best.beta)) ** 2;
+          const y = best.level + (i + 1) * best.trend;
+          const se = s * Math.sqrt(1 + acc);
+          return { x: last + i + 1, y, lo: y - Z95 * se, hi: y + Z95 * se };
+        });
+      },
+    };
+  }
+
+  // ---------- Moving average ----------
+  function movingAverage(series, k = MA_WINDOW) {
+    const ys = series.map((p) => p.y);
+    const fitted = ys.map((_, i) => (i === 0 ? ys[0] : mean(ys.slice(Math.max(0, i - k), i))));
+    const s = rmse(ys.slice(1).map((y, i) => y - fitted[i + 1]));
+    const level = mean(ys.slice(-k));
+    const last = series[series.length - 1].x;
+
+    return {
+      name: `${k}-yr moving average`,
+      fitted,
+      forecast(h) {
+        return Array.from({ length: h }, (_, i) => {
+          const se = s * Math.sqrt(1 + i / k);
+          return { x: last + i + 1, y: level, lo: level - Z95 * se, hi: level + Z95 * se };
+        });
+      },
+    };
+  }
+
+  const MODELS = { linear, holt, movingAverage };
+
+  // ---------- Backtest ----------
+  // Holdout accuracy: train on series[0 .. len−n), forecast the last n points
+  function backtest(series, model, n) {
+    if (series.length - n < 3) return { mae: NaN, mape: NaN, n: 0 };
+    const train = series.slice(0, series.length - n);
+    const test = series.slice(series.length - n);
+    const pred = MODELS[model](train).forecast(n);
+    const errs = test.map((p, i) => p.y - pred[i].y);
+    const pctErrs = test.map((p, i) => (p.y !== 0 ? Math.abs(errs[i] / p.y) : NaN)).filter((e) => isFinite(e));
+    return {
+      mae: mean(errs.map(Math.abs)),
+      mape: pctErrs.length ? mean(pctErrs) : NaN,
+      n,
+    };
+  }
+
+  // Lowest backtest MAE across all models
+  function bestModel(series, n) {
+    return Object.keys(MODELS)
+      .map((key) => ({ key, ...backtest(series, key, n) }))
+      .filter((r) => isFinite(r.mae))
+      .sort((a, b) => a.mae - b.mae)[0]?.key || "linear";
+  }
+
+  // { year: value } object (as built on the predictive page) -> sorted series
+  const toSeries = (obj) =>
+    Object.keys(obj).map(Number).sort((a, b) => a - b).map((x) => ({ x, y: obj[x] }));
+
+  return { MODELS, backtest, bestModel, toSeries };
+})();
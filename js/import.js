@@ -0,0 +1,455 @@
+// ==================== Data Import ====================
+// Works with dashboards/import.html. Lets a user bring their own CSVs and
+// explore them in the existing dashboards, without a server:
+//
+//   1. Drop or pick CSV files; each file is matched to a table by its name
+//      (projects.csv, change_orders.csv, ...) or picked by hand
+//   2. Map the file's columns onto the schema in js/data.js (guessed from the
+//      header names, editable) and pick the date format
+//   3. Validation report per file: rows imported / dropped, and every
+//      offending row with the column, value and problem
+//   4. "Use this data" stores the cleaned CSVs via ProjectData.saveUpload();
+//      every dashboard then loads them instead of the demo data
+//
+// Validation rules:
+//   - Missing id (project_id, phase_id, co_id, ...)       -> row dropped
+//   - Duplicate project (projects) or phase (phases)      -> row dropped
+//   - project_id not in the uploaded projects             -> row dropped
+//   - phase_id not in the uploaded phases                 -> kept, warning
+//   - Unparseable date / non-numeric number               -> kept, value blanked
+// Numbers may carry "$", "," or spaces ("$1,250.00"); those are stripped.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
+
+  const SCHEMA = ProjectData.SCHEMA;
+  const TABLES = Object.keys(SCHEMA);
+  const PHASE_TABLES = ["changeOrders", "labor", "materials", "equipment"];
+  const MAX_ISSUES_SHOWN = 50;
+
+  // y / m / d capture group positions for each accepted date layout
+  const DATE_FORMATS = {
+    iso: { label: "YYYY-MM-DD", re: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/, ymd: [1, 2, 3] },
+    us: { label: "MM/DD/YYYY", re: /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s.*)?$/, ymd: [3, 1, 2] },
+    eu: { label: "DD/MM/YYYY", re: /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:\s.*)?$/, ymd: [3, 2, 1] },
+  };
+
+  // Common alternative column names, compared after lower-casing and
+  // dropping spaces, dashes and underscores
+  const ALIASES = {
+    project_id: ["job", "jobid", "jobno", "jobnumber", "projectnumber", "projectno"],
+    project_name: ["name", "jobname", "project"],
+    start_date: ["start", "startdate", "actualstart"],
+    planned_end: ["plannedfinish", "scheduledend", "scheduledfinish"],
+    actual_end: ["finish", "enddate", "actualfinish", "completiondate"],
+    planned_budget: ["budget", "contractvalue", "originalbudget"],
+    actual_cost: ["cost", "actual", "costtodate"],
+    completion_pct: ["percentcomplete", "pctcomplete", "complete"],
+    phase_name: ["phase", "costcode"],
+    co_id: ["changeorder", "changeorderid", "conumber", "cono"],
+    co_cost: ["amount", "coamount", "changeorderamount"],
+    co_reason: ["reason", "reasoncode", "category"],
+    hourly_rate: ["rate"],
+  };
+
+  // ---------- Elements ----------
+  const el = {
+    dropZone: $("dropZone"),
+    fileInput: $("fileInput"),
+    currentSource: $("currentSource"),
+    resetBtn: $("useDemoData"),
+    files: $("importFiles"),
+    report: $("validationReport"),
+    applyBtn: $("useUpload"),
+    status: $("importStatus"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[IMPORT] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  // [{ name, table, dateFormat, columns, rows, mapping: { field: column | "" } }]
+  let files = [];
+  let result = null; // last validate() output
+
+  renderSource();
+  renderAll();
+
+  // ---------- File intake ----------
+  el.fileInput?.addEventListener("change", () => {
+    addFiles(el.fileInput.files);
+    el.fileInput.value = "";
+  });
+
+  if (el.dropZone) {
+    ["dragenter", "dragover"].forEach((type) =>
+      el.dropZone.addEventListener(type, (e) => {
+        e.preventDefault();
+        el.dropZone.classList.add("dragover");
+      })
+    );
+    ["dragleave", "drop"].forEach((type) =>
+      el.dropZone.addEventListener(type, () => el.dropZone.classList.remove("dragover"))
+    );
+    el.dropZone.addEventListener("drop", (e) => {
+      e.preventDefault();
+      addFiles(e.dataTransfer.files);
+    });
+  }
+
+  function addFiles(list) {
+    const csvs = Array.from(list || []).filter((f) => /\.csv$/i.test(f.name) || f.type === "text/csv");
+    if (!csvs.length) {
+      setStatus("Only .csv files can be imported.");
+      return;
+    }
+    Promise.all(csvs.map((f) => f.text().then((text) => ({ name: f.name, text }))))
+      .then((loaded) => {
+        loaded.forEach(({ name, text }) => {
+          const rows = d3.csvParse(text.replace(/^\ufeff/, ""));
+          const table = guessTable(name);
+          // a new file for a table replaces the old one
+          files = files.filter((f) => f.name !== name && (!table || f.table !== table));
+          files.push({
+            name,
+            table,
+            dateFormat: guessDateFormat(rows),
+            columns: rows.columns,
+            rows,
+            mapping: table ? guessMapping(table, rows.columns) : {},
+          });
+        });
+        setStatus("");
+        renderAll();
+      })
+      .catch((err) => {
+        console.error("[IMPORT] Could not read file:", err);
+        setStatus("Could not read one of the files.");
+      });
+  }
+
+  // ---------- Guessing ----------
+  const squash = (s) => String(s).toLowerCase().replace(/[\s_\-]+/g, "");
+
+  function guessTable(fileName) {
+    const base = squash(fileName.replace(/\.csv$/i, ""));
+    return TABLES.find((t) => squash(t) === base || squash(SCHEMA[t].file.replace(/\.csv$/, "")) === base) || "";
+  }
+
+  function guessMapping(table, columns) {
+    const mapping = {};
+    Object.keys(SCHEMA[table].fields).forEach((field) => {
+      const names = [squash(field), ...(ALIASES[field] || [])];
+      mapping[field] = columns.find((c) => names.includes(squash(c))) || "";
+    });
+    return mapping;
+  }
+
+  // First layout that parses every sampled slash date; ISO by default
+  function guessDateFormat(rows) {
+    const sample = [];
+    rows.slice(0, 200).forEach((r) =>
+      Object.values(r).forEach((v) => { if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(v)) sample.push(v); })
+    );
+    if (!sample.length) return "iso";
+    return ["us", "eu"].find((k) => sample.every((v) => toIso(v, k))) || "us";
+  }
+
+  // ---------- Value cleaning ----------
+  const pad2 = (n) => String(n).padStart(2, "0");
+
+  function toIso(raw, format) {
+    const f = DATE_FORMATS[format];
+    const m = f.re.exec(raw);
+    if (!m) return null;
+    const [y, mo, d] = f.ymd.map((i) => +m[i]);
+    const date = new Date(y, mo - 1, d);
+    // reject roll-overs such as 2024-02-31
+    if (date.getFullYear() !== y || date.getMonth() !== mo - 1 || date.getDate() !== d) return null;
+    return `${y}-${pad2(mo)}-${pad2(d)}`;
+  }
+
+  function toNumber(raw) {
+    const cleaned = raw.replace(/[$,\s]/g, "");
+    return cleaned !== "" && isFinite(+cleaned) ? cleaned : null;
+  }
+
+  // ---------- Validation ----------
+  // -> { tables: { table: { file, total, rows, dropped, issues } }, conflicts, missing }
+  function validate() {
+    const byTable = {};
+    const conflicts = [];
+    files.forEach((f) => {
+      if (!f.table) return;
+      if (byTable[f.table]) conflicts.push(`${f.name} (${f.table} already comes from ${byTable[f.table].name})`);
+      else byTable[f.table] = f;
+    });
+
+    const tables = {};
+    let projectIds = null;
+    let phaseKeys = null;
+
+    // projects and phases first so child rows can be checked against them
+    ["projects", "phases", ...TABLES.filter((t) => t !== "projects" && t !== "phases")].forEach((table) => {
+      const file = byTable[table];
+      if (!file) return;
+      const fields = Object.entries(SCHEMA[table].fields);
+      const seen = new Set();
+      const out = { file: file.name, total: file.rows.length, rows: [], dropped: 0, warned: 0, issues: [] };
+
+      file.rows.forEach((row, i) => {
+        const line = i + 2; // header is line 1
+        const clean = {};
+        const issues = [];
+        const flag = (field, value, problem, drop) => issues.push({ line, field, value, problem, drop });
+
+        fields.forEach(([field, type]) => {
+          const column = file.mapping[field];
+          const raw = column ? (row[column] ?? "").toString().trim() : "";
+          clean[field] = raw;
+          if (type === "id" && !raw) flag(field, raw, "missing id", true);
+          if (type === "date" && raw) {
+            clean[field] = toIso(raw, file.dateFormat) || "";
+            if (!clean[field]) flag(field, raw, `unparseable date (expected ${DATE_FORMATS[file.dateFormat].label})`);
+          }
+          if (type === "number" && raw) {
+            clean[field] = toNumber(raw) ?? "";
+            if (clean[field] === "") flag(field, raw, "not a number");
+          }
+        });
+
+        if (table === "projects" && clean.project_id) {
+          if (seen.has(clean.project_id)) flag("project_id", clean.project_id, "duplicate project", true);
+          seen.add(clean.project_id);
+        } else if (clean.project_id && projectIds && !projectIds.has(clean.project_id)) {
+          flag("project_id", clean.project_id, "unknown project_id", true);
+        }
+        if (table === "phases" && clean.phase_id) {
+          const key = ProjectData.phaseKey(clean.project_id, clean.phase_id);
+          if (seen.has(key)) flag("phase_id", clean.phase_id, "duplicate phase for this project", true);
+          seen.add(key);
+        } else if (PHASE_TABLES.includes(table) && clean.phase_id && phaseKeys &&
+                   !phaseKeys.has(ProjectData.phaseKey(clean.project_id, clean.phase_id))) {
+          flag("phase_id", clean.phase_id, "unknown phase for this project");
+        }
+
+        out.issues.push(...issues);
+        if (issues.some((x) => x.drop)) out.dropped += 1;
+        else {
+          if (issues.length) out.warned += 1;
+          out.rows.push(clean);
+        }
+      });
+
+      if (table === "projects") projectIds = new Set(out.rows.map((r) => r.project_id));
+      if (table === "phases") phaseKeys = new Set(out.rows.map((r) => ProjectData.phaseKey(r.project_id, r.phase_id)));
+      tables[table] = out;
+    });
+
+    return { tables, conflicts, missing: TABLES.filter((t) => !tables[t]) };
+  }
+
+  // ---------- Apply / reset ----------
+  el.applyBtn?.addEventListener("click", () => {
+    if (!result?.tables.projects?.rows.length) return;
+    const texts = {};
+    const counts = {};
+    Object.entries(result.tables).forEach(([table, t]) => {
+      texts[table] = d3.csvFormat(t.rows, Object.keys(SCHEMA[table].fields));
+      counts[table] = t.rows.length;
+    });
+    try {
+      ProjectData.saveUpload(texts, { files: Object.values(result.tables).map((t) => t.file), tables: counts });
+    } catch (err) {
+      const mb = Object.values(texts).reduce((a, t) => a + t.length, 0) / 1e6;
+      console.error("[IMPORT] Could not store the upload:", err);
+      setStatus(`Your browser could not store ${mb.toFixed(1)} MB of data (${err.name}). Try fewer or smaller files.`);
+      return;
+    }
+    renderSource();
+    setStatus(
+      `Imported ${counts.projects} projects. Open any dashboard to explore them: ` +
+        ["descriptive", "diagnostic", "predictive", "prescriptive"]
+          .map((p) => `<a href="${p}.html">${p}</a>`)
+          .join(" · "),
+      true
+    );
+  });
+
+  el.resetBtn?.addEventListener("click", () => {
+    ProjectData.clearUpload();
+    renderSource();
+    setStatus("Back on the demo data.");
+  });
+
+  function setStatus(text, html = false) {
+    if (!el.status) return;
+    if (html) el.status.innerHTML = text;
+    else el.status.textContent = text;
+  }
+
+  // ---------- Rendering ----------
+  function renderSource() {
+    const info = ProjectData.uploadInfo();
+    if (el.currentSource) {
+      el.currentSource.textContent = info
+        ? `Dashboards are showing your upload (${(info.files || []).join(", ")}; ${info.tables?.projects ?? 0} projects) from ${new Date(info.savedAt).toLocaleString()}.`
+        : "Dashboards are showing the demo data.";
+    }
+    if (el.resetBtn) el.resetBtn.disabled = !info;
+  }
+
+  function renderAll() {
+    renderFiles();
+    result = validate();
+    renderReport();
+  }
+
+  const option = (value, label, selected) =>
+    `<option value="${esc(value)}"${selected ? " selected" : ""}>${esc(label)}</option>`;
+
+  function renderFiles() {
+    if (!el.files) return;
+    el.files.innerHTML = files
+      .map((f, i) => {
+        const fields = f.table ? Object.entries(SCHEMA[f.table].fields) : [];
+        const sample = f.rows[0] || {};
+        const mappingRows = fields
+          .map(([field, type]) => `<tr>
+              <td>${esc(field)}${type === "id" ? " *" : ""}</td>
+              <td>${esc(type)}</td>
+              <td>
+                <select data-file="${i}" data-role="map" data-field="${esc(field)}">
+                  ${option("", "(not in file)", !f.mapping[field])}
+                  ${f.columns.map((c) => option(c, c, f.mapping[field] === c)).join("")}
+                </select>
+              </td>
+              <td>${f.mapping[field] ? esc(sample[f.mapping[field]]) : ""}</td>
+            </tr>`)
+          .join("");
+
+        return `
+          <div class="chart-card wide auto-height import-file">
+            <h3>${esc(f.name)} <small>(${f.rows.length.toLocaleString()} rows)</small></h3>
+            <div class="controls filter-bar">
+              <label>Table:</label>
+              <select data-file="${i}" data-role="table">
+                ${option("", "Choose…", !f.table)}
+                ${TABLES.map((t) => option(t, SCHEMA[t].file, f.table === t)).join("")}
+              </select>
+              <label>Dates:</label>
+              <select data-file="${i}" data-role="dateFormat">
+                ${Object.entries(DATE_FORMATS).map(([k, d]) => option(k, d.label, f.dateFormat === k)).join("")}
+              </select>
+              <button type="button" data-file="${i}" data-role="remove">Remove</button>
+            </div>
+            ${f.table
+              ? `<div class="table-wrap">
+                  <table class="simple-table">
+                    <thead><tr><th>Field</th><th>Type</th><th>Your column</th><th>First row</th></tr></thead>
+                    <tbody>${mappingRows}</tbody>
+                  </table>
+                </div>`
+              : "<p>Pick which table this file holds.</p>"}
+          </div>`;
+      })
+      .join("");
+  }
+
+  el.files?.addEventListener("change", (e) => {
+    const { file, role, field } = e.target.dataset || {};
+    const f = files[+file];
+    if (!f) return;
+    if (role === "table") {
+      f.table = e.target.value;
+      f.mapping = f.table ? guessMapping(f.table, f.columns) : {};
+    }
+    if (role === "dateFormat") f.dateFormat = e.target.value;
+    if (role === "map") f.mapping[field] = e.target.value;
+    renderAll();
+  });
+
+  el.files?.addEventListener("click", (e) => {
+    if (e.target.dataset?.role !== "remove") return;
+    files.splice(+e.target.dataset.file, 1);
+    renderAll();
+  });
+
+  function renderReport() {
+    if (el.applyBtn) el.applyBtn.disabled = !result.tables.projects?.rows.length;
+    if (!el.report) return;
+    if (!files.length) {
+      el.report.innerHTML = "<p>Add at least a projects file to get started.</p>";
+      return;
+    }
+
+    const summary = TABLES.filter((t) => result.tables[t])
+      .map((t) => {
+        const r = result.tables[t];
+        return `<tr>
+          <td>${esc(SCHEMA[t].file)}</td>
+          <td>${esc(r.file)}</td>
+          <td class="num">${r.total.toLocaleString()}</td>
+          <td class="num">${r.rows.length.toLocaleString()}</td>
+          <td class="num">${r.dropped.toLocaleString()}</td>
+          <td class="num">${r.warned.toLocaleString()}</td>
+        </tr>`;
+      })
+      .join("");
+
+    const details = TABLES.filter((t) => result.tables[t]?.issues.length)
+      .map((t) => {
+        const r = result.tables[t];
+        const rows = r.issues
+          .slice(0, MAX_ISSUES_SHOWN)
+          .map((x) => `<tr>
+              <td class="num">${x.line}</td>
+              <td>${esc(x.field)}</td>
+              <td>${esc(x.value)}</td>
+              <td>${esc(x.problem)}</td>
+              <td>${x.drop ? "dropped" : "kept"}</td>
+            </tr>`)
+          .join("");
+        const more = r.issues.length > MAX_ISSUES_SHOWN
+          ? `<p>…and ${(r.issues.length - MAX_ISSUES_SHOWN).toLocaleString()} more.</p>`
+          : "";
+        return `
+          <details>
+            <summary>${esc(r.file)}: ${r.issues.length.toLocaleString()} problem${r.issues.length === 1 ? "" : "s"}</summary>
+            <div class="table-wrap">
+              <table class="simple-table">
+                <thead><tr><th>Line</th><th>Field</th><th>Value</th><th>Problem</th><th>Row</th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            ${more}
+          </details>`;
+      })
+      .join("");
+
+    const notes = [];
+    if (!result.tables.projects) notes.push("A projects file is required.");
+    if (result.conflicts.length) notes.push(`Ignored: ${result.conflicts.map(esc).join("; ")}.`);
+    if (files.some((f) => !f.table)) notes.push("Some files have no table picked yet.");
+    const missing = result.missing.filter((t) => t !== "projects");
+    if (missing.length) {
+      notes.push(`Not uploaded (those charts stay empty): ${missing.map((t) => esc(SCHEMA[t].file)).join(", ")}.`);
+    }
+
+    el.report.innerHTML = `
+      ${notes.map((n) => `<p>${n}</p>`).join("")}
+      ${summary
+        ? `<div class="table-wrap">
+            <table class="simple-table">
+              <thead><tr><th>Table</th><th>File</th><th>Rows</th><th>Imported</th><th>Dropped</th><th>With warnings</th></tr></thead>
+              <tbody>${summary}</tbody>
+            </table>
+          </div>`
+        : ""}
+      ${details}`;
+  }
+});
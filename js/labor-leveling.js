@@ -0,0 +1,204 @@
+// ==================== Labor Leveling ====================
+// Time-phased crew demand by trade for the in-progress projects, peak
+// months above a crew capacity, and phase-start shifts that flatten them.
+// Used by the prescriptive page (through js/prescriptive-kpis.js).
+//
+//   LaborLeveling.phaseWindows(data, asOf)   -> [{ key, project, phase, start, end, started, hours: Map(trade -> h) }]
+//   LaborLeveling.loading(windows, offsets)  -> Map(trade -> Map("YYYY-MM" -> h))
+//   LaborLeveling.peaks(load, capacity)      -> [{ trade, month, hours, excess }] worst first
+//   LaborLeveling.level(windows, capacity)   -> { offsets, shifts, before, after, ... }
+//   LaborLeveling.series(...loads)           -> month-aligned arrays per trade for charts
+//
+// Demand looks forward from `asOf` (default today). Phases finished by then
+// are left out. A phase already started by `asOf` puts its remaining hours
+// (labor.csv est_hours − act_hours) from `asOf` to its planned end; one not
+// started yet puts its est_hours from its planned start (or `asOf`, if that
+// has passed) to its planned end. A window whose planned end has passed
+// runs OVERDUE_DAYS past its start. Hours are spread evenly over the days
+// of the window and totalled by calendar month (js/evm.js spreadByMonth).
+//
+// Leveling is greedy: take the worst trade-month over capacity, try
+// delaying each phase not yet started that works in it by SHIFT_STEP_DAYS up to
+// MAX_SHIFT_DAYS (later phases of the project move with it, so the
+// sequence holds) and keep the move that cuts the total excess hours the
+// most. Repeat until nothing helps or MAX_MOVES is reached.
+// ==================================================================
+
+window.LaborLeveling = (() => {
+  const DEFAULT_CAPACITY = 600; // crew hours per trade per month
+  const SHIFT_STEP_DAYS = 15;
+  const MAX_SHIFT_DAYS = 90;
+  const MAX_MOVES = 12;
+  const OVERDUE_DAYS = 30;
+
+  const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+  // ---------- Demand ----------
+  function phaseWindows(data, asOf = new Date()) {
+    const out = [];
+    data.projects.filter(EVM.isInProgress).forEach((p) => {
+      const entry = data.byProject.get(p.project_id);
+      entry.phases
+        .slice()
+        .sort((a, b) => a.phase_id - b.phase_id)
+        .forEach((ph, order) => {
+          if (ph.actual_end && ph.actual_end <= asOf) return;
+          const started = !!ph.actual_start && ph.actual_start <= asOf;
+          const planned = started ? asOf : ph.planned_start || ph.actual_start;
+          if (!planned) return;
+          const start = planned < asOf ? asOf : planned;
+          const end = ph.planned_end && ph.planned_end > start ? ph.planned_end : addDays(start, OVERDUE_DAYS);
+          const key = `${p.project_id}:${ph.phase_id}`;
+          const hours = new Map();
+          (data.byPhase.get(key)?.labor || []).forEach((r) => {
+            const est = isFinite(r.est_hours) ? r.est_hours : 0;
+            const h = started ? est - (isFinite(r.act_hours) ? r.act_hours : 0) : est;
+            if (h > 0) hours.set(r.trade, (hours.get(r.trade) || 0) + h);
+          });
+          if (hours.size) out.push({ key, project: p, phase: ph, order, start, end, started, hours });
+        });
+    });
+    return out;
+  }
+
+  // Days each window moves: its own shift plus the shifts of every earlier
+  // phase of the same project
+  function effectiveOffsets(windows, shifts) {
+    const out = new Map();
+    windows.forEach((w) => {
+      const days = windows
+        .filter((o) => o.project === w.project && o.order <= w.order)
+        .reduce((a, o) => a + (shifts.get(o.key) || 0), 0);
+      if (days) out.set(w.key, days);
+    });
+    return out;
+  }
+
+  function loading(windows, offsets = new Map()) {
+    const byTrade = new Map();
+    windows.forEach((w) => {
+      const d = offsets.get(w.key) || 0;
+      w.hours.forEach((h, trade) => {
+        if (!byTrade.has(trade)) byTrade.set(trade, new Map());
+        EVM.spreadByMonth(addDays(w.start, d), addDays(w.end, d), h, byTrade.get(trade));
+      });
+    });
+    return byTrade;
+  }
+
+  // ---------- Peaks ----------
+  function peaks(load, capacity) {
+    const out = [];
+    load.forEach((months, trade) => {
+      months.forEach((hours, month) => {
+        if (hours > capacity) out.push({ trade, month, hours, excess: hours - capacity });
+      });
+    });
+    return out.sort((a, b) => b.excess - a.excess || a.month.localeCompare(b.month) || a.trade.localeCompare(b.trade));
+  }
+
+  const totalExcess = (load, capacity) => d3.sum(peaks(load, capacity), (p) => p.excess);
+
+  // does the window put hours of `trade` into "YYYY-MM" (after its offset)?
+  function worksIn(w, trade, month, offset) {
+    if (!w.hours.has(trade)) return false;
+    const first = EVM.monthKey(addDays(w.start, offset));
+    const last = EVM.monthKey(addDays(w.end, offset));
+    return first <= month && month <= last;
+  }
+
+  // ---------- Leveling ----------
+  // -> { offsets: Map(key -> days), shifts: [{ key, project, phase, days, carried, from, to, trades, cut }],
+  //      before, after (loading), peaksBefore, peaksAfter, excessBefore, excessAfter }
+  function level(windows, capacity = DEFAULT_CAPACITY) {
+    const before = loading(windows);
+    const excessBefore = totalExcess(before, capacity);
+    const shifts = new Map(); // key -> own shift days
+    const moves = new Map(); // key -> { cut, trades }
+    let offsets = new Map();
+    let current = before;
+    let excess = excessBefore;
+
+    for (let n = 0; n < MAX_MOVES && excess > 0; n++) {
+      let best = null;
+      // worst peaks first; the first one some move improves wins
+      for (const peak of peaks(current, capacity)) {
+        windows
+          .filter((w) => !w.started && worksIn(w, peak.trade, peak.month, offsets.get(w.key) || 0))
+          .forEach((w) => {
+            const own = shifts.get(w.key) || 0;
+            for (let d = SHIFT_STEP_DAYS; own + d <= MAX_SHIFT_DAYS; d += SHIFT_STEP_DAYS) {
+              const trial = new Map(shifts).set(w.key, own + d);
+              const trialOffsets = effectiveOffsets(windows, trial);
+              const e = totalExcess(loading(windows, trialOffsets), capacity);
+              // ties go to the shorter delay (tried first)
+              if (e < excess - 1e-6 && (!best || e < best.excess - 1e-6)) {
+                best = { key: w.key, days: own + d, excess: e, offsets: trialOffsets, trade: peak.trade };
+              }
+            }
+          });
+        if (best) break;
+      }
+      if (!best) break;
+
+      shifts.set(best.key, best.days);
+      const m = moves.get(best.key) || { cut: 0, trades: new Set() };
+      m.cut += excess - best.excess;
+      m.trades.add(best.trade);
+      moves.set(best.key, m);
+      offsets = best.offsets;
+      excess = best.excess;
+      current = loading(windows, offsets);
+    }
+
+    const byKey = new Map(windows.map((w) => [w.key, w]));
+    const list = Array.from(shifts, ([key, days]) => {
+      const w = byKey.get(key);
+      const m = moves.get(key);
+      const total = offsets.get(key) || days;
+      return {
+        key,
+        project: w.project,
+        phase: w.phase,
+        days,
+        carried: total - days, // moved along with earlier shifted phases
+        from: w.start,
+        to: addDays(w.start, total),
+        trades: Array.from(m.trades),
+        cut: m.cut,
+      };
+    }).sort((a, b) => b.cut - a.cut);
+
+    return {
+      capacity,
+      offsets,
+      shifts: list,
+      before,
+      after: current,
+      peaksBefore: peaks(before, capacity),
+      peaksAfter: peaks(current, capacity),
+      excessBefore,
+      excessAfter: excess,
+    };
+  }
+
+  // Aligned series for charts: every month from the first to the last in
+  // any of the loadings -> { months, trades, series: [Map(trade -> values)] }
+  function series(...loads) {
+    const keys = loads.flatMap((l) => Array.from(l.values()).flatMap((m) => Array.from(m.keys()))).sort();
+    const months = [];
+    if (keys.length) {
+      const [y0, m0] = keys[0].split("-").map(Number);
+      const last = keys[keys.length - 1];
+      for (let d = new Date(y0, m0 - 1, 1); EVM.monthKey(d) <= last; d.setMonth(d.getMonth() + 1)) months.push(EVM.monthKey(d));
+    }
+    const trades = Array.from(new Set(loads.flatMap((l) => Array.from(l.keys())))).sort();
+    return {
+      months,
+      trades,
+      series: loads.map((l) => new Map(trades.map((t) => [t, months.map((m) => l.get(t)?.get(m) || 0)]))),
+    };
+  }
+
+  return { DEFAULT_CAPACITY, SHIFT_STEP_DAYS, MAX_SHIFT_DAYS, MAX_MOVES, OVERDUE_DAYS, phaseWindows, loading, peaks, level, series };
+})();
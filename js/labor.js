@@ -0,0 +1,347 @@
+// ==================== Labor Dashboard JS ====================
+// Works with dashboards/labor.html; data (labor.csv joined to projects)
+// comes from js/data.js
+//
+// KPIs:
+//   - Hours Variance ((act_hours - est_hours) / est_hours)
+//   - Labor Cost Variance ((act_hours - est_hours) × hourly_rate)
+//   - Safety Incidents (count, per 10k actual hours)
+//
+// Charts:
+//   - Hours Variance by Trade, Labor Cost Variance by Trade
+//   - Labor Cost Variance by Subcontractor
+//   - Variance by Phase (hours % + cost $)
+//   - Variance Trend — by project start YEAR (or MONTH when a year is selected)
+// Table: subcontractors ranked by labor cost variance
+//
+// Year filter follows the other dashboards: a labor row belongs to the
+// start year of its project.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+  function abbrNumber(n) {
+    if (!isFinite(n)) return "0";
+    const abs = Math.abs(n);
+    if (abs >= 1e12) return (n / 1e12).toFixed(1) + "T";
+    if (abs >= 1e9)  return (n / 1e9 ).toFixed(1) + "B";
+    if (abs >= 1e6)  return (n / 1e6 ).toFixed(1) + "M";
+    if (abs >= 1e3)  return (n / 1e3 ).toFixed(1) + "K";
+    return String(Math.round(n));
+  }
+  const moneyAbbr = (n) => (n < 0 ? `-$${abbrNumber(-n)}` : `$${abbrNumber(n)}`);
+  const { esc } = ProjectData;
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+
+  // ---------- Elements ----------
+  const el = {
+    yearFilter: $("yearFilter"),
+
+    kHoursVar: $("kpiHoursVariance"),
+    kCostVar: $("kpiLaborCostVariance"),
+    kSafety: $("kpiSafetyIncidents"),
+
+    cHoursByTrade: $("hoursVarianceByTrade"),
+    cCostByTrade: $("costVarianceByTrade"),
+    cCostBySub: $("costVarianceBySub"),
+    cByPhase: $("varianceByPhase"),
+    cTrend: $("laborVarianceTrend"),
+    subTable: $("subTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[LABOR] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let allLabor = [];
+  const charts = { hoursByTrade: null, costByTrade: null, costBySub: null, byPhase: null, trend: null };
+
+  ProjectData.load()
+    .then((data) => {
+      populateYearFilter(data.projects);
+
+      // global filter bar (js/filters.js) narrows the data; the year
+      // filter slices what is left
+      GlobalFilters.mount(data, (filtered) => {
+        // carry the project start date onto each labor row for year/month slicing
+        allLabor = filtered.labor.map((r) => ({
+          ...r,
+          start_date: filtered.byProject.get(r.project_id)?.project.start_date || null,
+        }));
+        updateView();
+      });
+
+      el.yearFilter.addEventListener("change", updateView);
+    })
+    .catch((err) => console.error("[LABOR] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateYearFilter(projects) {
+    const years = Array.from(
+      new Set(projects.filter((r) => r.start_date).map((r) => r.start_date.getFullYear()))
+    ).sort((a, b) => a - b);
+    years.forEach((y) => {
+      const opt = document.createElement("option");
+      opt.value = y;
+      opt.textContent = y;
+      el.yearFilter.appendChild(opt);
+    });
+  }
+
+  function updateView() {
+    const sel = el.yearFilter.value; // "all" or "YYYY"
+    const slice =
+      sel === "all"
+        ? allLabor
+        : allLabor.filter((r) => r.start_date && r.start_date.getFullYear().toString() === sel);
+
+    DataExport.setRows({ labor: slice });
+    updateKPIs(slice);
+    renderCharts(slice, sel);
+    renderSubTable(slice);
+  }
+
+  // ---------- Rollups ----------
+  // Sums est/act hours, est/act labor cost and incidents per group key
+  function laborTotals(rows) {
+    const t = { est: 0, act: 0, estCost: 0, actCost: 0, incidents: 0, rows: 0 };
+    rows.forEach((r) => {
+      if (!isFinite(r.est_hours) || !isFinite(r.act_hours)) return;
+      const rate = isFinite(r.hourly_rate) ? r.hourly_rate : 0;
+      t.est += r.est_hours;
+      t.act += r.act_hours;
+      t.estCost += r.est_hours * rate;
+      t.actCost += r.act_hours * rate;
+      t.incidents += isFinite(r.safety_incidents) ? r.safety_incidents : 0;
+      t.rows += 1;
+    });
+    t.hoursVar = t.est > 0 ? (t.act - t.est) / t.est : NaN;
+    t.costVar = t.actCost - t.estCost;
+    return t;
+  }
+
+  function laborTotalsBy(rows, keyFn) {
+    const groups = d3.group(rows, keyFn);
+    const out = new Map();
+    groups.forEach((v, k) => out.set(k, laborTotals(v)));
+    return out;
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(rows) {
+    const t = laborTotals(rows);
+    const per10k = t.act > 0 ? (t.incidents / t.act) * 10000 : NaN;
+
+    if (el.kHoursVar) {
+      el.kHoursVar.textContent = `${pctStr(t.hoursVar)} (${abbrNumber(t.act - t.est)} hrs)`;
+    }
+    if (el.kCostVar) el.kCostVar.textContent = moneyAbbr(t.costVar);
+    if (el.kSafety) {
+      el.kSafety.textContent = `${t.incidents} (${isFinite(per10k) ? per10k.toFixed(2) : "N/A"} per 10k hrs)`;
+    }
+  }
+
+  // ---------- Rendering ----------
+  function renderCharts(rows, selected) {
+    const isAll = selected === "all";
+    const yearInt = isAll ? null : parseInt(selected, 10);
+
+    // --- by trade (sorted by cost variance, worst first) ---
+    const byTrade = Array.from(laborTotalsBy(rows, (r) => r.trade || "Unspecified"))
+      .sort((a, b) => b[1].costVar - a[1].costVar);
+
+    charts.hoursByTrade = drawOrUpdateChart(charts.hoursByTrade, el.cHoursByTrade, {
+      type: "bar",
+      data: {
+        labels: byTrade.map(([k]) => k),
+        datasets: [{ label: "Hours Variance", data: byTrade.map(([, t]) => t.hoursVar) }],
+      },
+      options: horizontal(axisOptions({ pct: true })),
+    });
+
+    charts.costByTrade = drawOrUpdateChart(charts.costByTrade, el.cCostByTrade, {
+      type: "bar",
+      data: {
+        labels: byTrade.map(([k]) => k),
+        datasets: [{ label: "Labor Cost Variance", data: byTrade.map(([, t]) => t.costVar) }],
+      },
+      options: horizontal(axisOptions({ money: true })),
+    });
+
+    // --- by subcontractor ---
+    const bySub = Array.from(laborTotalsBy(rows, (r) => r.subcontractor || "Unspecified"))
+      .sort((a, b) => b[1].costVar - a[1].costVar);
+
+    charts.costBySub = drawOrUpdateChart(charts.costBySub, el.cCostBySub, {
+      type: "bar",
+      data: {
+        labels: bySub.map(([k]) => k),
+        datasets: [{ label: "Labor Cost Variance", data: bySub.map(([, t]) => t.costVar) }],
+      },
+      options: horizontal(axisOptions({ money: true })),
+    });
+
+    // --- by phase (cost $ on left axis, hours % on right axis) ---
+    const byPhase = Array.from(laborTotalsBy(rows, (r) => r.phase_id))
+      .sort((a, b) => a[0] - b[0]);
+    const phaseLabel = (id) => rows.find((r) => r.phase_id === id)?.phase_name || `Phase ${id}`;
+
+    if (el.cByPhase) {
+      charts.byPhase = drawOrUpdateChart(charts.byPhase, el.cByPhase, {
+        type: "bar",
+        data: {
+          labels: byPhase.map(([k]) => phaseLabel(k)),
+          datasets: [
+            { label: "Labor Cost Variance", data: byPhase.map(([, t]) => t.costVar), yAxisID: "y" },
+            { type: "line", label: "Hours Variance", data: byPhase.map(([, t]) => t.hoursVar), yAxisID: "y1", tension: 0.25, pointRadius: 3 },
+          ],
+        },
+        options: dualAxisOptions(),
+      });
+    }
+
+    // --- trend by project start year / month ---
+    const t = el.cTrend?.previousElementSibling;
+    if (t) t.textContent = isAll ? "Labor Variance — by Project Start Year" : `Labor Variance — by Month (${yearInt})`;
+
+    if (el.cTrend) {
+      let labels, totals;
+      if (isAll) {
+        const m = laborTotalsBy(rows.filter((r) => r.start_date), (r) => r.start_date.getFullYear());
+        labels = Array.from(m.keys()).sort((a, b) => a - b);
+        totals = labels.map((y) => m.get(y));
+      } else {
+        const m = laborTotalsBy(rows.filter((r) => r.start_date), (r) => r.start_date.getMonth());
+        labels = MONTH_LABELS.slice();
+        totals = labels.map((_, i) => m.get(i) || laborTotals([]));
+      }
+
+      charts.trend = drawOrUpdateChart(charts.trend, el.cTrend, {
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            { label: "Labor Cost Variance", data: totals.map((x) => x.costVar), yAxisID: "y" },
+            { type: "line", label: "Hours Variance", data: totals.map((x) => x.hoursVar), yAxisID: "y1", tension: 0.25, pointRadius: 3 },
+          ],
+        },
+        options: dualAxisOptions({ rotateX: labels.length > 12 }),
+      });
+    }
+  }
+
+  // ---------- Table: ranked subcontractors ----------
+  function renderSubTable(rows) {
+    if (!el.subTable) return;
+    const ranked = Array.from(laborTotalsBy(rows, (r) => r.subcontractor || "Unspecified"))
+      .map(([name, t]) => ({
+        name,
+        trades: Array.from(new Set(rows.filter((r) => (r.subcontractor || "Unspecified") === name).map((r) => r.trade))).join(", "),
+        ...t,
+        per10k: t.act > 0 ? (t.incidents / t.act) * 10000 : NaN,
+      }))
+      .sort((a, b) => b.costVar - a.costVar);
+
+    const body = ranked.map((s, i) => `<tr>
+        <td class="num">${i + 1}</td>
+        <td>${esc(s.name)}</td>
+        <td>${esc(s.trades)}</td>
+        <td class="num">${Math.round(s.est).toLocaleString()}</td>
+        <td class="num">${Math.round(s.act).toLocaleString()}</td>
+        <td class="num">${pctStr(s.hoursVar)}</td>
+        <td class="num">${moneyAbbr(s.costVar)}</td>
+        <td class="num">${s.incidents}</td>
+        <td class="num">${isFinite(s.per10k) ? s.per10k.toFixed(2) : "N/A"}</td>
+      </tr>`).join("");
+
+    el.subTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Rank</th><th>Subcontractor</th><th>Trades</th><th>Est. Hours</th><th>Act. Hours</th>
+            <th>Hours Var</th><th>Labor Cost Var</th><th>Incidents</th><th>per 10k hrs</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ money = false, pct = false, rotateX = false }) {
+    const fmt = (v) => (pct ? pctStr(v) : money ? moneyAbbr(v) : abbrNumber(v));
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.chart.options.indexAxis === "y" ? ctx.parsed.x : ctx.parsed.y;
+              return `${ctx.dataset.label}: ${fmt(v)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { maxRotation: rotateX ? 45 : 0, minRotation: rotateX ? 45 : 0 },
+        },
+        y: { beginAtZero: true, ticks: { callback: fmt } },
+      },
+    };
+  }
+
+  // value axis for the horizontal bars is x, so re-point the formatter
+  function horizontal(opts) {
+    const fmt = opts.scales.y.ticks.callback;
+    return { ...opts, indexAxis: "y", scales: { x: { beginAtZero: true, ticks: { callback: fmt } }, y: { grid: { display: false } } } };
+  }
+
+  function dualAxisOptions({ rotateX = false } = {}) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.parsed.y;
+              return `${ctx.dataset.label}: ${ctx.dataset.yAxisID === "y1" ? pctStr(v) : moneyAbbr(v)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { maxRotation: rotateX ? 45 : 0, minRotation: rotateX ? 45 : 0 },
+        },
+        y: { beginAtZero: true, ticks: { callback: moneyAbbr } },
+        y1: {
+          position: "right",
+          grid: { drawOnChartArea: false },
+          ticks: { callback: (v) => `${(v * 100).toFixed(0)}%` },
+        },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
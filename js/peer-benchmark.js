@@ -0,0 +1,144 @@
+// ==================== Peer Benchmark ====================
+// Compares one project with similar completed projects. Used by
+// dashboards/benchmark.html.
+//
+//   PeerBenchmark.peers(data, id, criteria)   -> [{ entry, distance }] closest first
+//   PeerBenchmark.compare(data, id, criteria) -> { entry, peers, rows }
+//     rows: [{ key, label, unit, group, value, projected, stats, percentile, band }]
+//
+// Criteria (null = any):
+//   budget  : "band" = same planned_budget band as the filter bar (js/filters.js)
+//   era     : start year within ± this many years
+//   duration: planned duration (start → planned_end) within ± this share
+//
+// Peers are completed projects other than the one benchmarked, since only
+// they have final numbers. An in-progress project's cost and change orders
+// are projected to completion (to date ÷ completion_pct, `projected` on the
+// row) so they compare with the peers' final figures; its slip is measured
+// to today and unfinished phases have no duration. Every metric is "higher
+// is worse" (cost variance,
+// slip, change orders, phase durations), so percentile 90 means the
+// project did worse than 90% of its peers.
+// ==================================================================
+
+window.PeerBenchmark = (() => {
+  const DEFAULT_CRITERIA = { budget: "band", era: 3, duration: 0.25 };
+  const MIN_PEERS = 5;
+
+  // by percentile of the project among its peers
+  const BANDS = [
+    { id: "low", label: "≤ P25 (better than most)", upTo: 25 },
+    { id: "typical", label: "P25–P75 (typical)", upTo: 75 },
+    { id: "high", label: "≥ P75 (worse than most)", upTo: Infinity },
+  ];
+
+  const bandOf = (p) => (isFinite(p) ? BANDS.find((b) => p <= b.upTo).id : null);
+  const budgetBand = (v) => Object.keys(GlobalFilters.BANDS).find((k) => v >= GlobalFilters.BANDS[k].lo && v < GlobalFilters.BANDS[k].hi);
+  const plannedDays = (p) => (p.start_date && p.planned_end ? ProjectData.daysBetween(p.start_date, p.planned_end) : NaN);
+  const ratio = (a, b) => (b > 0 && isFinite(a) ? a / b : NaN);
+  // share of the work done: 1 when complete, NaN without a usable completion_pct
+  const progress = (p) => (p.actual_end ? 1 : p.completion_pct > 0 ? Math.min(p.completion_pct, 100) / 100 : NaN);
+  // a figure to date, scaled up to completion
+  const atCompletion = (e, v) => v / progress(e.project);
+
+  // ---------- Metrics ----------
+  const BASE_METRICS = [
+    {
+      key: "costVariance", label: "Cost variance", unit: "%", group: "cost", projected: true,
+      value: (e) => ratio(atCompletion(e, e.project.actual_cost) - e.project.planned_budget, e.project.planned_budget),
+    },
+    {
+      key: "coCost", label: "CO cost (share of budget)", unit: "%", group: "cost", projected: true,
+      value: (e) => ratio(atCompletion(e, d3.sum(e.changeOrders, (r) => r.co_cost)), e.project.planned_budget),
+    },
+    {
+      key: "coCount", label: "Change orders", unit: "count", group: "changeOrders", projected: true,
+      value: (e) => atCompletion(e, e.changeOrders.length),
+    },
+    {
+      key: "slip", label: "Schedule slip", unit: "days", group: "schedule",
+      // still open: days past planned_end so far
+      value: (e) => {
+        const p = e.project;
+        if (p.actual_end) return ProjectData.daysBetween(p.planned_end, p.actual_end);
+        return p.planned_end ? Math.max(0, ProjectData.daysBetween(p.planned_end, new Date())) : NaN;
+      },
+    },
+  ];
+
+  // one "<phase> duration" metric per phase name, in phase order
+  function phaseMetrics(data) {
+    const names = Array.from(new Set(
+      data.phases.slice().sort((a, b) => a.phase_id - b.phase_id).map((ph) => ph.phase_name)
+    ));
+    return names.map((name) => ({
+      key: `phase:${name}`, label: `${name} duration`, unit: "days", group: "schedule",
+      value: (e) => {
+        const ph = e.phases.find((x) => x.phase_name === name);
+        return ph ? ProjectData.daysBetween(ph.actual_start, ph.actual_end) : NaN;
+      },
+    }));
+  }
+
+  // ---------- Peers ----------
+  function peers(data, id, criteria = DEFAULT_CRITERIA) {
+    const self = data.byProject.get(id);
+    if (!self) return [];
+    const p = self.project;
+    const band = budgetBand(p.planned_budget);
+    const year = p.start_date?.getFullYear();
+    const days = plannedDays(p);
+    // a criterion the project itself has no value for is skipped
+    const byBand = criteria.budget === "band" && band != null;
+    const byEra = Number.isFinite(criteria.era) && year != null;
+    const byDuration = Number.isFinite(criteria.duration) && isFinite(days);
+
+    return data.projects
+      .filter((q) => q.project_id !== id && q.actual_end)
+      .filter((q) => !byBand || budgetBand(q.planned_budget) === band)
+      .filter((q) => !byEra || (q.start_date && Math.abs(q.start_date.getFullYear() - year) <= criteria.era))
+      .filter((q) => !byDuration || Math.abs(plannedDays(q) - days) <= days * criteria.duration)
+      .map((q) => ({
+        entry: data.byProject.get(q.project_id),
+        // relative budget and duration gaps plus years apart, for ordering only
+        distance:
+          Math.abs(Math.log(q.planned_budget / p.planned_budget)) +
+          Math.abs(Math.log(plannedDays(q) / days)) +
+          Math.abs((q.start_date?.getFullYear() ?? year) - year) / 10,
+      }))
+      .sort((a, b) => (a.distance || 0) - (b.distance || 0));
+  }
+
+  // ---------- Distribution ----------
+  function stats(values) {
+    const v = values.filter(isFinite).sort(d3.ascending);
+    if (!v.length) return { n: 0 };
+    const q = (x) => d3.quantileSorted(v, x);
+    return { n: v.length, min: v[0], p10: q(0.1), q1: q(0.25), median: q(0.5), q3: q(0.75), p90: q(0.9), max: v[v.length - 1] };
+  }
+
+  // share of peers below the value, ties counted half (0–100)
+  function percentileRank(values, x) {
+    const v = values.filter(isFinite);
+    if (!v.length || !isFinite(x)) return NaN;
+    const below = v.filter((y) => y < x).length;
+    const equal = v.filter((y) => y === x).length;
+    return ((below + equal / 2) / v.length) * 100;
+  }
+
+  function compare(data, id, criteria = DEFAULT_CRITERIA) {
+    const entry = data.byProject.get(id);
+    if (!entry) return null;
+    const list = peers(data, id, criteria);
+    const rows = [...BASE_METRICS, ...phaseMetrics(data)].map((m) => {
+      const peerValues = list.map((x) => m.value(x.entry));
+      const value = m.value(entry);
+      const percentile = percentileRank(peerValues, value);
+      const projected = !!m.projected && !entry.project.actual_end;
+      return { key: m.key, label: m.label, unit: m.unit, group: m.group, value, projected, stats: stats(peerValues), percentile, band: bandOf(percentile) };
+    });
+    return { entry, peers: list, rows };
+  }
+
+  return { DEFAULT_CRITERIA, MIN_PEERS, BANDS, peers, compare, stats, percentileRank, budgetBand };
+})();
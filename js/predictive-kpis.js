@@ -0,0 +1,269 @@
+// ==================== Predictive KPIs ====================
+// The numbers behind dashboards/predictive.html, without the DOM. The page
+// draws these series and tools/kpis.js prints them, so both agree.
+//
+//   PredictiveKPIs.activeEntries(data)  -> byProject entries of in-progress projects
+//   PredictiveKPIs.forecasts(projects, { horizon, model, holdout })
+//     -> { costSeries, costModel, costForecast, schedSeries, schedModel, schedForecast } | null
+//   PredictiveKPIs.riskScores(projects, cos) / riskHistogram(scores)
+//   PredictiveKPIs.pipelineByQuarter(projects, activeEntries, horizon, costSeries, costModel, asOf)
+//   PredictiveKPIs.backtest(costSeries, schedSeries, holdout)
+//   PredictiveKPIs.simulate(projects, cos, activeEntries) / finalCostHistogram(sim)
+//   PredictiveKPIs.evmRows(activeEntries, asOf)
+//   PredictiveKPIs.summary(data, { horizon, model, holdout, asOf })
+//
+// `model` is a js/forecast.js key or "auto" (lowest backtest MAE over the
+// last `holdout` years). Forecasts need at least one year of history;
+// forecasts() returns null when the filters leave none.
+// ==================================================================
+
+window.PredictiveKPIs = (() => {
+  const AT_RISK_SCORE = 70;
+  const RISK_BIN_LABELS = ["0–20","21–40","41–60","61–80","81–100"];
+
+  const slipDays = (r) => ProjectData.daysBetween(r.planned_end, r.actual_end);
+
+  function activeEntries(data) {
+    return data.projects.filter(EVM.isInProgress).map((p) => data.byProject.get(p.project_id));
+  }
+
+  // ---------- history ----------
+  function avgActualCostByYear(rows) {
+    const sums = {}, cnts = {};
+    rows.forEach(r => {
+      if (!r.start_date || !isFinite(r.actual_cost)) return;
+      const y = r.start_date.getFullYear();
+      sums[y] = (sums[y]||0) + r.actual_cost;
+      cnts[y] = (cnts[y]||0) + 1;
+    });
+    const out = {};
+    Object.keys(sums).forEach(y => out[y] = sums[y]/cnts[y]);
+    return out;
+  }
+
+  function avgScheduleVarianceByYear(rows) {
+    const sums = {}, cnts = {};
+    rows.forEach(r => {
+      const days = slipDays(r);
+      if (!isFinite(days) || !r.start_date) return;
+      const y = r.start_date.getFullYear();
+      sums[y] = (sums[y]||0) + days;
+      cnts[y] = (cnts[y]||0) + 1;
+    });
+    const out = {};
+    Object.keys(sums).forEach(y => out[y] = sums[y]/cnts[y]);
+    return out;
+  }
+
+  // ---------- forecasts ----------
+  // selected model key for a series ("auto" = lowest backtest MAE)
+  function modelFor(choice, series, holdout) {
+    return choice === "auto" ? Forecast.bestModel(series, holdout) : choice;
+  }
+
+  function forecasts(projects, { horizon = 3, model = "linear", holdout = 5 } = {}) {
+    const costSeries = Forecast.toSeries(avgActualCostByYear(projects));
+    const schedSeries = Forecast.toSeries(avgScheduleVarianceByYear(projects));
+    if (!costSeries.length || !schedSeries.length) return null;
+
+    const costModel = Forecast.MODELS[modelFor(model, costSeries, holdout)](costSeries);
+    const schedModel = Forecast.MODELS[modelFor(model, schedSeries, holdout)](schedSeries);
+    return {
+      costSeries,
+      costModel,
+      costForecast: costModel.forecast(horizon),
+      schedSeries,
+      schedModel,
+      schedForecast: schedModel.forecast(horizon),
+    };
+  }
+
+  // Every model scored on the last `holdout` years of both series
+  // -> [{ key, name, cost: { mae, mape, n }, sched: { ... }, bestCost, bestSched }]
+  function backtest(costSeries, schedSeries, holdout = 5) {
+    const bestCost = Forecast.bestModel(costSeries, holdout);
+    const bestSched = Forecast.bestModel(schedSeries, holdout);
+    return Object.keys(Forecast.MODELS).map(k => ({
+      key: k,
+      name: Forecast.MODELS[k](costSeries).name,
+      cost: Forecast.backtest(costSeries, k, holdout),
+      sched: Forecast.backtest(schedSeries, k, holdout),
+      bestCost: k === bestCost,
+      bestSched: k === bestSched,
+    }));
+  }
+
+  // ---------- rule-based risk ----------
+  function ruleRiskScore(row, coMap) {
+    // Heuristic: weight by size, schedule slip, and CO magnitude
+    const size = Math.log10(Math.max(1, row.planned_budget)); // 0..?
+    const slip = Math.max(0, slipDays(row) || 0);
+    const coTotal = coMap[row.project_id] || 0;
+    // Scale to ~0..100
+    const score = 20*size + 0.05*slip + 0.000005*coTotal;
+    return Math.min(100, Math.round(score));
+  }
+
+  function changeOrderTotalsByProject(cos) {
+    const m = {};
+    cos.forEach(r => {
+      const k = r.project_id || "__missing__";
+      const c = isFinite(r.co_cost) ? r.co_cost : 0;
+      m[k] = (m[k]||0) + c;
+    });
+    return m;
+  }
+
+  function riskScores(projects, cos) {
+    const coTotals = changeOrderTotalsByProject(cos);
+    return projects.map(p => ruleRiskScore(p, coTotals));
+  }
+
+  const atRiskCount = (scores) => scores.filter(s => s >= AT_RISK_SCORE).length;
+
+  function riskHistogram(scores) {
+    const values = Array(RISK_BIN_LABELS.length).fill(0);
+    scores.forEach(s => {
+      if (s<=20) values[0]++; else if (s<=40) values[1]++; else if (s<=60) values[2]++; else if (s<=80) values[3]++; else values[4]++;
+    });
+    return { labels: RISK_BIN_LABELS.slice(), values };
+  }
+
+  // ---------- pipeline ----------
+  // Quarterly spend over the horizon, starting with the quarter of `asOf`:
+  //   - in-progress: budget × (1 − completion) spread evenly to planned_end, or
+  //     over the unfinished share of the planned duration if that has passed
+  //   - new starts: mean starts per quarter over the last START_RATE_YEARS of
+  //     history, each at the forecast avg cost for its start year, spread over
+  //     the median planned duration
+  const START_RATE_YEARS = 5;
+  const quarterKey = (y, m) => `${y} Q${Math.floor(m / 3) + 1}`;
+
+  function pipelineByQuarter(projects, active, horizon, costSeries, costModel, asOf = new Date()) {
+    const from = new Date(asOf.getFullYear(), Math.floor(asOf.getMonth() / 3) * 3, 1);
+    const until = new Date(from.getFullYear() + horizon, from.getMonth(), 1);
+    const labels = [];
+    for (let d = new Date(from); d < until; d.setMonth(d.getMonth() + 3)) labels.push(quarterKey(d.getFullYear(), d.getMonth()));
+
+    const toQuarters = (byMonth) => {
+      const q = new Map();
+      byMonth.forEach((v, m) => {
+        const k = quarterKey(+m.slice(0, 4), +m.slice(5) - 1);
+        q.set(k, (q.get(k) || 0) + v);
+      });
+      return labels.map(l => q.get(l) || 0);
+    };
+
+    // in-progress backlog
+    const activeMonths = new Map();
+    active.forEach(({ project: p }) => {
+      const remaining = p.planned_budget * Math.max(0, 1 - p.completion_pct / 100);
+      if (!(remaining > 0)) return;
+      let end = p.planned_end;
+      if (!end || end <= asOf) {
+        const plannedDays = p.start_date && p.planned_end ? ProjectData.daysBetween(p.start_date, p.planned_end) : 365;
+        end = new Date(asOf.getTime() + Math.max(30, plannedDays * (1 - p.completion_pct / 100)) * ProjectData.DAY_MS);
+      }
+      EVM.spreadByMonth(asOf, end, remaining, activeMonths);
+    });
+
+    // new starts
+    const lastYear = costSeries[costSeries.length - 1].x;
+    const recent = projects.filter(p => p.start_date && p.start_date.getFullYear() > lastYear - START_RATE_YEARS);
+    const startsPerQuarter = recent.length / (START_RATE_YEARS * 4);
+    const durations = projects.filter(p => p.start_date && p.planned_end)
+      .map(p => ProjectData.daysBetween(p.start_date, p.planned_end)).sort((a,b) => a-b);
+    const medianDays = durations.length ? durations[Math.floor(durations.length / 2)] : 365;
+    const fc = costModel.forecast(Math.max(1, until.getFullYear() - lastYear));
+    const avgCostIn = (y) => Math.max(0, (fc.find(f => f.x === y) || fc[fc.length - 1]).y);
+
+    const newMonths = new Map();
+    for (let d = new Date(from); d < until; d.setMonth(d.getMonth() + 3)) {
+      const start = new Date(d.getFullYear(), d.getMonth() + 1, 15); // mid-quarter
+      const end = new Date(start.getTime() + medianDays * ProjectData.DAY_MS);
+      EVM.spreadByMonth(start, end, startsPerQuarter * avgCostIn(d.getFullYear()), newMonths);
+    }
+
+    return { labels, active: toQuarters(activeMonths), newStarts: toQuarters(newMonths), startsPerQuarter };
+  }
+
+  // ---------- overrun simulation ----------
+  // Monte Carlo of the in-progress projects (js/simulation.js), fitted on
+  // the projects and change orders passed in
+  function simulate(projects, cos, active) {
+    return Simulation.run(Simulation.fit(projects, cos), active.map(e => e.project));
+  }
+
+  // Simulated portfolio final cost, split at the combined budget
+  // -> { mid: bin midpoints, within, over }
+  function finalCostHistogram(sim, bins = 24) {
+    const pf = sim.portfolio;
+    const h = Simulation.histogram(pf.samples, bins);
+    const mid = h.edges.map(e => e + h.width / 2);
+    return {
+      mid,
+      within: h.counts.map((c, i) => (mid[i] <= pf.budget ? c : 0)),
+      over: h.counts.map((c, i) => (mid[i] > pf.budget ? c : 0)),
+    };
+  }
+
+  // ---------- earned value ----------
+  // worst CPI first
+  function evmRows(active, asOf = new Date()) {
+    return active.map(e => EVM.projectEvm(e, asOf)).sort((a,b) => a.cpi - b.cpi);
+  }
+
+  // ---------- Everything on the page ----------
+  function summary(data, { horizon = 3, model = "linear", holdout = 5, asOf = new Date() } = {}) {
+    const active = activeEntries(data);
+    const scores = riskScores(data.projects, data.changeOrders);
+    const sim = simulate(data.projects, data.changeOrders, active);
+    const withoutSamples = ({ samples, ...rest }) => rest;
+    const evm = evmRows(active, asOf);
+    const fc = forecasts(data.projects, { horizon, model, holdout });
+
+    return {
+      options: { horizon, model, holdout },
+      kpis: {
+        nextYearAvgCost: fc ? fc.costForecast[0].y : NaN,
+        overrunProbability: sim.portfolio.overrunProbability,
+        inProgressProjects: sim.projects.length,
+        atRiskCount: fc ? atRiskCount(scores) : NaN,
+      },
+      series: {
+        avgCost: fc && { model: fc.costModel.name, history: fc.costSeries, forecast: fc.costForecast },
+        scheduleVariance: fc && { model: fc.schedModel.name, history: fc.schedSeries, forecast: fc.schedForecast },
+        backtest: fc && backtest(fc.costSeries, fc.schedSeries, holdout),
+        riskHistogram: fc && riskHistogram(scores),
+        pipeline: fc && pipelineByQuarter(data.projects, active, horizon, fc.costSeries, fc.costModel, asOf),
+        simulation: {
+          runs: sim.runs,
+          seed: sim.seed,
+          portfolio: withoutSamples(sim.portfolio),
+          finalCostHistogram: finalCostHistogram(sim),
+          projects: sim.projects.map(withoutSamples),
+        },
+        evm: {
+          portfolio: EVM.portfolioEvm(evm),
+          projects: evm,
+          sCurve: EVM.sCurve(active, asOf),
+        },
+      },
+    };
+  }
+
+  return {
+    AT_RISK_SCORE,
+    activeEntries,
+    forecasts,
+    backtest,
+    riskScores,
+    atRiskCount,
+    riskHistogram,
+    pipelineByQuarter,
+    simulate,
+    finalCostHistogram,
+    evmRows,
+    summary,
+  };
+})();
@@ -1,19 +1,34 @@
 // ==================== Predictive Dashboard JS ====================
 // Demo forecasts from trends & rules on synthetic data.
-// - Loads data/projects.csv and data/change_orders.csv
+// - Projects and change orders come from the shared loader (js/data.js); the
+//   numbers come from js/predictive-kpis.js (shared with tools/kpis.js)
 // - KPIs: next-year avg cost (forecast), portfolio overrun probability,
 //         count of at-risk projects (rule-based)
-// - Charts: avg cost forecast, schedule variance forecast, overrun probabilities,
-//           risk score histogram, pipeline cost forecast
+// - Charts: avg cost forecast, schedule variance forecast, simulated final
+//           cost distribution, risk score histogram, pipeline cost forecast
+// - Avg cost / schedule variance forecasts use the model picked in the
+//   controls (js/forecast.js: linear, Holt, moving average, or best backtest)
+//   with 95% bands; the backtest table scores every model on the last N years
+// - Pipeline: remaining budget of in-progress projects plus forecast new
+//   starts (recent start rate × forecast avg cost), by quarter over the horizon
+// - Overrun probability is a Monte Carlo simulation (js/simulation.js) of the
+//   in-progress projects, with distributions fitted from completed projects;
+//   the table lists per-project probability and P50/P80/P90 final cost
+// - Earned value (js/evm.js) for in-progress projects: CPI/SPI, EAC/ETC, VAC
+//   cards, PV vs EV vs AC S-curve and a per-project table; the select switches
+//   between the whole in-progress portfolio and a single project
 // =================================================================
 
 window.addEventListener("DOMContentLoaded", () => {
   const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
   const money = (n) => (isFinite(n) ? `$${Math.round(n).toLocaleString()}` : "N/A");
   const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
 
   const el = {
     horizon: $("horizonSelect"),
+    model: $("modelSelect"),
+    backtestYears: $("backtestSelect"),
 
     kNextCost: $("kpiNextYearCost"),
     kOverrunProb: $("kpiOverrunProb"),
@@ -22,224 +37,292 @@ window.addEventListener("DOMContentLoaded", () => {
     cAvgCostForecast: $("avgCostForecast"),
     cSchedVarForecast: $("schedVarForecast"),
     cOverrunProb: $("overrunProbabilities"),
+    simTable: $("simTable"),
     cRiskHist: $("riskScoreHistogram"),
     cPipeline: $("pipelineForecast"),
-  };
+    backtestTable: $("backtestTable"),
 
-  const charts = { avgCost: null, schedVar: null, prob: null, risk: null, pipe: null };
-  let projects = [], cos = [];
+    evmProject: $("evmProjectSelect"),
+    kEvmIndices: $("kpiEvmIndices"),
+    kEvmEac: $("kpiEvmEac"),
+    kEvmVac: $("kpiEvmVac"),
+    cSCurve: $("evmSCurve"),
+    evmTable: $("evmTable"),
+  };
 
-  Promise.all([
-    d3.csv("../data/projects.csv"),
-    d3.csv("../data/change_orders.csv"),
-  ]).then(([pr, co]) => {
-    projects = pr.map(d => ({
-      project_id: d.project_id,
-      start_date: d.start_date,
-      planned_end: d.planned_end,
-      actual_end: d.actual_end || "",
-      planned_budget: +d.planned_budget,
-      actual_cost: +d.actual_cost
-    }));
-    cos = co.map(d => ({
-      project_id: d.project_id,
-      co_cost: +d.co_cost,
-      date: d.date
-    }));
-
-    render();
-    el.horizon.addEventListener("change", render);
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[PREDICTIVE] Optional/missing element: ${k}`);
   });
 
-  // ---------- derived ----------
-  const parseDate = (s) => (s ? new Date(s) : null);
-  const mean = (arr) => arr.length ? arr.reduce((a,b)=>a+b,0)/arr.length : 0;
-
-  function avgActualCostByYear(rows) {
-    const sums = {}, cnts = {};
-    rows.forEach(r => {
-      const y = new Date(r.start_date).getFullYear();
-      if (!isFinite(r.actual_cost)) return;
-      sums[y] = (sums[y]||0) + r.actual_cost;
-      cnts[y] = (cnts[y]||0) + 1;
-    });
-    const out = {};
-    Object.keys(sums).forEach(y => out[y] = sums[y]/cnts[y]);
-    return out;
-  }
-
-  function avgScheduleVarianceByYear(rows) {
-    const sums = {}, cnts = {};
-    rows.forEach(r => {
-      const pe = parseDate(r.planned_end);
-      const ae = parseDate(r.actual_end);
-      if (!pe || !ae || isNaN(pe) || isNaN(ae)) return;
-      const y = new Date(r.start_date).getFullYear();
-      const days = (ae - pe)/(1000*60*60*24);
-      sums[y] = (sums[y]||0) + days;
-      cnts[y] = (cnts[y]||0) + 1;
-    });
-    const out = {};
-    Object.keys(sums).forEach(y => out[y] = sums[y]/cnts[y]);
-    return out;
-  }
+  const charts = { avgCost: null, schedVar: null, prob: null, risk: null, pipe: null, sCurve: null };
+  let projects = [], cos = [];
+  let sim = null;
+  let activeEntries = [], evmRows = [];
 
-  // simple linear regression y = a + b*x over year numbers
-  function linReg(seriesObj) {
-    const xs = Object.keys(seriesObj).map(Number).sort((a,b)=>a-b);
-    const ys = xs.map(x => seriesObj[x]);
-    if (xs.length < 2) return {a: ys[0]||0, b: 0, xs, ys};
-    const n = xs.length;
-    const sx = xs.reduce((a,b)=>a+b,0);
-    const sy = ys.reduce((a,b)=>a+b,0);
-    const sxx = xs.reduce((a,b)=>a+b*b,0);
-    const sxy = xs.reduce((a,_,i)=>a+xs[i]*ys[i],0);
-    const b = (n*sxy - sx*sy) / Math.max(1,(n*sxx - sx*sx));
-    const a = (sy - b*sx) / n;
-    return {a,b,xs,ys};
-  }
+  ProjectData.load().then((data) => {
+    // everything on this page follows the global filter bar (js/filters.js)
+    GlobalFilters.mount(data, (filtered) => {
+      projects = filtered.projects;
+      cos = filtered.changeOrders;
+      activeEntries = PredictiveKPIs.activeEntries(filtered);
+      sim = PredictiveKPIs.simulate(projects, cos, activeEntries);
+      evmRows = PredictiveKPIs.evmRows(activeEntries);
 
-  function forecastNextYears(a, b, lastYear, horizon) {
-    const labels = [];
-    const vals = [];
-    for (let i=1; i<=horizon; i++) {
-      const y = lastYear + i;
-      labels.push(y);
-      vals.push(a + b*y);
-    }
-    return {labels, vals};
-  }
+      render();
+      renderSimulation();
+      populateEvmSelect();
+      renderEvm();
+    });
 
-  function portfolioOverrunProbability(rows) {
-    // baseline: share of projects with actual > planned
-    const elig = rows.filter(r => isFinite(r.planned_budget) && r.planned_budget>0 && isFinite(r.actual_cost));
-    const over = elig.filter(r => r.actual_cost > r.planned_budget).length;
-    const base = elig.length ? over/elig.length : 0;
-
-    // a crude "adjusted" probability: bump up by +5% if avg schedule variance > 0
-    const schedVar = mean(rows.map(r => {
-      const pe=parseDate(r.planned_end), ae=parseDate(r.actual_end);
-      return (pe&&ae)? (ae-pe)/(1000*60*60*24) : NaN;
-    }).filter(v=>isFinite(v)));
-    const adj = Math.min(1, Math.max(0, base + (schedVar>0 ? 0.05 : -0.02)));
-    return {base, adj};
-  }
+    el.horizon.addEventListener("change", render);
+    el.model?.addEventListener("change", render);
+    el.backtestYears?.addEventListener("change", render);
+    el.evmProject?.addEventListener("change", renderEvm);
+  }).catch(err => console.error("[PREDICTIVE] CSV load error:", err));
 
-  function ruleRiskScore(row, coMap) {
-    // Heuristic: weight by size, schedule slip, and CO magnitude
-    const size = Math.log10(Math.max(1, row.planned_budget)); // 0..?
-    const pe=parseDate(row.planned_end), ae=parseDate(row.actual_end);
-    const slipDays = (pe&&ae)? Math.max(0,(ae-pe)/(1000*60*60*24)) : 0;
-    const coTotal = coMap[row.project_id] || 0;
-    // Scale to ~0..100
-    const score = 20*size + 0.05*slipDays + 0.000005*coTotal;
-    return Math.min(100, Math.round(score));
+  // ---------- forecast charts ----------
+  // history + dashed forecast + shaded 95% band (lower line, upper filled to it)
+  function forecastDatasets(histLabel, series, fc) {
+    const lastPt = series[series.length - 1].y;
+    // forecast and band start at the last actual point so the lines connect
+    const join = [...Array(series.length - 1).fill(null), lastPt];
+    return [
+      { label: histLabel, data: series.map(p => p.y), tension: 0.25, pointRadius: 3 },
+      { label: "Forecast", data: [...join, ...fc.map(f => f.y)], borderDash: [6,6], tension: 0.25, pointRadius: 3 },
+      { label: "95% band (low)", data: [...join, ...fc.map(f => f.lo)], pointRadius: 0, borderWidth: 0 },
+      { label: "95% band", data: [...join, ...fc.map(f => f.hi)], pointRadius: 0, borderWidth: 0, fill: "-1" },
+    ];
   }
-
-  function changeOrderTotalsByProject(cos) {
-    const m = {};
-    cos.forEach(r => {
-      const k = r.project_id || "__missing__";
-      const c = isFinite(r.co_cost) ? r.co_cost : 0;
-      m[k] = (m[k]||0) + c;
-    });
-    return m;
+  // hide the helper "(low)" band line from the legend
+  function withBandLegend(options) {
+    return { ...options, plugins: { ...options.plugins, legend: { position: "top", labels: { filter: (item) => !/\(low\)/.test(item.text) } } } };
   }
 
   function render() {
     const horizon = parseInt(el.horizon.value, 10) || 3;
 
-    // --- build series ---
-    const avgCostByYear = avgActualCostByYear(projects);
-    const costReg = linReg(avgCostByYear);
-    const costForecast = forecastNextYears(costReg.a, costReg.b, Math.max(...costReg.xs), horizon);
+    const holdout = parseInt(el.backtestYears?.value, 10) || 5;
 
-    const schedByYear = avgScheduleVarianceByYear(projects);
-    const schedReg = linReg(schedByYear);
-    const schedForecast = forecastNextYears(schedReg.a, schedReg.b, Math.max(...Object.keys(schedByYear).map(Number)), horizon);
+    const fc = PredictiveKPIs.forecasts(projects, { horizon, model: el.model ? el.model.value : "linear", holdout });
+    if (!fc) return renderNoHistory();
+    const { costSeries, costModel, costForecast, schedSeries, schedModel, schedForecast } = fc;
 
-    const {base, adj} = portfolioOverrunProbability(projects);
+    const scores = PredictiveKPIs.riskScores(projects, cos);
+    const atRiskCount = PredictiveKPIs.atRiskCount(scores);
 
-    // risk scores
-    const coTotals = changeOrderTotalsByProject(cos);
-    const scores = projects.map(p => ruleRiskScore(p, coTotals));
-    const atRiskCount = scores.filter(s => s>=70).length;
-
-    // pipeline forecast: naive = count of projects per year * mean actual cost trend extended
-    const yrs = costReg.xs;
-    const counts = {};
-    projects.forEach(r => {
-      const y = new Date(r.start_date).getFullYear();
-      counts[y] = (counts[y]||0)+1;
-    });
-    const lastYear = Math.max(...yrs);
-    const avgCount = mean(Object.values(counts));
-    const pipeYears = [];
-    const pipeVals = [];
-    for (let i=1;i<=3;i++){
-      const y = lastYear+i;
-      pipeYears.push(y);
-      const avgCost = costReg.a + costReg.b*y;
-      pipeVals.push(Math.max(0, avgCount*avgCost));
-    }
+    const pipe = PredictiveKPIs.pipelineByQuarter(projects, activeEntries, horizon, costSeries, costModel);
 
     // --- KPIs ---
-    if (el.kNextCost) el.kNextCost.textContent = money(costReg.a + costReg.b*(lastYear+1));
-    if (el.kOverrunProb) el.kOverrunProb.textContent = `${Math.round(adj*100)}%`;
+    if (el.kNextCost) el.kNextCost.textContent = money(costForecast[0].y);
     if (el.kAtRisk) el.kAtRisk.textContent = atRiskCount.toString();
 
     // --- Charts ---
+    setTitle(el.cAvgCostForecast, `Avg Actual Cost — Trend & Forecast (${costModel.name})`);
     charts.avgCost = drawOrUpdate(charts.avgCost, el.cAvgCostForecast, {
       type: "line",
       data: {
-        labels: [...costReg.xs, ...costForecast.labels],
-        datasets: [
-          { label: "Avg Actual Cost (history)", data: costReg.xs.map(x => avgCostByYear[x]), tension: 0.25, pointRadius: 3 },
-          { label: "Forecast", data: [...Array(costReg.xs.length).fill(null), ...costForecast.vals], borderDash: [6,6], tension: 0.25, pointRadius: 3 },
-        ]
+        labels: [...costSeries.map(p => p.x), ...costForecast.map(f => f.x)],
+        datasets: forecastDatasets("Avg Actual Cost (history)", costSeries, costForecast)
       },
-      options: moneyAxis()
+      options: withBandLegend(moneyAxis())
     });
 
+    setTitle(el.cSchedVarForecast, `Schedule Variance — Trend & Forecast (days, ${schedModel.name})`);
     charts.schedVar = drawOrUpdate(charts.schedVar, el.cSchedVarForecast, {
       type: "line",
       data: {
-        labels: [...Object.keys(schedByYear).map(Number).sort((a,b)=>a-b), ...schedForecast.labels],
-        datasets: [
-          { label: "Avg Schedule Var (days)", data: Object.keys(schedByYear).map(Number).sort((a,b)=>a-b).map(y => schedByYear[y]), tension: 0.25, pointRadius: 3 },
-          { label: "Forecast", data: [...Array(Object.keys(schedByYear).length).fill(null), ...schedForecast.vals], borderDash: [6,6], tension: 0.25, pointRadius: 3 },
-        ]
+        labels: [...schedSeries.map(p => p.x), ...schedForecast.map(f => f.x)],
+        datasets: forecastDatasets("Avg Schedule Var (days)", schedSeries, schedForecast)
       },
-      options: numberAxis("days")
+      options: withBandLegend(numberAxis("days"))
     });
 
-    charts.prob = drawOrUpdate(charts.prob, el.cOverrunProb, {
-      type: "bar",
-      data: { labels: ["Baseline", "Adjusted"], datasets: [{ label: "Probability", data: [base, adj] }] },
-      options: percentAxis()
-    });
+    renderBacktest(costSeries, schedSeries, holdout);
 
     // risk histogram
-    const bins = [0,20,40,60,80,100];
-    const labels = ["0–20","21–40","41–60","61–80","81–100"];
-    const hist = Array(labels.length).fill(0);
-    scores.forEach(s => {
-      if (s<=20) hist[0]++; else if (s<=40) hist[1]++; else if (s<=60) hist[2]++; else if (s<=80) hist[3]++; else hist[4]++;
-    });
+    const { labels, values: hist } = PredictiveKPIs.riskHistogram(scores);
     charts.risk = drawOrUpdate(charts.risk, el.cRiskHist, {
       type: "bar",
       data: { labels, datasets: [{ label: "Projects", data: hist, categoryPercentage: 0.9, barPercentage: 0.9 }] },
       options: countAxis()
     });
 
+    setTitle(el.cPipeline, `Projected Pipeline Cost by Quarter (next ${horizon} year${horizon > 1 ? "s" : ""})`);
+    const pipeAxis = moneyAxis();
     charts.pipe = drawOrUpdate(charts.pipe, el.cPipeline, {
       type: "bar",
       data: {
-        labels: pipeYears,
-        datasets: [{ label: "Projected Pipeline Cost", data: pipeVals }]
+        labels: pipe.labels,
+        datasets: [
+          { label: "In-progress (remaining budget)", data: pipe.active },
+          { label: "New starts (forecast)", data: pipe.newStarts },
+        ]
+      },
+      options: { ...pipeAxis, scales: { x: { stacked: true }, y: { ...pipeAxis.scales.y, stacked: true } } }
+    });
+  }
+
+  // filters left no history to forecast from: blank the forecast outputs
+  function renderNoHistory() {
+    if (el.kNextCost) el.kNextCost.textContent = "N/A";
+    if (el.kAtRisk) el.kAtRisk.textContent = "N/A";
+    ["avgCost", "schedVar", "risk", "pipe"].forEach(k => {
+      if (!charts[k]) return;
+      charts[k].data = { labels: [], datasets: [] };
+      charts[k].update();
+    });
+    if (el.backtestTable) el.backtestTable.innerHTML = "<p>No project history matches the current filters.</p>";
+  }
+
+  function setTitle(canvas, text) {
+    const t = canvas?.previousElementSibling;
+    if (t) t.textContent = text;
+  }
+
+  // ---------- backtest ----------
+  function renderBacktest(costSeries, schedSeries, holdout) {
+    if (!el.backtestTable) return;
+    const pctCell = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+    const body = PredictiveKPIs.backtest(costSeries, schedSeries, holdout).map(({ name, cost: c, sched: s, bestCost, bestSched }) => `<tr>
+        <td>${name}</td>
+        <td class="num">${money(c.mae)}${bestCost ? ' <span class="tag">best</span>' : ""}</td>
+        <td class="num">${pctCell(c.mape)}</td>
+        <td class="num">${isFinite(s.mae) ? s.mae.toFixed(1) : "N/A"} days${bestSched ? ' <span class="tag">best</span>' : ""}</td>
+        <td class="num">${pctCell(s.mape)}</td>
+      </tr>`).join("");
+    el.backtestTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Model</th><th>Avg Cost MAE</th><th>Avg Cost MAPE</th><th>Sched Var MAE</th><th>Sched Var MAPE</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+    setTitle(el.backtestTable, `Forecast Backtest — last ${holdout} years held out`);
+  }
+
+  // ---------- overrun simulation ----------
+  const pctStr = (x) => (isFinite(x) ? `${Math.round(x * 100)}%` : "N/A");
+
+  function renderSimulation() {
+    if (!sim) return;
+    const pf = sim.portfolio;
+    if (el.kOverrunProb) el.kOverrunProb.textContent = `${pctStr(pf.overrunProbability)} (${sim.projects.length} in-progress projects)`;
+
+    // distribution of simulated portfolio final cost, split at the combined budget
+    const h = PredictiveKPIs.finalCostHistogram(sim);
+    const t = el.cOverrunProb?.previousElementSibling;
+    if (t) t.textContent = `Simulated Final Cost — P50 ${money(pf.p50)} · P80 ${money(pf.p80)} · P90 ${money(pf.p90)}`;
+    charts.prob = drawOrUpdate(charts.prob, el.cOverrunProb, {
+      type: "bar",
+      data: {
+        labels: h.mid.map(v => `$${(v / 1e6).toFixed(1)}M`),
+        datasets: [
+          { label: "Within budget", data: h.within, categoryPercentage: 1, barPercentage: 0.95 },
+          { label: "Over budget", data: h.over, categoryPercentage: 1, barPercentage: 0.95 },
+        ]
+      },
+      options: {
+        ...baseAxis(),
+        scales: { x: { stacked: true, grid: { display: false } }, y: { stacked: true, beginAtZero: true, title: { display: true, text: `Runs (of ${sim.runs.toLocaleString()})` } } },
+        plugins: { legend: { position: "top" }, tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${pctStr(ctx.parsed.y / sim.runs)} of runs` } } }
+      }
+    });
+
+    if (!el.simTable) return;
+    const body = sim.projects.slice().sort((a,b) => b.overrunProbability - a.overrunProbability).map(r => `<tr>
+        <td><a href="project.html?id=${encodeURIComponent(r.id)}">${esc(r.name)}</a></td>
+        <td class="num">${Math.round(r.completion * 100)}%</td>
+        <td class="num">${money(r.budget)}</td>
+        <td class="num">${money(r.actual)}</td>
+        <td class="num">${pctStr(r.overrunProbability)}</td>
+        <td class="num">${money(r.p50)}</td>
+        <td class="num">${money(r.p80)}</td>
+        <td class="num">${money(r.p90)}</td>
+      </tr>`).join("");
+    el.simTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Project</th><th>Complete</th><th>Budget</th><th>Cost to Date</th>
+            <th>P(Overrun)</th><th>P50 Final</th><th>P80 Final</th><th>P90 Final</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- earned value ----------
+  const ratioStr = (x) => (isFinite(x) ? x.toFixed(2) : "N/A");
+  const signedMoney = (n) => (isFinite(n) ? `${n < 0 ? "−" : "+"}${money(Math.abs(n))}` : "N/A");
+
+  function populateEvmSelect() {
+    if (!el.evmProject) return;
+    const keep = el.evmProject.value;
+    while (el.evmProject.options.length > 1) el.evmProject.remove(1); // keep "All in-progress"
+    activeEntries.forEach(e => {
+      const opt = document.createElement("option");
+      opt.value = e.project.project_id;
+      opt.textContent = e.project.project_name;
+      el.evmProject.appendChild(opt);
+    });
+    el.evmProject.value = activeEntries.some(e => e.project.project_id === keep) ? keep : "all";
+  }
+
+  function renderEvm() {
+    const sel = el.evmProject ? el.evmProject.value : "all";
+    const entries = sel === "all" ? activeEntries : activeEntries.filter(e => e.project.project_id === sel);
+    const t = sel === "all" ? EVM.portfolioEvm(evmRows) : evmRows.find(r => r.id === sel);
+    if (!t) return;
+
+    if (el.kEvmIndices) el.kEvmIndices.textContent = `${ratioStr(t.cpi)} · ${ratioStr(t.spi)}`;
+    if (el.kEvmEac) el.kEvmEac.textContent = `${money(t.eac)} (ETC ${money(t.etc)})`;
+    if (el.kEvmVac) el.kEvmVac.textContent = `${signedMoney(t.vac)} vs ${money(t.bac)} budget`;
+
+    const curve = EVM.sCurve(entries);
+    charts.sCurve = drawOrUpdate(charts.sCurve, el.cSCurve, {
+      type: "line",
+      data: {
+        labels: curve.months.map(m => `${MONTHS[+m.slice(5) - 1]} ${m.slice(0, 4)}`),
+        datasets: [
+          { label: "Planned Value (PV)", data: curve.pv, tension: 0.2, pointRadius: 0 },
+          { label: "Earned Value (EV)", data: curve.ev, tension: 0.2, pointRadius: 0 },
+          { label: "Actual Cost (AC)", data: curve.ac, tension: 0.2, pointRadius: 0, borderDash: [6,6] },
+        ]
       },
       options: moneyAxis()
     });
+
+    renderEvmTable();
+  }
+
+  function renderEvmTable() {
+    if (!el.evmTable) return;
+    const body = evmRows.map(r => `<tr>
+        <td><a href="project.html?id=${encodeURIComponent(r.id)}">${esc(r.name)}</a></td>
+        <td class="num">${Math.round(r.completion * 100)}%</td>
+        <td class="num">${money(r.bac)}</td>
+        <td class="num">${money(r.pv)}</td>
+        <td class="num">${money(r.ev)}</td>
+        <td class="num">${money(r.ac)}</td>
+        <td class="num">${ratioStr(r.cpi)}</td>
+        <td class="num">${ratioStr(r.spi)}</td>
+        <td class="num">${money(r.eac)}</td>
+        <td class="num">${money(r.etc)}</td>
+        <td class="num">${signedMoney(r.vac)}</td>
+      </tr>`).join("");
+
+    el.evmTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Project</th><th>Complete</th><th>BAC</th><th>PV</th><th>EV</th><th>AC</th>
+            <th>CPI</th><th>SPI</th><th>EAC</th><th>ETC</th><th>VAC</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
   }
 
   // ---------- chart helpers ----------
@@ -251,6 +334,5 @@ window.addEventListener("DOMContentLoaded", () => {
   function baseAxis(){ return {responsive:true, maintainAspectRatio:false, plugins:{legend:{position:"top"}}}; }
   function moneyAxis(){ return { ...baseAxis(), scales:{y:{beginAtZero:true, ticks:{callback:(v)=>"$"+Number(v).toLocaleString()}}}}; }
   function numberAxis(suffix){ return { ...baseAxis(), scales:{y:{beginAtZero:true, ticks:{callback:(v)=>`${Math.round(v)} ${suffix||""}`}}}}; }
-  function percentAxis(){ return { ...baseAxis(), scales:{y:{beginAtZero:true, ticks:{callback:(v)=>`${Math.round(v*100)}%`}}}, plugins:{legend:{position:"top"}, tooltip:{callbacks:{label:(ctx)=>`${(ctx.parsed.y*100).toFixed(1)}%`}}}}; }
   function countAxis(){ return { ...baseAxis(), scales:{y:{beginAtZero:true}}}; }
 });
@@ -0,0 +1,318 @@
+// ==================== Prescriptive KPIs ====================
+// The numbers behind dashboards/prescriptive.html, without the DOM. The page
+// draws these and tools/kpis.js prints them, so both agree.
+//
+//   PrescriptiveKPIs.recommendations(data) -> [{ id, name, category, risk, impact, effort, savings, drivers, rule, ... }]
+//   PrescriptiveKPIs.kpis(recs)            -> { recommendations, highRisk, savings }
+//   PrescriptiveKPIs.actionMix(recs)       -> { labels, values }
+//   PrescriptiveKPIs.scenarioComparison(data) / scenarioTotals(sets, choice)
+//   PrescriptiveKPIs.laborLeveling(data, capacity, asOf) -> js/labor-leveling.js level() of the in-progress projects
+//   PrescriptiveKPIs.summary(data, { choice, capacity, asOf })
+//
+// Recommendations are sorted by risk, then savings, then project id.
+// `choice` maps project_id -> scenario name; projects without one (or with a
+// name they have no option for) count as status quo.
+// ==================================================================
+
+window.PrescriptiveKPIs = (() => {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const HIGH_RISK = 80;
+
+  // ---------- helpers ----------
+  function changeOrderTotals(cos) {
+    const m = {};
+    cos.forEach(r => {
+      const k = r.project_id || "__missing__";
+      const c = isFinite(r.co_cost) ? r.co_cost : 0;
+      m[k] = (m[k]||0) + c;
+    });
+    return m;
+  }
+  function scheduleSlipDays(p){
+    const days = ProjectData.daysBetween(p.planned_end, p.actual_end);
+    return isFinite(days) ? days : 0;
+  }
+  function costOverrun(p){
+    if (!isFinite(p.planned_budget) || !isFinite(p.actual_cost)) return 0;
+    return p.actual_cost - p.planned_budget;
+  }
+
+  // --- produce a spread of 0..100 risks across the portfolio ---
+  // Returns id -> { score, raw, parts } so the table can show the terms.
+  const RISK_WEIGHTS = { sizeTerm: 18, slipTerm: 15, coTerm: 22, overTerm: 18 };
+  const TERM_LABELS = { sizeTerm: "Size", slipTerm: "Slip", coTerm: "Change orders", overTerm: "Overrun" };
+  function computeRiskScores(ps, coMap){
+    // raw components
+    const raws = ps.map(p => {
+      const size = Math.log10(Math.max(1, p.planned_budget));           // ~5–8 for big jobs
+      const slip = Math.max(0, scheduleSlipDays(p));                     // days late (0+)
+      const over = Math.max(0, costOverrun(p));                          // $
+      const co   = Math.max(0, coMap[p.project_id] || 0);                // $
+
+      // Softer weights to avoid saturation; add log scaling
+      const coTerm   = Math.log10(1 + co / Math.max(1, p.planned_budget)); // 0..~something small
+      const overTerm = Math.log10(1 + over / Math.max(1, p.planned_budget));
+      const slipTerm = slip / 60;  // 60 days ~ 1.0
+      const sizeTerm = (size - 4.5); // normalize around ~0
+
+      // Raw composite (unbounded)
+      const raw = RISK_WEIGHTS.sizeTerm*sizeTerm + RISK_WEIGHTS.slipTerm*slipTerm
+                + RISK_WEIGHTS.coTerm*coTerm + RISK_WEIGHTS.overTerm*overTerm;
+      return { id: p.project_id, raw, parts:{sizeTerm, slipTerm, coTerm, overTerm} };
+    });
+
+    // min–max normalize to 0..100
+    const mn = d3.min(raws, r => r.raw);
+    const mx = d3.max(raws, r => r.raw);
+    const span = mx - mn || 1;
+    const sizes = raws.map(r => r.parts.sizeTerm);
+    const sizeMin = d3.min(sizes), sizeSpan = (d3.max(sizes) - sizeMin) || 1;
+    return raws.reduce((acc, r) => {
+      acc[r.id] = {
+        score: clamp(((r.raw - mn)/span) * 100, 0, 100),
+        raw: r.raw,
+        parts: r.parts,
+        sizePos: (r.parts.sizeTerm - sizeMin) / sizeSpan, // 0 = smallest job, 1 = largest
+      };
+      return acc;
+    }, {});
+  }
+
+  // Weighted contribution of each term, largest first
+  function riskDrivers(parts){
+    return Object.keys(RISK_WEIGHTS)
+      .map(k => ({ key: k, label: TERM_LABELS[k], value: parts[k], points: RISK_WEIGHTS[k] * parts[k] }))
+      .sort((a,b) => b.points - a.points);
+  }
+
+  // --- action selection uses drivers: CO share, slip, overrun relative to plan ---
+  // Returns { category, rule } where `rule` says which condition fired.
+  const pct = (x) => `${Math.round(x * 100)}%`;
+  // owner-driven = the taxonomy group holding scope changes / client requests (js/taxonomy.js)
+  const SCOPE_GROUP = "owner";
+  function scopeShareOfCOs(byGroup, coTot){
+    if (!byGroup || coTot <= 0) return 0;
+    return (byGroup.get(SCOPE_GROUP) || 0) / coTot;
+  }
+
+  // coByGroup: Map(reason group -> CO $) for this project
+  function chooseAction(p, coTot, slip, over, supplier, coByGroup){
+    const plan = Math.max(1, p.planned_budget);
+    const coShare = coTot / Math.max(1, (over + coTot));    // share of “pain” due to COs
+    const overPct = over / plan;                            // overrun intensity
+
+    // decision rules to diversify categories
+    if (coShare >= 0.55 && overPct >= 0.03) {
+      // COs dominate + noticeable overrun; the CO reasons decide which fix
+      const scope = scopeShareOfCOs(coByGroup, coTot);
+      return scope >= 0.5
+        ? { category: "Scope alignment", rule: `COs are ${pct(coShare)} of cost pressure, ${pct(scope)} of CO $ owner-driven (scope/client)` }
+        : { category: "Design clarification", rule: `COs are ${pct(coShare)} of cost pressure, ${pct(1 - scope)} of CO $ design-/site-driven or other` };
+    }
+    if (slip >= 45 && overPct < 0.05) {
+      // Schedule slip large but overrun modest
+      return { category: "Schedule tune-up", rule: `${slip}d late with only ${pct(overPct)} overrun` };
+    }
+    if (supplier?.flagged && (overPct >= 0.02 || coShare >= 0.35)) {
+      // deliveries for this job ran late or over cost, with moderate pressure
+      return { category: "Supplier/subcontractor review", rule: `Supplier deliveries flagged, ${pct(overPct)} overrun` };
+    }
+    // default: COs the larger share of cost pressure -> clarify design, else tune the schedule
+    return coShare >= 0.5
+      ? { category: "Design clarification", rule: `No strong driver; COs are ${pct(coShare)} of cost pressure` }
+      : { category: "Schedule tune-up", rule: `No strong driver; overrun is ${pct(1 - coShare)} of cost pressure` };
+  }
+
+  // effort/impact templates by category; where a project lands in the range
+  // follows its data (pressure vs plan for impact, job size for effort)
+  const CAT_PROFILE = {
+    "Scope alignment":             { impact: [0.75, 0.95], effort: [0.45, 0.7]  },
+    "Design clarification":        { impact: [0.55, 0.8],  effort: [0.35, 0.55] },
+    "Supplier/subcontractor review":{impact: [0.45, 0.7],  effort: [0.45, 0.65] },
+    "Schedule tune-up":            { impact: [0.35, 0.55], effort: [0.25, 0.45] },
+  };
+  function placeInRange([lo,hi], t){ return lo + clamp(t, 0, 1)*(hi-lo); }
+
+  // savings estimate tied to driver + capped by % of plan
+  function estimateSavings(p, cat, over, coTot){
+    const plan = Math.max(1, p.planned_budget);
+    let pct;
+    switch(cat){
+      case "Scope alignment":              pct = 0.10 + Math.min(0.06, coTot/plan); break;
+      case "Design clarification":         pct = 0.07; break;
+      case "Supplier/subcontractor review":pct = 0.05; break;
+      case "Schedule tune-up":             pct = 0.03 + Math.min(0.02, Math.max(0, scheduleSlipDays(p))/180); break;
+      default: pct = 0.04;
+    }
+    const base = over + coTot;           // where savings can come from
+    const capped = Math.min(0.07*plan, pct * base);  // cap at 7% of plan
+    return Math.max(0, capped);
+  }
+
+  // ---------- recommendations ----------
+  function recommendations(data){
+    const projects = data.projects.map(p => ({ ...p, project_name: p.project_name || `Project ${p.project_id}` }));
+    const coMap = changeOrderTotals(data.changeOrders);
+    const coGroups = d3.rollup(data.changeOrders, v => d3.sum(v, r => isFinite(r.co_cost) ? r.co_cost : 0), r => r.project_id, r => r.co_reason_group);
+    const supplierEvidence = SupplierScores.projectEvidence(data.materials);
+
+    // compute risks with spread
+    const riskById = computeRiskScores(projects, coMap);
+
+    return projects.map(p => {
+      const slip = Math.max(0, scheduleSlipDays(p));
+      const over = Math.max(0, costOverrun(p));
+      const coTot = Math.max(0, coMap[p.project_id] || 0);
+
+      const supplier = supplierEvidence.get(p.project_id);
+
+      const { category, rule } = chooseAction(p, coTot, slip, over, supplier, coGroups.get(p.project_id));
+      const profile = CAT_PROFILE[category];
+      const risk = riskById[p.project_id];
+      const impact = placeInRange(profile.impact, (over + coTot) / Math.max(1, p.planned_budget) / 0.2); // 20% of plan = top of range
+      const effort = placeInRange(profile.effort, risk?.sizePos ?? 0.5);
+      const savings = estimateSavings(p, category, over, coTot);
+
+      return {
+        id: p.project_id,
+        name: p.project_name,
+        category,
+        impact,
+        effort,
+        savings,
+        risk: Math.round(risk?.score ?? 0),
+        drivers: risk ? riskDrivers(risk.parts) : [],
+        rule,
+        overrun: over,
+        co_total: coTot,
+        plan: p.planned_budget,
+        evidence: category === "Supplier/subcontractor review" ? SupplierScores.describe(supplier) : ""
+      };
+    }).sort((a,b)=> b.risk - a.risk || b.savings - a.savings || a.id.localeCompare(b.id));
+  }
+
+  function kpis(recs){
+    return {
+      recommendations: recs.length,
+      highRisk: recs.filter(r => r.risk >= HIGH_RISK).length,
+      savings: recs.reduce((a,b)=>a+b.savings,0),
+    };
+  }
+
+  function actionMix(recs){
+    const counts = {};
+    recs.forEach(r => { counts[r.category]=(counts[r.category]||0)+1; });
+    const labels = Object.keys(CAT_PROFILE); // fixed order for consistency
+    return { labels, values: labels.map(k => counts[k] || 0) };
+  }
+
+  // ---------- scenarios (in-progress projects) ----------
+  const isStatusQuo = (s) => /statusquo/i.test(s);
+
+  // a dominates b when it is no worse on finish, cost and risk and better on one
+  function dominates(a, b){
+    const le = a.expected_finish_date <= b.expected_finish_date && a.expected_total_cost <= b.expected_total_cost && a.risk_score <= b.risk_score;
+    const lt = a.expected_finish_date < b.expected_finish_date || a.expected_total_cost < b.expected_total_cost || a.risk_score < b.risk_score;
+    return le && lt;
+  }
+
+  // per project: options with deltas vs status quo, dominated flags and the
+  // dominant option (the single option nothing else beats), if there is one
+  function scenarioComparison(data){
+    return Array.from(d3.group(data.scenarios, s => s.project_id), ([id, opts]) => {
+      const base = opts.find(o => isStatusQuo(o.scenario)) || opts[0];
+      const options = opts.map(o => ({
+        ...o,
+        dFinish: ProjectData.daysBetween(base.expected_finish_date, o.expected_finish_date),
+        dCost: o.expected_total_cost - base.expected_total_cost,
+        dRisk: o.risk_score - base.risk_score,
+      }));
+      options.forEach(o => { o.dominated = options.some(x => x !== o && dominates(x, o)); });
+      const front = options.filter(o => !o.dominated);
+      const project = data.byProject.get(id)?.project;
+      return {
+        id,
+        name: project?.project_name || `Project ${id}`,
+        completion: project?.completion_pct,
+        base,
+        options,
+        dominant: front.length === 1 ? front[0] : null,
+      };
+    }).sort((a,b) => a.id.localeCompare(b.id));
+  }
+
+  // portfolio totals for the picked options vs all status quo
+  function scenarioTotals(sets, choice = {}){
+    const picked = sets.map(set => set.options.find(o => o.scenario === choice[set.id]) || set.base);
+    const base = sets.map(set => set.base);
+    return {
+      cost: d3.sum(picked, o => o.expected_total_cost),
+      baseCost: d3.sum(base, o => o.expected_total_cost),
+      finish: d3.max(picked, o => o.expected_finish_date),
+      baseFinish: d3.max(base, o => o.expected_finish_date),
+      risk: d3.mean(picked, o => o.risk_score),
+      baseRisk: d3.mean(base, o => o.risk_score),
+    };
+  }
+
+  // ---------- labor leveling ----------
+  // crew demand by trade for the in-progress projects from `asOf` on, and
+  // the phase shifts that bring it under `capacity` hours per trade per month
+  function laborLeveling(data, capacity = LaborLeveling.DEFAULT_CAPACITY, asOf = new Date()){
+    return LaborLeveling.level(LaborLeveling.phaseWindows(data, asOf), capacity);
+  }
+
+  // ---------- Everything on the page ----------
+  function summary(data, { choice = {}, capacity = LaborLeveling.DEFAULT_CAPACITY, asOf = new Date() } = {}){
+    const recs = recommendations(data);
+    const sets = scenarioComparison(data);
+    const lv = laborLeveling(data, capacity, asOf);
+    const aligned = LaborLeveling.series(lv.before, lv.after);
+    const byTrade = (m) => Object.fromEntries(m);
+    return {
+      kpis: kpis(recs),
+      series: {
+        actionMix: actionMix(recs),
+        recommendations: recs,
+        scenarios: sets.map(({ id, name, completion, options, dominant }) => ({
+          id,
+          name,
+          completion,
+          options: options.map(({ scenario, expected_finish_date, expected_total_cost, risk_score, dFinish, dCost, dRisk, dominated }) =>
+            ({ scenario, expected_finish_date, expected_total_cost, risk_score, dFinish, dCost, dRisk, dominated })),
+          dominant: dominant ? dominant.scenario : null,
+        })),
+        scenarioTotals: sets.length ? scenarioTotals(sets, choice) : null,
+        laborLoading: {
+          capacity,
+          months: aligned.months,
+          before: byTrade(aligned.series[0]),
+          after: byTrade(aligned.series[1]),
+          peaksBefore: lv.peaksBefore,
+          peaksAfter: lv.peaksAfter,
+          excessBefore: lv.excessBefore,
+          excessAfter: lv.excessAfter,
+          shifts: lv.shifts.map(({ project, phase, days, carried, from, to, trades, cut }) =>
+            ({ id: project.project_id, name: project.project_name, phase: phase.phase_name, days, carried, from, to, trades, cut })),
+        },
+      },
+    };
+  }
+
+  return {
+    RISK_WEIGHTS,
+    TERM_LABELS,
+    CAT_PROFILE,
+    HIGH_RISK,
+    computeRiskScores,
+    riskDrivers,
+    recommendations,
+    kpis,
+    actionMix,
+    laborLeveling,
+    isStatusQuo,
+    scenarioComparison,
+    scenarioTotals,
+    summary,
+  };
+})();
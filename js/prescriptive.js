@@ -1,14 +1,24 @@
 // ==================== Prescriptive Dashboard JS (improved) ====================
 // Rule-based recommendations on synthetic data with diversified categories,
 // realistic risk spread, and clearer priority/savings signals.
+// Everything is deterministic for a given dataset: the same CSVs always give
+// the same categories, risk, impact and effort, and each row carries a "why"
+// (risk score terms + the rule that picked the action).
+// Supplier reviews are driven by delivery evidence from materials.csv
+// (js/supplier-scores.js), not project size alone.
+// Scenario panel compares scenarios.csv options for in-progress projects
+// against status quo and rolls the picked options up to portfolio totals.
+// Labor panel loads the remaining crew hours by trade and month for
+// in-progress projects from today on (phases.csv dates, labor.csv hours),
+// flags months over the crew capacity and suggests phase-start shifts
+// that flatten them (js/labor-leveling.js).
+// The numbers come from js/prescriptive-kpis.js (shared with tools/kpis.js).
 // ==============================================================================
 
 window.addEventListener("DOMContentLoaded", () => {
   const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
   const money = (n) => (isFinite(n) ? `$${Math.round(n).toLocaleString()}` : "N/A");
-  const parseDate = (s) => (s ? new Date(s) : null);
-  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-  const randJitter = (amt) => (Math.random() * 2 - 1) * amt;
 
   const el = {
     topN: $("topN"),
@@ -18,163 +28,54 @@ window.addEventListener("DOMContentLoaded", () => {
     cMix: $("actionMix"),
     cMatrix: $("priorityMatrix"),
     recTable: $("recTable"),
+    scenarioTable: $("scenarioTable"),
+    scenarioTotals: $("scenarioTotals"),
+    cScenario: $("scenarioTradeoffs"),
+    capacity: $("crewCapacity"),
+    trade: $("loadingTrade"),
+    kPeaks: $("kpiLaborPeaks"),
+    cLabor: $("laborLoading"),
+    shiftTable: $("shiftTable"),
+    peakTable: $("peakTable"),
   };
 
-  const charts = { mix: null, matrix: null };
-  let projects = [], cos = [];
-
-  Promise.all([
-    d3.csv("../data/projects.csv"),
-    d3.csv("../data/change_orders.csv"),
-  ]).then(([pr, co]) => {
-    projects = pr.map(d => ({
-      project_id: d.project_id,
-      project_name: d.project_name || `Project ${d.project_id}`,
-      start_date: d.start_date,
-      planned_end: d.planned_end,
-      actual_end: d.actual_end || "",
-      planned_budget: +d.planned_budget,
-      actual_cost: +d.actual_cost
-    }));
-    cos = co.map(d => ({ project_id: d.project_id, co_cost: +d.co_cost, date: d.date }));
-
-    render();
-    el.topN.addEventListener("change", render);
-  });
+  const charts = { mix: null, matrix: null, scenario: null, labor: null };
+  let recs = [], scenarioSets = [], laborData = null;
+  const scenarioChoice = {}; // project_id -> picked scenario name
 
-  // ---------- helpers ----------
-  function changeOrderTotals() {
-    const m = {};
-    cos.forEach(r => {
-      const k = r.project_id || "__missing__";
-      const c = isFinite(r.co_cost) ? r.co_cost : 0;
-      m[k] = (m[k]||0) + c;
-    });
-    return m;
-  }
-  function scheduleSlipDays(p){
-    const pe=parseDate(p.planned_end), ae=parseDate(p.actual_end);
-    if (!pe || !ae || isNaN(pe) || isNaN(ae)) return 0;
-    return (ae-pe)/(1000*60*60*24);
-  }
-  function costOverrun(p){
-    if (!isFinite(p.planned_budget) || !isFinite(p.actual_cost)) return 0;
-    return p.actual_cost - p.planned_budget;
-  }
-
-  // --- produce a spread of 0..100 risks across the portfolio ---
-  function computeRiskScores(ps, coMap){
-    // raw components
-    const raws = ps.map(p => {
-      const size = Math.log10(Math.max(1, p.planned_budget));           // ~5–8 for big jobs
-      const slip = Math.max(0, scheduleSlipDays(p));                     // days late (0+)
-      const over = Math.max(0, costOverrun(p));                          // $
-      const co   = Math.max(0, coMap[p.project_id] || 0);                // $
-
-      // Softer weights to avoid saturation; add log scaling
-      const coTerm   = Math.log10(1 + co / Math.max(1, p.planned_budget)); // 0..~something small
-      const overTerm = Math.log10(1 + over / Math.max(1, p.planned_budget));
-      const slipTerm = slip / 60;  // 60 days ~ 1.0
-      const sizeTerm = (size - 4.5); // normalize around ~0
-
-      // Raw composite (unbounded)
-      const raw = 18*sizeTerm + 15*slipTerm + 22*coTerm + 18*overTerm;
-      return { id: p.project_id, raw, parts:{sizeTerm, slipTerm, coTerm, overTerm} };
-    });
+  ProjectData.load().then((data) => {
+    // everything on this page follows the global filter bar (js/filters.js)
+    GlobalFilters.mount(data, (filtered) => {
+      recs = PrescriptiveKPIs.recommendations(filtered);
+      scenarioSets = PrescriptiveKPIs.scenarioComparison(filtered);
+      scenarioSets.forEach(set => {
+        if (!set.options.some(o => o.scenario === scenarioChoice[set.id])) scenarioChoice[set.id] = set.base.scenario;
+      });
 
-    // min–max normalize to 0..100
-    const mn = d3.min(raws, r => r.raw);
-    const mx = d3.max(raws, r => r.raw);
-    const span = mx - mn || 1;
-    return raws.reduce((acc, r) => {
-      acc[r.id] = clamp( ((r.raw - mn)/span) * 100 + randJitter(2), 0, 100 );
-      return acc;
-    }, {});
-  }
+      laborData = filtered;
 
-  // --- action selection uses drivers: CO share, slip, overrun relative to plan ---
-  function chooseAction(p, coTot, slip, over){
-    const plan = Math.max(1, p.planned_budget);
-    const coShare = coTot / Math.max(1, (over + coTot));    // share of “pain” due to COs
-    const overPct = over / plan;                            // overrun intensity
+      render();
+      renderScenarios();
+      renderLabor();
+    });
 
-    // decision rules to diversify categories
-    if (coShare >= 0.55 && overPct >= 0.03) {
-      // COs dominate + noticeable overrun
-      return Math.random() < 0.6 ? "Scope alignment" : "Design clarification";
-    }
-    if (slip >= 45 && overPct < 0.05) {
-      // Schedule slip large but overrun modest
-      return "Schedule tune-up";
-    }
-    if (plan >= 5_000_000 && (overPct >= 0.02 || coShare >= 0.35)) {
-      // larger projects with moderate pressure
-      return "Supplier/subcontractor review";
-    }
-    // default: mix clarifications & tune-up
-    return Math.random() < 0.5 ? "Design clarification" : "Schedule tune-up";
-  }
+    el.topN.addEventListener("change", render);
+    el.capacity?.addEventListener("change", renderLabor);
+    el.trade?.addEventListener("change", renderLabor);
+    el.scenarioTable?.addEventListener("change", (e) => {
+      if (e.target.name?.startsWith("scn-")) {
+        scenarioChoice[e.target.name.slice(4)] = e.target.value;
+        renderScenarios();
+      }
+    });
+  }).catch(err => console.error("[PRESCRIPTIVE] CSV load error:", err));
 
-  // effort/impact templates by category (with light randomness)
-  const CAT_PROFILE = {
-    "Scope alignment":             { impact: [0.75, 0.95], effort: [0.45, 0.7]  },
-    "Design clarification":        { impact: [0.55, 0.8],  effort: [0.35, 0.55] },
-    "Supplier/subcontractor review":{impact: [0.45, 0.7],  effort: [0.45, 0.65] },
-    "Schedule tune-up":            { impact: [0.35, 0.55], effort: [0.25, 0.45] },
-  };
-  function sampleRange([lo,hi]){ return clamp(lo + Math.random()*(hi-lo) + randJitter(0.02), 0, 1); }
-
-  // savings estimate tied to driver + capped by % of plan
-  function estimateSavings(p, cat, over, coTot){
-    const plan = Math.max(1, p.planned_budget);
-    let pct;
-    switch(cat){
-      case "Scope alignment":              pct = 0.10 + Math.min(0.06, coTot/plan); break;
-      case "Design clarification":         pct = 0.07; break;
-      case "Supplier/subcontractor review":pct = 0.05; break;
-      case "Schedule tune-up":             pct = 0.03 + Math.min(0.02, Math.max(0, scheduleSlipDays(p))/180); break;
-      default: pct = 0.04;
-    }
-    const base = over + coTot;           // where savings can come from
-    const capped = Math.min(0.07*plan, pct * base);  // cap at 7% of plan
-    return Math.max(0, capped);
-  }
+  // ---------- helpers ----------
+  const projectUrl = (id) => `project.html?id=${encodeURIComponent(id)}`;
 
   function render(){
     const topN = parseInt(el.topN.value,10) || 10;
-    const coMap = changeOrderTotals();
-
-    // compute risks with spread
-    const riskById = computeRiskScores(projects, coMap);
-
-    // build recommendations
-    const recs = projects.map(p => {
-      const slip = Math.max(0, scheduleSlipDays(p));
-      const over = Math.max(0, costOverrun(p));
-      const coTot = Math.max(0, coMap[p.project_id] || 0);
-
-      const category = chooseAction(p, coTot, slip, over);
-      const profile = CAT_PROFILE[category];
-      const impact = sampleRange(profile.impact);
-      const effort = sampleRange(profile.effort);
-      const savings = estimateSavings(p, category, over, coTot);
-
-      return {
-        id: p.project_id,
-        name: p.project_name,
-        category,
-        impact,
-        effort,
-        savings,
-        risk: Math.round(riskById[p.project_id] ?? 0),
-        overrun: over,
-        co_total: coTot,
-        plan: p.planned_budget
-      };
-    }).sort((a,b)=> b.risk - a.risk || b.savings - a.savings);
-
-    const highRisk = recs.filter(r => r.risk >= 80).length;
-    const totalSavings = recs.reduce((a,b)=>a+b.savings,0);
+    const { highRisk, savings: totalSavings } = PrescriptiveKPIs.kpis(recs);
 
     // KPIs
     if (el.kRec)  el.kRec.textContent = recs.length.toString();
@@ -182,10 +83,7 @@ window.addEventListener("DOMContentLoaded", () => {
     if (el.kSave) el.kSave.textContent = money(totalSavings);
 
     // Action mix
-    const mixCounts = {};
-    recs.forEach(r => { mixCounts[r.category]=(mixCounts[r.category]||0)+1; });
-    const mixLabels = Object.keys(CAT_PROFILE); // fixed order for consistency
-    const mixVals = mixLabels.map(k => mixCounts[k] || 0);
+    const { labels: mixLabels, values: mixVals } = PrescriptiveKPIs.actionMix(recs);
     charts.mix = drawOrUpdate(charts.mix, el.cMix, {
       type: "bar",
       data: { labels: mixLabels, datasets: [{ label: "Count", data: mixVals, categoryPercentage: 0.9, barPercentage: 0.9 }] },
@@ -199,10 +97,14 @@ window.addEventListener("DOMContentLoaded", () => {
       data: { datasets: [{ label: "Recommendations", data: pts }] },
       options: {
         responsive:true, maintainAspectRatio:false,
+        onClick: (evt, els) => { if (els.length) location.href = GlobalFilters.link(projectUrl(recs[els[0].index].id)); },
+        onHover: (evt, els) => { evt.native.target.style.cursor = els.length ? "pointer" : "default"; },
         plugins:{ legend:{position:"top"},
           tooltip:{ callbacks:{ label:(ctx)=> {
             const p = recs[ctx.dataIndex];
-            return `${p.name} — ${p.category}\nRisk ${p.risk} | Impact ${p.impact.toFixed(2)} | Effort ${p.effort.toFixed(2)} | Savings ${money(p.savings)}`;
+            const lines = [`${p.name} — ${p.category}`, `Risk ${p.risk} | Impact ${p.impact.toFixed(2)} | Effort ${p.effort.toFixed(2)} | Savings ${money(p.savings)}`, `Why: ${p.rule}`];
+            if (p.evidence) lines.push(p.evidence);
+            return lines;
           }}}},
         scales:{
           x:{ min:0, max:1, title:{display:true, text:"Effort (0–1)"}, grid:{display:false}},
@@ -215,16 +117,17 @@ window.addEventListener("DOMContentLoaded", () => {
     if (el.recTable){
       const rows = recs.slice(0, topN)
         .map(r => `<tr>
-          <td style="white-space:nowrap">${r.name}</td>
-          <td>${r.category}</td>
+          <td style="white-space:nowrap"><a href="${projectUrl(r.id)}">${esc(r.name)}</a></td>
+          <td>${esc(r.category)}${r.evidence ? `<div class="table-note">${esc(r.evidence)}</div>` : ""}</td>
           <td style="text-align:right">${r.risk}</td>
           <td style="text-align:right">${money(r.savings)}</td>
+          <td>${whyCell(r)}</td>
         </tr>`).join("");
       el.recTable.innerHTML = `
         <div class="table-wrap" style="overflow:auto;">
           <table class="simple-table">
             <thead><tr>
-              <th>Project</th><th>Recommended Action</th><th>Risk</th><th>Est. Savings</th>
+              <th>Project</th><th>Recommended Action</th><th>Risk</th><th>Est. Savings</th><th>Why</th>
             </tr></thead>
             <tbody>${rows}</tbody>
           </table>
@@ -232,6 +135,198 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // "why" breakdown: the rule that picked the action + weighted risk terms
+  function whyCell(r){
+    const terms = r.drivers.map(d =>
+      `<li>${esc(d.label)}: ${d.value.toFixed(2)} × ${PrescriptiveKPIs.RISK_WEIGHTS[d.key]} = ${d.points >= 0 ? "+" : "−"}${Math.abs(d.points).toFixed(1)} pts</li>`
+    ).join("");
+    return `<details>
+        <summary>${esc(r.rule)}</summary>
+        <ul class="why-terms">${terms}</ul>
+        <div class="table-note">Risk = sum of terms, scaled 0–100 across the portfolio.</div>
+      </details>`;
+  }
+
+  // ---------- scenarios (in-progress projects) ----------
+  const scenarioLabel = (s) => s.replace(/^[A-Z]_/, "").replace(/([a-z])([A-Z])/g, "$1 $2");
+  const { isStatusQuo } = PrescriptiveKPIs;
+  const fmtDate = d3.timeFormat("%b %d, %Y");
+  const signedMoney = (n) => `${n > 0 ? "+" : n < 0 ? "−" : "±"}$${Math.abs(Math.round(n)).toLocaleString()}`;
+  const signedNum = (n, unit = "") => `${n > 0 ? "+" : n < 0 ? "−" : "±"}${Math.abs(Math.round(n))}${unit}`;
+
+  function renderScenarios(){
+    if (!scenarioSets.length) return;
+    const names = Array.from(new Set(scenarioSets.flatMap(s => s.options.map(o => o.scenario)))).sort();
+
+    // --- comparison table, one radio per option ---
+    if (el.scenarioTable){
+      const rows = scenarioSets.map(set => {
+        const cells = names.map(n => {
+          const o = set.options.find(x => x.scenario === n);
+          if (!o) return `<td>—</td>`;
+          const picked = scenarioChoice[set.id] === n;
+          const cls = ["scenario-cell", picked ? "picked" : "", o === set.dominant ? "dominant" : "", o.dominated ? "dominated" : ""].join(" ");
+          const deltas = isStatusQuo(n) ? "baseline" :
+            `${signedNum(o.dFinish, "d")} · ${signedMoney(o.dCost)} · risk ${signedNum(o.dRisk)}`;
+          return `<td class="${cls.trim()}">
+            <label>
+              <input type="radio" name="scn-${esc(set.id)}" value="${esc(n)}" ${picked ? "checked" : ""}>
+              ${fmtDate(o.expected_finish_date)} · ${money(o.expected_total_cost)} · risk ${o.risk_score}
+              ${o === set.dominant ? `<strong class="tag">dominant</strong>` : ""}
+            </label>
+            <div class="table-note">${deltas}</div>
+          </td>`;
+        }).join("");
+        return `<tr>
+          <td style="white-space:nowrap"><a href="${projectUrl(set.id)}">${esc(set.name)}</a>
+            <div class="table-note">${isFinite(set.completion) ? `${set.completion}% complete` : ""}</div></td>
+          ${cells}
+        </tr>`;
+      }).join("");
+      el.scenarioTable.innerHTML = `
+        <div class="table-wrap">
+          <table class="simple-table">
+            <thead><tr><th>Project</th>${names.map(n => `<th>${esc(scenarioLabel(n))}</th>`).join("")}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>`;
+    }
+
+    // --- portfolio totals for the picked options vs all status quo ---
+    if (el.scenarioTotals){
+      const { cost, baseCost, finish, baseFinish, risk, baseRisk } = PrescriptiveKPIs.scenarioTotals(scenarioSets, scenarioChoice);
+      el.scenarioTotals.innerHTML = `
+        <strong>Portfolio with picked options:</strong>
+        ${money(cost)} (${signedMoney(cost - baseCost)}) ·
+        last finish ${fmtDate(finish)} (${signedNum(ProjectData.daysBetween(baseFinish, finish), "d")}) ·
+        avg risk ${risk.toFixed(1)} (${signedNum(risk - baseRisk)})`;
+    }
+
+    // --- trade-off map: finish delta vs cost delta for each alternative ---
+    const alternatives = names.filter(n => !isStatusQuo(n));
+    charts.scenario = drawOrUpdate(charts.scenario, el.cScenario, {
+      type: "bubble",
+      data: {
+        datasets: alternatives.map(n => ({
+          label: scenarioLabel(n),
+          data: scenarioSets.map(set => {
+            const o = set.options.find(x => x.scenario === n);
+            return o ? { x: o.dFinish, y: o.dCost, r: 4 + Math.max(0, o.risk_score) / 10, set, o } : null;
+          }).filter(Boolean),
+        })),
+      },
+      options: {
+        ...axisBase(),
+        plugins:{ legend:{position:"top"},
+          tooltip:{ callbacks:{ label:(ctx)=> {
+            const { set, o } = ctx.raw;
+            return `${set.name} — ${scenarioLabel(o.scenario)}: ${signedNum(o.dFinish, "d")}, ${signedMoney(o.dCost)}, risk ${signedNum(o.dRisk)}`;
+          }}}},
+        scales:{
+          x:{ title:{display:true, text:"Finish vs status quo (days)"}, grid:{display:false}},
+          y:{ title:{display:true, text:"Cost vs status quo"}, ticks:{ callback:(v)=>signedMoney(v) }}
+        }
+      }
+    });
+  }
+
+  // ---------- labor loading (in-progress projects) ----------
+  const hours = (h) => `${Math.round(h).toLocaleString()} h`;
+  const fmtMonth = (m) => d3.timeFormat("%b %Y")(d3.timeParse("%Y-%m")(m));
+
+  function renderLabor(){
+    if (!laborData) return;
+    const capacity = parseFloat(el.capacity?.value) > 0 ? parseFloat(el.capacity.value) : LaborLeveling.DEFAULT_CAPACITY;
+    const lv = PrescriptiveKPIs.laborLeveling(laborData, capacity);
+    const { months, trades, series: [before, after] } = LaborLeveling.series(lv.before, lv.after);
+
+    // keep the trade picked, if it is still there
+    if (el.trade){
+      const picked = el.trade.value;
+      el.trade.innerHTML = `<option value="">All trades</option>` +
+        trades.map(t => `<option value="${esc(t)}">${esc(t)}</option>`).join("");
+      el.trade.value = trades.includes(picked) ? picked : "";
+    }
+    const trade = el.trade?.value || "";
+
+    if (el.kPeaks){
+      el.kPeaks.textContent = lv.peaksBefore.length
+        ? `${lv.peaksBefore.length} (${hours(lv.excessBefore)} over; ${hours(lv.excessAfter)} after shifts)`
+        : "None";
+    }
+
+    // all trades: stacked demand, one dataset per trade; one trade: demand
+    // before and after the suggested shifts against the capacity line
+    const capacityLine = { type: "line", label: `Capacity (${hours(capacity)})`, data: months.map(() => capacity), pointRadius: 0, borderDash: [6, 4], borderWidth: 2 };
+    const datasets = trade
+      ? [
+          { type: "bar", label: "Current plan", data: before.get(trade) },
+          { type: "line", label: "After suggested shifts", data: after.get(trade), pointRadius: 2, tension: 0.2 },
+          capacityLine,
+        ]
+      : [...trades.map(t => ({ type: "bar", label: t, data: before.get(t), stack: "demand" })), capacityLine];
+    charts.labor = drawOrUpdate(charts.labor, el.cLabor, {
+      type: "bar",
+      data: { labels: months.map(fmtMonth), datasets },
+      options: {
+        ...axisBase(),
+        plugins:{ legend:{position:"top"},
+          tooltip:{ callbacks:{ label:(ctx)=> `${ctx.dataset.label}: ${hours(ctx.parsed.y)}` }}},
+        scales:{
+          x:{ stacked: !trade, grid:{display:false}},
+          y:{ stacked: !trade, beginAtZero:true, title:{display:true, text:"Crew hours"}}
+        }
+      }
+    });
+
+    // --- suggested shifts, shown next to the recommendations ---
+    if (el.shiftTable){
+      const rows = lv.shifts.map(s => {
+        const total = s.days + s.carried;
+        return `<tr>
+          <td style="white-space:nowrap"><a href="${projectUrl(s.project.project_id)}">${esc(s.project.project_name)}</a></td>
+          <td>${esc(s.phase.phase_name)}</td>
+          <td>${esc(s.trades.join(", "))}</td>
+          <td style="white-space:nowrap">${fmtDate(s.from)} → ${fmtDate(s.to)}</td>
+          <td style="text-align:right">+${s.days}d${s.carried ? `<div class="table-note">+${s.carried}d from earlier phase (${total}d total)</div>` : ""}</td>
+          <td style="text-align:right">${hours(s.cut)}</td>
+        </tr>`;
+      }).join("");
+      el.shiftTable.innerHTML = lv.shifts.length ? `
+        <div class="table-wrap">
+          <table class="simple-table">
+            <thead><tr><th>Project</th><th>Phase</th><th>Peak Trades</th><th>Start → Suggested Start</th><th>Shift</th><th>Hours Cut</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <p class="scenario-totals"><strong>Over capacity:</strong> ${hours(lv.excessBefore)} → ${hours(lv.excessAfter)} across ${lv.peaksBefore.length} → ${lv.peaksAfter.length} trade-months</p>`
+        : `<p class="table-note">${lv.peaksBefore.length ? "No shift of up to " + LaborLeveling.MAX_SHIFT_DAYS + " days lowers the peaks." : "Crew demand stays under capacity."}</p>`;
+    }
+
+    // --- peak months, worst first ---
+    if (el.peakTable){
+      const after = new Map(lv.peaksAfter.map(p => [`${p.trade}|${p.month}`, p]));
+      const rows = lv.peaksBefore.map(p => {
+        const left = after.get(`${p.trade}|${p.month}`);
+        return `<tr>
+          <td>${fmtMonth(p.month)}</td>
+          <td>${esc(p.trade)}</td>
+          <td style="text-align:right">${hours(p.hours)}</td>
+          <td style="text-align:right">${hours(p.excess)}</td>
+          <td style="text-align:right">${left ? hours(left.excess) : "—"}</td>
+        </tr>`;
+      }).join("");
+      el.peakTable.innerHTML = lv.peaksBefore.length ? `
+        <div class="table-wrap">
+          <table class="simple-table">
+            <thead><tr><th>Month</th><th>Trade</th><th>Demand</th><th>Over Capacity</th><th>Over After Shifts</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>`
+        : `<p class="table-note">No month is over ${hours(capacity)} for any trade.</p>`;
+    }
+  }
+
   // ---------- chart helpers ----------
   function drawOrUpdate(existing, canvas, config){
     if (!canvas) return existing;
@@ -0,0 +1,356 @@
+// ==================== Project Detail JS ====================
+// Works with dashboards/project.html?id=<project_id>; data from js/data.js
+//
+// KPIs: Cost Variance, Schedule Variance, Change Orders (count / cost)
+// Charts:
+//   - Phase Gantt: planned vs actual bars per phase, change orders pinned
+//     to their phase row at their date
+//   - Phase Cost — Planned vs Actual
+//   - Phase Hours — Planned vs Actual
+//   - Weather Delay Days by Phase
+// Tables: per-phase variance detail, change-order log for the project
+// Links to the peer benchmark of the same project (dashboards/benchmark.html)
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const moneyStr = (n) =>
+    n == null || isNaN(n) ? "N/A" : `$${Math.round(n).toLocaleString()}`;
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+  const daysStr = (d) => (isFinite(d) ? `${Math.round(d)} days` : "N/A");
+  const signed = (n, fmt) => (isFinite(n) && n > 0 ? `+${fmt(n)}` : fmt(n));
+  const dateStr = d3.timeFormat("%Y-%m-%d");
+  const { esc } = ProjectData;
+  const monthStr = d3.timeFormat("%b %Y");
+
+  function abbrNumber(n) {
+    if (!isFinite(n)) return "0";
+    const abs = Math.abs(n);
+    if (abs >= 1e12) return (n / 1e12).toFixed(1) + "T";
+    if (abs >= 1e9)  return (n / 1e9 ).toFixed(1) + "B";
+    if (abs >= 1e6)  return (n / 1e6 ).toFixed(1) + "M";
+    if (abs >= 1e3)  return (n / 1e3 ).toFixed(1) + "K";
+    return String(Math.round(n));
+  }
+  const moneyAbbr = (n) => `$${abbrNumber(n)}`;
+  const ratio = (actual, planned) =>
+    isFinite(planned) && planned > 0 && isFinite(actual) ? (actual - planned) / planned : NaN;
+
+  // ---------- Elements ----------
+  const el = {
+    title: $("projectTitle"),
+    projectSelect: $("projectSelect"),
+    backLink: $("backLink"),
+    benchmarkLink: $("benchmarkLink"),
+    kCostVar: $("kpiProjectCostVariance"),
+    kSchedVar: $("kpiProjectScheduleVariance"),
+    kCOs: $("kpiProjectChangeOrders"),
+    cGantt: $("phaseGantt"),
+    cPhaseCost: $("phaseCost"),
+    cPhaseHours: $("phaseHours"),
+    cWeather: $("phaseWeather"),
+    phaseTable: $("phaseTable"),
+    coTable: $("coTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[PROJECT] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let dataset = null;
+  const charts = { gantt: null, phaseCost: null, phaseHours: null, weather: null };
+
+  // Send "Back" to the dashboard that linked here when possible
+  if (el.backLink && document.referrer) {
+    try {
+      const ref = new URL(document.referrer);
+      if (ref.origin === location.origin && ref.pathname !== location.pathname) {
+        el.backLink.href = document.referrer;
+      }
+    } catch (err) { /* keep default href */ }
+  }
+
+  ProjectData.load()
+    .then((data) => {
+      dataset = data;
+      populateProjectSelect(data.projects);
+
+      const requested = new URLSearchParams(location.search).get("id");
+      const id = data.byProject.has(requested) ? requested : data.projects[0]?.project_id;
+      if (requested && id !== requested) {
+        console.warn(`[PROJECT] Unknown project id "${requested}", showing ${id}`);
+      }
+      el.projectSelect.value = id;
+      render(id);
+
+      el.projectSelect.addEventListener("change", () => {
+        const next = el.projectSelect.value;
+        const url = new URL(location.href);
+        url.searchParams.set("id", next);
+        history.replaceState(null, "", url);
+        render(next);
+      });
+    })
+    .catch((err) => console.error("[PROJECT] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateProjectSelect(projects) {
+    projects
+      .slice()
+      .sort((a, b) => a.project_id.localeCompare(b.project_id))
+      .forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.project_id;
+        opt.textContent = p.project_name || `Project ${p.project_id}`;
+        el.projectSelect.appendChild(opt);
+      });
+  }
+
+  function render(id) {
+    const joined = dataset.byProject.get(id);
+    if (!joined) return;
+    const { project, phases, changeOrders } = joined;
+
+    const status = project.actual_end ? "Complete" : `In progress (${project.completion_pct}%)`;
+    if (el.title) el.title.textContent = `${project.project_name} — ${status}`;
+    document.title = `${project.project_name} — Project Detail`;
+    if (el.benchmarkLink) el.benchmarkLink.href = `benchmark.html?id=${encodeURIComponent(id)}`;
+
+    DataExport.setRows({ projects: [project], phases, changeOrders, weather: joined.weather || [] });
+    updateKPIs(project, changeOrders);
+    renderGantt(phases, changeOrders);
+    renderPhaseCharts(phases);
+    renderPhaseTable(phases, changeOrders);
+    renderCOTable(changeOrders);
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(project, changeOrders) {
+    const costVar = ratio(project.actual_cost, project.planned_budget);
+    const slip = ProjectData.daysBetween(project.planned_end, project.actual_end);
+    const coCost = d3.sum(changeOrders, (r) => r.co_cost);
+
+    if (el.kCostVar) {
+      el.kCostVar.textContent =
+        `${signed(costVar, pctStr)} (${moneyStr(project.actual_cost)} vs ${moneyStr(project.planned_budget)})`;
+    }
+    if (el.kSchedVar) {
+      el.kSchedVar.textContent = isFinite(slip) ? signed(slip, daysStr) : "In progress";
+    }
+    if (el.kCOs) {
+      el.kCOs.textContent = `${changeOrders.length} (${moneyStr(coCost)})`;
+    }
+  }
+
+  // ---------- Charts ----------
+  function renderGantt(phases, changeOrders) {
+    const labels = phases.map((ph) => ph.phase_name);
+    const today = Date.now();
+
+    // Bars and points keep Date objects: the linear axis reads them as
+    // epoch ms and the card export writes them as dates (js/export.js)
+    const planned = phases.map((ph) =>
+      ph.planned_start && ph.planned_end ? [ph.planned_start, ph.planned_end] : null
+    );
+    // Phases without an actual_end are still running: draw them up to today
+    const actual = phases.map((ph) =>
+      ph.actual_start ? [ph.actual_start, ph.actual_end || new Date(Math.max(today, +ph.actual_start))] : null
+    );
+    const coPoints = changeOrders
+      .filter((co) => co.date && co.phase_name)
+      .map((co) => ({ x: co.date, y: co.phase_name, co }));
+
+    const times = [...planned, ...actual].filter(Boolean).flat().concat(coPoints.map((p) => p.x)).map(Number);
+    const pad = 15 * ProjectData.DAY_MS;
+
+    charts.gantt = drawOrUpdateChart(charts.gantt, el.cGantt, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Planned", data: planned, barPercentage: 0.45, categoryPercentage: 0.9, grouped: true },
+          { label: "Actual",  data: actual,  barPercentage: 0.45, categoryPercentage: 0.9, grouped: true },
+          {
+            type: "scatter",
+            label: "Change Orders",
+            data: coPoints,
+            pointStyle: "triangle",
+            pointRadius: 6,
+            pointHoverRadius: 8,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: "y",
+        plugins: {
+          legend: { position: "top" },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                if (ctx.raw && ctx.raw.co) {
+                  const co = ctx.raw.co;
+                  return `${co.co_id} (${dateStr(co.date)}): ${co.co_reason} (${ReasonTaxonomy.groupLabel(co.co_reason_group)}), ${moneyStr(co.co_cost)}`;
+                }
+                const [s, e] = ctx.raw || [];
+                return `${ctx.dataset.label}: ${dateStr(new Date(s))} → ${dateStr(new Date(e))}`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            type: "linear",
+            min: times.length ? Math.min(...times) - pad : undefined,
+            max: times.length ? Math.max(...times) + pad : undefined,
+            ticks: { callback: (v) => monthStr(new Date(v)), maxRotation: 0 },
+          },
+          y: { grid: { display: false } },
+        },
+      },
+    });
+  }
+
+  function renderPhaseCharts(phases) {
+    const labels = phases.map((ph) => ph.phase_name);
+
+    charts.phaseCost = drawOrUpdateChart(charts.phaseCost, el.cPhaseCost, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Planned", data: phases.map((ph) => ph.planned_cost) },
+          { label: "Actual",  data: phases.map((ph) => ph.actual_cost) },
+        ],
+      },
+      options: axisOptions({ money: true }),
+    });
+
+    charts.phaseHours = drawOrUpdateChart(charts.phaseHours, el.cPhaseHours, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Planned Hours", data: phases.map((ph) => ph.planned_hours) },
+          { label: "Actual Hours",  data: phases.map((ph) => ph.actual_hours) },
+        ],
+      },
+      options: axisOptions({ money: false }),
+    });
+
+    charts.weather = drawOrUpdateChart(charts.weather, el.cWeather, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [{ label: "Weather Delay (days)", data: phases.map((ph) => ph.weather_delay_days) }],
+      },
+      options: axisOptions({ money: false }),
+    });
+  }
+
+  // ---------- Tables ----------
+  function renderPhaseTable(phases, changeOrders) {
+    if (!el.phaseTable) return;
+    const coByPhase = d3.rollup(changeOrders, (v) => ({ n: v.length, cost: d3.sum(v, (r) => r.co_cost) }), (r) => r.phase_id);
+
+    const rows = phases.map((ph) => {
+      const co = coByPhase.get(ph.phase_id) || { n: 0, cost: 0 };
+      const startSlip = ProjectData.daysBetween(ph.planned_start, ph.actual_start);
+      const endSlip = ProjectData.daysBetween(ph.planned_end, ph.actual_end);
+      return `<tr>
+        <td>${esc(ph.phase_name)}</td>
+        <td>${ph.planned_start ? dateStr(ph.planned_start) : "—"} → ${ph.planned_end ? dateStr(ph.planned_end) : "—"}</td>
+        <td>${ph.actual_start ? dateStr(ph.actual_start) : "—"} → ${ph.actual_end ? dateStr(ph.actual_end) : "in progress"}</td>
+        <td class="num">${isFinite(startSlip) ? signed(startSlip, String) : "—"}</td>
+        <td class="num">${isFinite(endSlip) ? signed(endSlip, String) : "—"}</td>
+        <td class="num">${moneyStr(ph.planned_cost)}</td>
+        <td class="num">${moneyStr(ph.actual_cost)}</td>
+        <td class="num">${signed(ratio(ph.actual_cost, ph.planned_cost), pctStr)}</td>
+        <td class="num">${signed(ratio(ph.actual_hours, ph.planned_hours), pctStr)}</td>
+        <td class="num">${ph.weather_delay_days}</td>
+        <td class="num">${co.n} (${moneyAbbr(co.cost)})</td>
+      </tr>`;
+    }).join("");
+
+    el.phaseTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Phase</th><th>Planned</th><th>Actual</th>
+            <th>Start Slip (d)</th><th>Finish Slip (d)</th>
+            <th>Planned Cost</th><th>Actual Cost</th><th>Cost Var</th>
+            <th>Hours Var</th><th>Weather (d)</th><th>COs</th>
+          </tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
+  function renderCOTable(changeOrders) {
+    if (!el.coTable) return;
+    if (!changeOrders.length) {
+      el.coTable.innerHTML = "<p>No change orders recorded for this project.</p>";
+      return;
+    }
+    const rows = changeOrders
+      .slice()
+      .sort((a, b) => (a.date || 0) - (b.date || 0))
+      .map((co) => `<tr>
+        <td>${esc(co.co_id)}</td>
+        <td>${esc(co.phase_name || co.phase_id)}</td>
+        <td>${co.date ? dateStr(co.date) : "—"}</td>
+        <td>${esc(co.co_reason)}</td>
+        <td>${esc(ReasonTaxonomy.groupLabel(co.co_reason_group))}</td>
+        <td class="num">${moneyStr(co.co_cost)}</td>
+      </tr>`).join("");
+
+    el.coTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr><th>CO</th><th>Phase</th><th>Date</th><th>Reason</th><th>Group</th><th>Cost</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ money }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.parsed.y ?? ctx.parsed;
+              return `${ctx.dataset.label}: ${money ? moneyAbbr(v) : abbrNumber(v)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: {
+          beginAtZero: true,
+          ticks: { callback: (v) => (money ? moneyAbbr(v) : abbrNumber(v)) },
+        },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
@@ -0,0 +1,423 @@
+// ==================== Data Quality & Reconciliation JS ====================
+// Works with dashboards/quality.html. Checks that the CSVs agree with each
+// other and with the schema in js/data.js, scores each file and lists the
+// offending rows. Runs on the raw file values (ProjectData.loadRaw) next to
+// the normalized dataset, so format problems such as time stamps are visible.
+//
+// Rules (severity):
+//   Integrity
+//   - Missing id, duplicate project / phase key                  (error)
+//   - project_id not in projects.csv; phase not in phases.csv    (error)
+//   - Non-blank date or number that does not parse               (error)
+//   - Project at 100% (or phase of a finished project) with a
+//     blank actual_end                                            (error)
+//   - End date before start date; completion_pct outside 0–100   (warning)
+//   - Date with a time part ("2013-12-18 00:00:00")              (info)
+//   - CO reason no category of js/taxonomy.js matches            (info)
+//   - Blank actual_end on open work, listed for review           (info)
+//   Reconciliation (tolerance picked on the page)
+//   - Project actual_cost vs Σ phase actual_cost                 (warning)
+//   - Phase actual_cost below labor (act_hours × rate) +
+//     materials actual_cost                                       (warning)
+//
+// Score per file = 100 × (1 − Σ row penalty / rows), where a row's penalty
+// is its worst issue: error 1, warning 0.5, info 0.1.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const moneyStr = (x) => (isFinite(x) ? `$${Math.round(x).toLocaleString()}` : "N/A");
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+  const scoreStr = (x) => (isFinite(x) ? x.toFixed(1) : "—");
+  const { esc } = ProjectData;
+
+  const SCHEMA = ProjectData.SCHEMA;
+  const TABLES = Object.keys(SCHEMA);
+  const PHASE_TABLES = ["changeOrders", "labor", "materials", "equipment"];
+  const MAX_ROWS_SHOWN = 200;
+
+  const SEVERITY_WEIGHT = { error: 1, warning: 0.5, info: 0.1 };
+  const RULES = {
+    missingId: { label: "Missing id", severity: "error" },
+    duplicateKey: { label: "Duplicate key", severity: "error" },
+    unknownProject: { label: "Unknown project_id", severity: "error" },
+    unknownPhase: { label: "Unknown phase", severity: "error" },
+    badDate: { label: "Unparseable date", severity: "error" },
+    badNumber: { label: "Non-numeric value", severity: "error" },
+    finishedNoEnd: { label: "Finished but blank actual_end", severity: "error" },
+    dateOrder: { label: "Ends before it starts", severity: "warning" },
+    pctRange: { label: "completion_pct outside 0–100", severity: "warning" },
+    projectVsPhases: { label: "Project cost ≠ Σ phase cost", severity: "warning" },
+    phaseVsComponents: { label: "Labor + materials > phase cost", severity: "warning" },
+    strayTimestamp: { label: "Date with time part", severity: "info" },
+    unmappedReason: { label: "CO reason not in taxonomy", severity: "info" },
+    openEnd: { label: "Blank actual_end (open)", severity: "info" },
+  };
+
+  // ---------- Elements ----------
+  const el = {
+    toleranceSelect: $("toleranceSelect"),
+    fileSelect: $("issueFileSelect"),
+    ruleSelect: $("issueRuleSelect"),
+
+    kScore: $("kpiQualityScore"),
+    kRows: $("kpiRowsChecked"),
+    kIssues: $("kpiIssueCounts"),
+
+    cScores: $("scoreByFile"),
+    cRules: $("issuesByRule"),
+    fileTable: $("fileScoreTable"),
+    issueTable: $("issueTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[QUALITY] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let raw = null;
+  let data = null;
+  let result = null;
+  const charts = { scores: null, rules: null };
+
+  Promise.all([ProjectData.loadRaw(), ProjectData.load()])
+    .then(([r, d]) => {
+      raw = r;
+      data = d;
+      populateSelects();
+      updateView();
+
+      el.toleranceSelect?.addEventListener("change", updateView);
+      el.fileSelect?.addEventListener("change", renderIssueTable);
+      el.ruleSelect?.addEventListener("change", renderIssueTable);
+    })
+    .catch((err) => console.error("[QUALITY] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateSelects() {
+    if (el.fileSelect) {
+      TABLES.forEach((t) => {
+        const opt = document.createElement("option");
+        opt.value = t;
+        opt.textContent = SCHEMA[t].file;
+        el.fileSelect.appendChild(opt);
+      });
+    }
+    if (el.ruleSelect) {
+      Object.entries(RULES).forEach(([k, r]) => {
+        const opt = document.createElement("option");
+        opt.value = k;
+        opt.textContent = r.label;
+        el.ruleSelect.appendChild(opt);
+      });
+    }
+  }
+
+  function updateView() {
+    const tolerance = +(el.toleranceSelect?.value || 0.05);
+    result = runChecks(tolerance);
+    updateKPIs();
+    renderCharts();
+    renderFileTable();
+    renderIssueTable();
+  }
+
+  // ---------- Checks ----------
+  // The loader builds dates with new Date(y, m, d), which rolls "2020-13-01"
+  // over into 2021; treat those as unparseable too
+  function sameDay(v, d) {
+    const m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(v);
+    return m && d.getFullYear() === +m[1] && d.getMonth() === +m[2] - 1 && d.getDate() === +m[3];
+  }
+
+  // -> { issues: [{ table, rule, severity, line, projectId, phaseId, field, value, detail }], scores }
+  function runChecks(tolerance) {
+    const issues = [];
+    const add = (table, rule, i, row, field, value, detail = "") =>
+      issues.push({
+        table, rule, severity: RULES[rule].severity,
+        line: i + 2, // header is line 1
+        projectId: row.project_id || "",
+        phaseId: row.phase_id || "",
+        field, value, detail,
+      });
+
+    const projectIds = new Set(raw.projects.map((r) => (r.project_id || "").trim()).filter(Boolean));
+    const phaseKeys = new Set(raw.phases.map((r) => ProjectData.phaseKey((r.project_id || "").trim(), (r.phase_id || "").trim())));
+
+    // integrity: per field, per row
+    TABLES.forEach((table) => {
+      const fields = Object.entries(SCHEMA[table].fields);
+      const normalized = data[table];
+      const seen = new Set();
+
+      raw[table].forEach((row, i) => {
+        const norm = normalized[i];
+        fields.forEach(([field, type]) => {
+          const v = (row[field] ?? "").trim();
+          if (type === "id" && !v) add(table, "missingId", i, row, field, v);
+          if (type === "date" && v) {
+            if (!norm[field] || !sameDay(v, norm[field])) add(table, "badDate", i, row, field, v);
+            else if (/^\d{4}-\d{1,2}-\d{1,2}[ T]\d/.test(v)) add(table, "strayTimestamp", i, row, field, v);
+          }
+          if (type === "number" && v && !isFinite(norm[field])) add(table, "badNumber", i, row, field, v);
+          if (type === "reason" && v && norm[field] === ReasonTaxonomy.OTHER) {
+            add(table, "unmappedReason", i, row, field, v, "shown as Other; map it on the reason taxonomy page");
+          }
+        });
+
+        const pid = (row.project_id || "").trim();
+        if (table === "projects" && pid) {
+          if (seen.has(pid)) add(table, "duplicateKey", i, row, "project_id", pid);
+          seen.add(pid);
+        } else if (pid && !projectIds.has(pid)) {
+          add(table, "unknownProject", i, row, "project_id", pid, "no such project in projects.csv");
+        }
+
+        const key = ProjectData.phaseKey(pid, (row.phase_id || "").trim());
+        if (table === "phases" && row.phase_id) {
+          if (seen.has(key)) add(table, "duplicateKey", i, row, "phase_id", row.phase_id);
+          seen.add(key);
+        } else if (PHASE_TABLES.includes(table) && pid && projectIds.has(pid) && row.phase_id && !phaseKeys.has(key)) {
+          add(table, "unknownPhase", i, row, "phase_id", row.phase_id, "no such phase for this project in phases.csv");
+        }
+      });
+    });
+
+    // completion, open ends and date order
+    data.projects.forEach((p, i) => {
+      const row = raw.projects[i];
+      if (isFinite(p.completion_pct) && (p.completion_pct < 0 || p.completion_pct > 100)) {
+        add("projects", "pctRange", i, row, "completion_pct", row.completion_pct);
+      }
+      if (!p.actual_end && !(row.actual_end || "").trim()) {
+        if (p.completion_pct >= 100) add("projects", "finishedNoEnd", i, row, "actual_end", "", `completion_pct is ${p.completion_pct}`);
+        else add("projects", "openEnd", i, row, "actual_end", "", `${isFinite(p.completion_pct) ? p.completion_pct : "?"}% complete`);
+      }
+      if (p.start_date && p.actual_end && p.actual_end < p.start_date) {
+        add("projects", "dateOrder", i, row, "actual_end", row.actual_end, `starts ${row.start_date}`);
+      }
+      if (p.start_date && p.planned_end && p.planned_end < p.start_date) {
+        add("projects", "dateOrder", i, row, "planned_end", row.planned_end, `starts ${row.start_date}`);
+      }
+    });
+
+    data.phases.forEach((ph, i) => {
+      const row = raw.phases[i];
+      if (!ph.actual_end && !(row.actual_end || "").trim()) {
+        const project = data.byProject.get(ph.project_id)?.project;
+        if (project?.actual_end) add("phases", "finishedNoEnd", i, row, "actual_end", "", "project has finished");
+        else add("phases", "openEnd", i, row, "actual_end", "", ph.actual_start ? "started, not finished" : "not started");
+      }
+      if (ph.actual_start && ph.actual_end && ph.actual_end < ph.actual_start) {
+        add("phases", "dateOrder", i, row, "actual_end", row.actual_end, `starts ${row.actual_start}`);
+      }
+      if (ph.planned_start && ph.planned_end && ph.planned_end < ph.planned_start) {
+        add("phases", "dateOrder", i, row, "planned_end", row.planned_end, `starts ${row.planned_start}`);
+      }
+    });
+
+    // reconciliation: project vs Σ phases
+    data.projects.forEach((p, i) => {
+      const phases = (data.byProject.get(p.project_id)?.phases || []).filter((ph) => isFinite(ph.actual_cost));
+      if (!phases.length || !(p.actual_cost > 0)) return;
+      const sum = phases.reduce((a, ph) => a + ph.actual_cost, 0);
+      const diff = (sum - p.actual_cost) / p.actual_cost;
+      if (Math.abs(diff) > tolerance) {
+        add("projects", "projectVsPhases", i, raw.projects[i], "actual_cost", raw.projects[i].actual_cost,
+          `Σ ${phases.length} phases ${moneyStr(sum)} (${diff > 0 ? "+" : ""}${pctStr(diff)})`);
+      }
+    });
+
+    // reconciliation: phase vs labor + materials
+    const coverage = [];
+    data.phases.forEach((ph, i) => {
+      const joined = data.byPhase.get(ProjectData.phaseKey(ph.project_id, ph.phase_id));
+      if (!joined || !(ph.actual_cost > 0)) return;
+      const labor = joined.labor.reduce((a, r) => a + (isFinite(r.act_hours * r.hourly_rate) ? r.act_hours * r.hourly_rate : 0), 0);
+      const materials = joined.materials.reduce((a, r) => a + (isFinite(r.actual_cost) ? r.actual_cost : 0), 0);
+      if (!joined.labor.length && !joined.materials.length) return;
+      coverage.push((labor + materials) / ph.actual_cost);
+      if (labor + materials > ph.actual_cost * (1 + tolerance)) {
+        add("phases", "phaseVsComponents", i, raw.phases[i], "actual_cost", raw.phases[i].actual_cost,
+          `labor ${moneyStr(labor)} + materials ${moneyStr(materials)}`);
+      }
+    });
+
+    issues.sort((a, b) => TABLES.indexOf(a.table) - TABLES.indexOf(b.table) || a.line - b.line);
+    return { issues, scores: scoreFiles(issues), coverage: d3.median(coverage) };
+  }
+
+  function scoreFiles(issues) {
+    return TABLES.map((table) => {
+      const rows = raw[table].length;
+      const penalty = new Map(); // line -> worst weight
+      const counts = { error: 0, warning: 0, info: 0 };
+      issues.forEach((x) => {
+        if (x.table !== table) return;
+        counts[x.severity] += 1;
+        penalty.set(x.line, Math.max(penalty.get(x.line) || 0, SEVERITY_WEIGHT[x.severity]));
+      });
+      const lost = Array.from(penalty.values()).reduce((a, w) => a + w, 0);
+      return { table, rows, ...counts, flaggedRows: penalty.size, lost, score: rows ? 100 * (1 - lost / rows) : NaN };
+    });
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs() {
+    const rows = d3.sum(result.scores, (s) => s.rows);
+    const lost = d3.sum(result.scores, (s) => s.lost);
+    const count = (sev) => result.issues.filter((x) => x.severity === sev).length;
+    if (el.kScore) el.kScore.textContent = rows ? `${scoreStr(100 * (1 - lost / rows))} / 100` : "N/A";
+    if (el.kRows) {
+      el.kRows.textContent = `${rows.toLocaleString()} rows in ${result.scores.filter((s) => s.rows).length} files`;
+    }
+    if (el.kIssues) {
+      el.kIssues.textContent = `${count("error").toLocaleString()} errors · ${count("warning").toLocaleString()} warnings · ${count("info").toLocaleString()} info`;
+    }
+  }
+
+  // ---------- Rendering ----------
+  function renderCharts() {
+    const files = result.scores.filter((s) => s.rows);
+    charts.scores = drawOrUpdateChart(charts.scores, el.cScores, {
+      type: "bar",
+      data: {
+        labels: files.map((s) => SCHEMA[s.table].file),
+        datasets: [{ label: "Quality score", data: files.map((s) => s.score) }],
+      },
+      options: {
+        ...axisOptions({ fmt: scoreStr }),
+        scales: {
+          x: { grid: { display: false } },
+          y: { beginAtZero: true, max: 100, ticks: { callback: scoreStr } },
+        },
+      },
+    });
+
+    const byRule = Object.keys(RULES)
+      .map((k) => [k, result.issues.filter((x) => x.rule === k).length])
+      .filter(([, n]) => n > 0)
+      .sort((a, b) => b[1] - a[1]);
+    const severities = ["error", "warning", "info"];
+    charts.rules = drawOrUpdateChart(charts.rules, el.cRules, {
+      type: "bar",
+      data: {
+        labels: byRule.map(([k]) => RULES[k].label),
+        // one dataset per severity so the legend doubles as a key
+        datasets: severities.map((sev) => ({
+          label: sev[0].toUpperCase() + sev.slice(1),
+          data: byRule.map(([k, n]) => (RULES[k].severity === sev ? n : 0)),
+        })),
+      },
+      options: {
+        ...axisOptions({ fmt: (v) => Math.round(v).toLocaleString() }),
+        indexAxis: "y",
+        scales: {
+          x: { stacked: true, beginAtZero: true },
+          y: { stacked: true, grid: { display: false } },
+        },
+      },
+    });
+  }
+
+  function renderFileTable() {
+    if (!el.fileTable) return;
+    const body = result.scores
+      .map((s) => `<tr>
+          <td>${SCHEMA[s.table].file}</td>
+          <td class="num">${s.rows.toLocaleString()}</td>
+          <td class="num">${s.error.toLocaleString()}</td>
+          <td class="num">${s.warning.toLocaleString()}</td>
+          <td class="num">${s.info.toLocaleString()}</td>
+          <td class="num">${s.flaggedRows.toLocaleString()}</td>
+          <td class="num">${scoreStr(s.score)}</td>
+        </tr>`)
+      .join("");
+
+    el.fileTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>File</th><th>Rows</th><th>Errors</th><th>Warnings</th><th>Info</th><th>Rows Flagged</th><th>Score</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+      <p>Labor + materials explain a median ${pctStr(result.coverage)} of phase actual cost.</p>`;
+  }
+
+  function renderIssueTable() {
+    if (!el.issueTable || !result) return;
+    const file = el.fileSelect?.value || "all";
+    const rule = el.ruleSelect?.value || "all";
+    const rows = result.issues.filter((x) => (file === "all" || x.table === file) && (rule === "all" || x.rule === rule));
+    if (!rows.length) {
+      el.issueTable.innerHTML = "<p>No issues for this selection.</p>";
+      return;
+    }
+
+    const projectLink = (id) =>
+      id && data.byProject.has(id) ? `<a href="project.html?id=${encodeURIComponent(id)}">${esc(id)}</a>` : esc(id);
+    const body = rows
+      .slice(0, MAX_ROWS_SHOWN)
+      .map((x) => `<tr>
+          <td>${SCHEMA[x.table].file}</td>
+          <td class="num">${x.line}</td>
+          <td>${projectLink(x.projectId)}</td>
+          <td>${esc(x.phaseId)}</td>
+          <td>${esc(x.field)}</td>
+          <td>${esc(x.value)}</td>
+          <td><span class="tag">${x.severity}</span> ${RULES[x.rule].label}</td>
+          <td>${esc(x.detail)}</td>
+        </tr>`)
+      .join("");
+
+    el.issueTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>File</th><th>Line</th><th>Project</th><th>Phase</th><th>Column</th><th>Value</th><th>Rule</th><th>Detail</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+      ${rows.length > MAX_ROWS_SHOWN ? `<p>Showing ${MAX_ROWS_SHOWN} of ${rows.length.toLocaleString()} rows; narrow the file or rule to see the rest.</p>` : ""}`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ fmt }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.chart.options.indexAxis === "y" ? ctx.parsed.x : ctx.parsed.y;
+              return `${ctx.dataset.label}: ${fmt(v)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: { beginAtZero: true, ticks: { callback: fmt } },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
@@ -0,0 +1,393 @@
+// ==================== Reason Taxonomy Editor JS ====================
+// Works with dashboards/reasons.html. Edits the change-order reason taxonomy
+// of js/taxonomy.js and shows how it maps the values in change_orders.csv:
+//
+//   - Groups (e.g. owner- / design- / site-driven) and the categories in
+//     each, with their exact-match aliases and regex patterns
+//   - Every edit is previewed against the raw file values right away; Save
+//     stores the taxonomy (localStorage) for every dashboard
+//   - Unmapped values (ending up in "Other"), with their row count and cost
+//     and a picker to add one as an alias of a category
+//   - All distinct values: category, group and whether an alias or a
+//     pattern matched
+//
+// Runs on the raw co_reason strings (ProjectData.loadRaw), so the preview
+// does not depend on the taxonomy the page was loaded with.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const moneyStr = (x) => (isFinite(x) ? `$${Math.round(x).toLocaleString()}` : "N/A");
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+  const { esc } = ProjectData;
+
+  function abbrNumber(n) {
+    if (!isFinite(n)) return "0";
+    const abs = Math.abs(n);
+    if (abs >= 1e9) return (n / 1e9).toFixed(1) + "B";
+    if (abs >= 1e6) return (n / 1e6).toFixed(1) + "M";
+    if (abs >= 1e3) return (n / 1e3).toFixed(1) + "K";
+    return Math.round(n).toString();
+  }
+
+  const MATCH_LABELS = { alias: "Name / alias", pattern: "Pattern", blank: "Blank", none: "Unmapped" };
+
+  // ---------- Elements ----------
+  const el = {
+    saveBtn: $("saveTaxonomy"),
+    discardBtn: $("discardTaxonomy"),
+    resetBtn: $("resetTaxonomy"),
+    status: $("taxonomyStatus"),
+
+    kMapped: $("kpiMappedRows"),
+    kUnmapped: $("kpiUnmappedValues"),
+    kSource: $("kpiTaxonomySource"),
+
+    groupRows: $("groupRows"),
+    newGroupLabel: $("newGroupLabel"),
+    addGroupBtn: $("addGroup"),
+    categoryRows: $("categoryRows"),
+    addCategoryBtn: $("addCategory"),
+    problems: $("taxonomyProblems"),
+
+    cGroups: $("groupCost"),
+    cMatches: $("matchTypes"),
+    unmappedTable: $("unmappedTable"),
+    mappingTable: $("mappingTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[TAXONOMY] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let values = []; // [{ raw, count, cost }] per distinct raw co_reason
+  let draft = ReasonTaxonomy.config();
+  let preview = ReasonTaxonomy.compile(draft); // last draft without problems
+  let dirty = false;
+  const charts = { groups: null, matches: null };
+
+  ProjectData.loadRaw()
+    .then((raw) => {
+      const byValue = d3.rollup(
+        raw.changeOrders,
+        (v) => ({ count: v.length, cost: d3.sum(v, (r) => (isFinite(+r.co_cost) ? +r.co_cost : 0)) }),
+        (r) => (r.co_reason ?? "").trim()
+      );
+      values = Array.from(byValue, ([raw, s]) => ({ raw, ...s })).sort((a, b) => b.count - a.count);
+      renderEditor();
+      updateView();
+    })
+    .catch((err) => console.error("[TAXONOMY] CSV load error:", err));
+
+  // ---------- Draft edits ----------
+  const splitList = (text, sep) => text.split(sep).map((s) => s.trim()).filter(Boolean);
+  const slug = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+  function edited({ rerender = false } = {}) {
+    dirty = true;
+    if (rerender) renderEditor();
+    updateView();
+  }
+
+  el.groupRows?.addEventListener("input", (e) => {
+    const i = e.target.dataset?.group;
+    if (i == null) return;
+    const g = draft.groups[i];
+    g.label = e.target.value.trim();
+    // keep the category pickers in step without redrawing the row being typed in
+    el.categoryRows?.querySelectorAll(`select[data-field="group"] option[value="${g.id}"]`)
+      .forEach((opt) => (opt.textContent = g.label || g.id));
+    edited();
+  });
+  el.groupRows?.addEventListener("click", (e) => {
+    const i = e.target.dataset?.removeGroup;
+    if (i == null) return;
+    draft.groups.splice(+i, 1);
+    edited({ rerender: true });
+  });
+  el.addGroupBtn?.addEventListener("click", () => {
+    const label = el.newGroupLabel?.value.trim();
+    if (!label) return;
+    let id = slug(label) || "group";
+    for (let n = 2; draft.groups.some((g) => g.id === id); n++) id = `${slug(label) || "group"}-${n}`;
+    draft.groups.push({ id, label });
+    el.newGroupLabel.value = "";
+    edited({ rerender: true });
+  });
+
+  el.categoryRows?.addEventListener("input", (e) => {
+    const { cat, field } = e.target.dataset || {};
+    if (cat == null) return;
+    const c = draft.categories[cat];
+    if (field === "label") c.label = e.target.value.trim();
+    if (field === "group") c.group = e.target.value;
+    if (field === "aliases") c.aliases = splitList(e.target.value, ",");
+    if (field === "patterns") c.patterns = splitList(e.target.value, "\n");
+    if (field === "label" || field === "group") renderGroups(); // the group table lists category names
+    edited();
+  });
+  el.categoryRows?.addEventListener("click", (e) => {
+    const i = e.target.dataset?.removeCat;
+    if (i == null) return;
+    draft.categories.splice(+i, 1);
+    edited({ rerender: true });
+  });
+  el.addCategoryBtn?.addEventListener("click", () => {
+    draft.categories.push({ label: "", group: draft.groups[0]?.id || "", aliases: [], patterns: [] });
+    edited({ rerender: true });
+    el.categoryRows?.querySelector(`[data-cat="${draft.categories.length - 1}"][data-field="label"]`)?.focus();
+  });
+
+  // "add as alias of ..." in the unmapped report
+  el.unmappedTable?.addEventListener("change", (e) => {
+    const raw = e.target.dataset?.alias;
+    const c = draft.categories.find((x) => x.label === e.target.value);
+    if (raw == null || !c) return;
+    c.aliases = [...(c.aliases || []), raw];
+    edited({ rerender: true });
+  });
+
+  // ---------- Save / discard / reset ----------
+  el.saveBtn?.addEventListener("click", () => {
+    try {
+      ReasonTaxonomy.save(draft);
+      dirty = false;
+      setStatus("Saved. Every dashboard uses this taxonomy from its next load.");
+    } catch (err) {
+      setStatus(`Not saved: ${err.message}`);
+    }
+    updateView();
+  });
+  el.discardBtn?.addEventListener("click", () => {
+    draft = ReasonTaxonomy.config();
+    dirty = false;
+    setStatus("");
+    renderEditor();
+    updateView();
+  });
+  el.resetBtn?.addEventListener("click", () => {
+    if (!confirm("Replace the taxonomy with the built-in default?")) return;
+    ReasonTaxonomy.reset();
+    draft = ReasonTaxonomy.config();
+    dirty = false;
+    setStatus("Back to the default taxonomy.");
+    renderEditor();
+    updateView();
+  });
+
+  function setStatus(text) {
+    if (el.status) el.status.textContent = text;
+  }
+
+  // ---------- Editor ----------
+  function renderEditor() {
+    renderGroups();
+    renderCategories();
+  }
+
+  function renderGroups() {
+    if (el.groupRows) {
+      el.groupRows.innerHTML = draft.groups
+        .map((g, i) => {
+          const cats = draft.categories.filter((c) => c.group === g.id).map((c) => c.label).filter(Boolean);
+          return `<tr>
+              <td><input type="text" data-group="${i}" value="${esc(g.label)}" aria-label="Group name" /></td>
+              <td><code>${esc(g.id)}</code></td>
+              <td>${esc(cats.join(", ")) || "—"}</td>
+              <td><button type="button" data-remove-group="${i}">Remove</button></td>
+            </tr>`;
+        })
+        .join("");
+    }
+  }
+
+  function renderCategories() {
+    if (el.categoryRows) {
+      el.categoryRows.innerHTML = draft.categories
+        .map((c, i) => {
+          const groups = draft.groups
+            .map((g) => `<option value="${esc(g.id)}"${g.id === c.group ? " selected" : ""}>${esc(g.label || g.id)}</option>`)
+            .join("");
+          return `<tr>
+              <td><input type="text" data-cat="${i}" data-field="label" value="${esc(c.label)}" aria-label="Category name" /></td>
+              <td>
+                <select data-cat="${i}" data-field="group" aria-label="Group">
+                  ${draft.groups.some((g) => g.id === c.group) ? "" : `<option value="" selected>Pick a group</option>`}
+                  ${groups}
+                </select>
+              </td>
+              <td><input type="text" data-cat="${i}" data-field="aliases" value="${esc((c.aliases || []).join(", "))}" size="28" aria-label="Aliases" /></td>
+              <td><textarea data-cat="${i}" data-field="patterns" rows="2" cols="24" aria-label="Patterns">${esc((c.patterns || []).join("\n"))}</textarea></td>
+              <td class="num" data-cat-count="${i}"></td>
+              <td class="num" data-cat-cost="${i}"></td>
+              <td><button type="button" data-remove-cat="${i}">Remove</button></td>
+            </tr>`;
+        })
+        .join("");
+    }
+  }
+
+  // ---------- View ----------
+  function updateView() {
+    const problems = ReasonTaxonomy.validate(draft);
+    if (!problems.length) preview = ReasonTaxonomy.compile(JSON.parse(JSON.stringify(draft)));
+    if (el.problems) el.problems.innerHTML = problems.map((p) => `<li>${esc(p)}</li>`).join("");
+    if (el.saveBtn) el.saveBtn.disabled = !dirty || problems.length > 0;
+    if (el.discardBtn) el.discardBtn.disabled = !dirty;
+    if (problems.length && dirty) setStatus("Fix the problems below to preview and save.");
+    else if (dirty) setStatus("Unsaved changes (previewed below).");
+
+    const mapped = values.map((v) => ({ ...v, ...ReasonTaxonomy.classify(v.raw, preview) }));
+    updateKPIs(mapped);
+    updateCategoryTotals(mapped);
+    renderCharts(mapped);
+    renderUnmapped(mapped);
+    renderMapping(mapped);
+  }
+
+  const groupLabel = (id) =>
+    id === ReasonTaxonomy.UNCLASSIFIED.id ? ReasonTaxonomy.UNCLASSIFIED.label : preview.cfg.groups.find((g) => g.id === id)?.label || id;
+
+  function updateKPIs(mapped) {
+    const total = d3.sum(mapped, (v) => v.count);
+    const mappedRows = d3.sum(mapped, (v) => (v.match === "alias" || v.match === "pattern" ? v.count : 0));
+    const unmapped = mapped.filter((v) => v.match === null);
+
+    if (el.kMapped) el.kMapped.textContent = `${pctStr(total ? mappedRows / total : NaN)} of ${total.toLocaleString()}`;
+    if (el.kUnmapped) {
+      el.kUnmapped.textContent = unmapped.length
+        ? `${unmapped.length} (${d3.sum(unmapped, (v) => v.count).toLocaleString()} rows)`
+        : "None";
+    }
+    if (el.kSource) el.kSource.textContent = `${ReasonTaxonomy.isCustom() ? "Custom" : "Default"}${dirty ? " (edited)" : ""}`;
+  }
+
+  function updateCategoryTotals(mapped) {
+    const byCat = d3.rollup(mapped, (v) => ({ count: d3.sum(v, (x) => x.count), cost: d3.sum(v, (x) => x.cost) }), (v) => v.category);
+    draft.categories.forEach((c, i) => {
+      const s = byCat.get(c.label) || { count: 0, cost: 0 };
+      const count = el.categoryRows?.querySelector(`[data-cat-count="${i}"]`);
+      const cost = el.categoryRows?.querySelector(`[data-cat-cost="${i}"]`);
+      if (count) count.textContent = s.count.toLocaleString();
+      if (cost) cost.textContent = moneyStr(s.cost);
+    });
+  }
+
+  function renderCharts(mapped) {
+    // CO cost per group, one dataset per category so the split shows
+    if (el.cGroups) {
+      const groups = [...preview.cfg.groups.map((g) => g.id), ReasonTaxonomy.UNCLASSIFIED.id];
+      const cats = [...preview.cfg.categories.map((c) => c.label), ReasonTaxonomy.OTHER, ReasonTaxonomy.UNSPECIFIED];
+      const datasets = cats
+        .map((cat) => ({
+          label: cat,
+          data: groups.map((g) => d3.sum(mapped, (v) => (v.group === g && v.category === cat ? v.cost : 0))),
+        }))
+        .filter((ds) => ds.data.some((x) => x > 0));
+      charts.groups = drawOrUpdateChart(charts.groups, el.cGroups, {
+        type: "bar",
+        data: { labels: groups.map(groupLabel), datasets },
+        options: axisOptions({ money: true, stacked: true }),
+      });
+    }
+
+    if (el.cMatches) {
+      const counts = d3.rollup(mapped, (v) => d3.sum(v, (x) => x.count), (v) => v.match ?? "none");
+      const keys = Object.keys(MATCH_LABELS).filter((k) => counts.get(k));
+      charts.matches = drawOrUpdateChart(charts.matches, el.cMatches, {
+        type: "bar",
+        data: {
+          labels: keys.map((k) => MATCH_LABELS[k]),
+          datasets: [{ label: "Change Orders", data: keys.map((k) => counts.get(k)) }],
+        },
+        options: axisOptions({ money: false }),
+      });
+    }
+  }
+
+  // ---------- Tables ----------
+  function renderUnmapped(mapped) {
+    if (!el.unmappedTable) return;
+    const rows = mapped.filter((v) => v.match === null || v.match === "blank");
+    const options = preview.cfg.categories.map((c) => `<option value="${esc(c.label)}">${esc(c.label)}</option>`).join("");
+    const body = rows
+      .map((v) => `<tr>
+          <td>${v.raw ? esc(v.raw) : "<em>(blank)</em>"}</td>
+          <td>${esc(v.category)}</td>
+          <td class="num">${v.count.toLocaleString()}</td>
+          <td class="num">${moneyStr(v.cost)}</td>
+          <td>${v.raw
+            ? `<select data-alias="${esc(v.raw)}" aria-label="Add as alias"><option value="">Add as alias of…</option>${options}</select>`
+            : ""}</td>
+        </tr>`)
+      .join("");
+
+    el.unmappedTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr><th>Value in file</th><th>Shown as</th><th class="num">COs</th><th class="num">Cost</th><th>Map it</th></tr></thead>
+          <tbody>${body || `<tr><td colspan="5">Every value maps to a category.</td></tr>`}</tbody>
+        </table>
+      </div>`;
+  }
+
+  function renderMapping(mapped) {
+    if (!el.mappingTable) return;
+    const body = mapped
+      .map((v) => `<tr>
+          <td>${v.raw ? esc(v.raw) : "<em>(blank)</em>"}</td>
+          <td>${esc(v.category)}</td>
+          <td>${esc(groupLabel(v.group))}</td>
+          <td>${MATCH_LABELS[v.match ?? "none"]}</td>
+          <td class="num">${v.count.toLocaleString()}</td>
+          <td class="num">${moneyStr(v.cost)}</td>
+        </tr>`)
+      .join("");
+
+    el.mappingTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr><th>Value in file</th><th>Category</th><th>Group</th><th>Matched by</th><th class="num">COs</th><th class="num">Cost</th></tr></thead>
+          <tbody>${body || `<tr><td colspan="6">No change orders loaded.</td></tr>`}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ money, stacked = false }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${money ? "$" : ""}${abbrNumber(ctx.parsed.y ?? ctx.parsed)}`,
+          },
+        },
+      },
+      scales: {
+        x: { stacked, grid: { display: false } },
+        y: {
+          stacked,
+          beginAtZero: true,
+          ticks: { callback: (v) => `${money ? "$" : ""}${abbrNumber(v)}` },
+        },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
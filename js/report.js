@@ -0,0 +1,306 @@
+// ==================== Portfolio Report Builder ====================
+// Works with dashboards/report.html. Assembles a printable report from the
+// four analytics dashboards, entirely in the browser:
+//
+//   - each dashboard is opened in an off-screen iframe with the current
+//     global filters; once its KPIs are filled in, the KPI cards are read and
+//     every chart is captured as a PNG (Chart#toBase64Image)
+//   - the picker lists the captured charts; unticked charts and sections are
+//     left out (remembered in localStorage for next month's report)
+//   - the report is laid out as fixed Letter pages: title page (title, filter
+//     summary, generated date), table of contents, then one section per
+//     dashboard with its KPI cards and two charts per page
+//
+// Because every page holds a fixed number of items, page numbers are known up
+// front, so the table of contents and the "Page n of N" footers match the
+// printout. "Print / Save as PDF" uses the browser's print dialog; the print
+// CSS hides everything except the report pages.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const { esc } = ProjectData;
+
+  const SECTIONS = [
+    { key: "descriptive", title: "Descriptive — What happened", href: "descriptive.html" },
+    { key: "diagnostic", title: "Diagnostic — Why it happened", href: "diagnostic.html" },
+    { key: "predictive", title: "Predictive — What to expect", href: "predictive.html" },
+    { key: "prescriptive", title: "Prescriptive — What to do next", href: "prescriptive.html" },
+  ];
+  const FIRST_PAGE_CHARTS = 1; // the KPI cards take the top of a section's first page
+  const CHARTS_PER_PAGE = 2;
+  const READY_TIMEOUT_MS = 20000;
+  const POLL_MS = 200;
+  const EXCLUDED_KEY = "report.excluded";
+
+  // ---------- Elements ----------
+  const el = {
+    reportTitle: $("reportTitle"),
+    refreshBtn: $("refreshReport"),
+    printBtn: $("printReport"),
+    status: $("buildStatus"),
+    picker: $("chartPicker"),
+    report: $("report"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[REPORT] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let captured = []; // [{ key, title, href, kpis: [{ label, value }], charts: [{ id, title, src }], error }]
+  let filterState = {};
+  let generatedAt = null;
+  let run = 0; // bumps on every reload so a stale capture can't overwrite a newer one
+  const excluded = readExcluded();
+
+  ProjectData.load()
+    .then((data) => {
+      // the report's filters are the dashboards' filters: the iframes get
+      // the same query string, so the numbers match what each page shows
+      GlobalFilters.mount(data, (_filtered, state) => {
+        filterState = state;
+        captureAll();
+      });
+    })
+    .catch((err) => {
+      console.error("[REPORT] CSV load error:", err);
+      if (el.status) el.status.textContent = "Could not load the project data.";
+    });
+
+  el.refreshBtn?.addEventListener("click", captureAll);
+  el.printBtn?.addEventListener("click", () => window.print());
+  el.reportTitle?.addEventListener("input", renderReport);
+
+  el.picker?.addEventListener("change", (e) => {
+    const key = e.target.dataset?.include;
+    if (!key) return;
+    if (e.target.checked) excluded.delete(key);
+    else excluded.add(key);
+    writeExcluded();
+    renderPicker();
+    renderReport();
+  });
+
+  // ---------- Capture ----------
+  function captureAll() {
+    const token = ++run;
+    if (el.printBtn) el.printBtn.disabled = true;
+
+    // one dashboard at a time keeps memory and CPU use flat
+    SECTIONS.reduce(
+      (chain, section) =>
+        chain.then((acc) => {
+          if (token !== run) return acc;
+          if (el.status) el.status.textContent = `Loading ${section.href} (${acc.length + 1} of ${SECTIONS.length})...`;
+          return captureDashboard(section).then((result) => [...acc, result]);
+        }),
+      Promise.resolve([])
+    ).then((results) => {
+      if (token !== run) return;
+      captured = results;
+      generatedAt = new Date();
+      const failed = results.filter((r) => r.error);
+      if (el.status) {
+        el.status.textContent = failed.length
+          ? `Loaded with problems: ${failed.map((r) => `${r.href} (${r.error})`).join("; ")}`
+          : `Loaded ${results.length} dashboards at ${generatedAt.toLocaleTimeString()}. Untick anything to leave it out.`;
+      }
+      if (el.printBtn) el.printBtn.disabled = false;
+      renderPicker();
+      renderReport();
+    });
+  }
+
+  function captureDashboard(section) {
+    return new Promise((resolve) => {
+      const frame = document.createElement("iframe");
+      frame.className = "report-frame";
+      frame.setAttribute("aria-hidden", "true");
+      frame.src = GlobalFilters.link(section.href);
+      const started = Date.now();
+
+      const finish = (result) => {
+        frame.remove();
+        resolve({ ...section, ...result });
+      };
+
+      // The dashboards fill their KPIs and draw every chart in the same pass
+      // once the data has loaded, so "no KPI still says Loading..." means ready.
+      const poll = () => {
+        let doc = null;
+        try {
+          doc = frame.contentDocument;
+        } catch (err) {
+          return finish({ kpis: [], charts: [], error: "page not readable (open the report over http)" });
+        }
+        const values = doc ? Array.from(doc.querySelectorAll(".summary-cards .card p")) : [];
+        if (values.length && values.every((p) => !/^loading/i.test(p.textContent.trim()))) {
+          return finish(snapshot(frame.contentWindow, doc));
+        }
+        if (Date.now() - started > READY_TIMEOUT_MS) {
+          return finish({ kpis: [], charts: [], error: "timed out" });
+        }
+        setTimeout(poll, POLL_MS);
+      };
+
+      frame.addEventListener("load", poll);
+      document.body.appendChild(frame);
+    });
+  }
+
+  function snapshot(win, doc) {
+    const kpis = Array.from(doc.querySelectorAll(".summary-cards .card")).map((card) => ({
+      label: card.querySelector("h2")?.textContent.trim() || "",
+      value: card.querySelector("p")?.textContent.trim() || "",
+    }));
+
+    const charts = [];
+    doc.querySelectorAll(".chart-card canvas").forEach((canvas) => {
+      const chart = win.Chart?.getChart(canvas);
+      if (!chart) return;
+      // skip the entry animation so the image is the finished chart
+      chart.options.animation = false;
+      chart.update("none");
+      charts.push({
+        id: canvas.id,
+        title: canvas.previousElementSibling?.textContent.trim() || canvas.id,
+        src: chart.toBase64Image(),
+      });
+    });
+    return { kpis, charts };
+  }
+
+  // ---------- Picker ----------
+  function readExcluded() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(EXCLUDED_KEY) || "[]"));
+    } catch (err) {
+      return new Set();
+    }
+  }
+
+  function writeExcluded() {
+    try {
+      localStorage.setItem(EXCLUDED_KEY, JSON.stringify(Array.from(excluded)));
+    } catch (err) {
+      console.debug("[REPORT] Could not save the chart selection:", err.name);
+    }
+  }
+
+  const chartKey = (section, chart) => `${section.key}:${chart.id}`;
+  const isIncluded = (section) => !excluded.has(section.key) && !section.error;
+  const includedCharts = (section) => section.charts.filter((c) => !excluded.has(chartKey(section, c)));
+
+  function renderPicker() {
+    if (!el.picker) return;
+    el.picker.innerHTML = captured
+      .map((section) => {
+        const on = !excluded.has(section.key);
+        const charts = section.charts
+          .map((c) => `
+            <label>
+              <input type="checkbox" data-include="${esc(chartKey(section, c))}"
+                ${!excluded.has(chartKey(section, c)) ? "checked" : ""}${on ? "" : " disabled"} />
+              ${esc(c.title)}
+            </label>`)
+          .join("");
+        return `
+          <fieldset class="report-picker-section"${section.error ? " disabled" : ""}>
+            <legend>
+              <label><input type="checkbox" data-include="${esc(section.key)}" ${on ? "checked" : ""} /> ${esc(section.title)}</label>
+            </legend>
+            ${section.error ? `<p>Not available: ${esc(section.error)}</p>` : charts}
+          </fieldset>`;
+      })
+      .join("");
+  }
+
+  // ---------- Report layout ----------
+  // Splits the included sections into pages; returns [{ section, kpis, charts, first }]
+  function sectionPages() {
+    const pages = [];
+    captured.filter(isIncluded).forEach((section) => {
+      const charts = includedCharts(section);
+      pages.push({ section, first: true, kpis: section.kpis, charts: charts.slice(0, FIRST_PAGE_CHARTS) });
+      for (let i = FIRST_PAGE_CHARTS; i < charts.length; i += CHARTS_PER_PAGE) {
+        pages.push({ section, first: false, kpis: [], charts: charts.slice(i, i + CHARTS_PER_PAGE) });
+      }
+    });
+    return pages;
+  }
+
+  function renderReport() {
+    if (!el.report) return;
+    if (!captured.length) {
+      el.report.innerHTML = "";
+      return;
+    }
+
+    const title = el.reportTitle?.value.trim() || "Portfolio Report";
+    const body = sectionPages();
+    const FRONT_PAGES = 2; // title + contents
+    const total = FRONT_PAGES + body.length;
+
+    // table of contents: section start page, then each chart's page
+    const toc = [];
+    body.forEach((page, i) => {
+      const n = FRONT_PAGES + i + 1;
+      if (page.first) toc.push({ level: 1, text: page.section.title, page: n });
+      page.charts.forEach((c) => toc.push({ level: 2, text: c.title, page: n }));
+    });
+
+    const pageHtml = (n, content) => `
+      <section class="report-page">
+        <div class="report-page-body">${content}</div>
+        <div class="report-page-footer">
+          <span>${esc(title)}</span>
+          <span>Page ${n} of ${total}</span>
+        </div>
+      </section>`;
+
+    const titlePage = pageHtml(1, `
+      <div class="report-title-page">
+        <h1>${esc(title)}</h1>
+        <p class="report-subtitle">Construction Analytics — Portfolio Dashboards</p>
+        <dl class="report-meta">
+          <dt>Filters</dt><dd>${esc(GlobalFilters.describe(filterState))}</dd>
+          <dt>Generated</dt><dd>${esc(generatedAt.toLocaleString())}</dd>
+          <dt>Sections</dt><dd>${esc(captured.filter(isIncluded).map((s) => s.title.split(" — ")[0]).join(", ") || "None")}</dd>
+        </dl>
+      </div>`);
+
+    const tocPage = pageHtml(2, `
+      <h2 class="report-section-title">Contents</h2>
+      <ol class="report-toc">
+        ${toc
+          .map((t) => `
+            <li class="toc-level-${t.level}">
+              <span>${esc(t.text)}</span><span class="toc-dots"></span><span>${t.page}</span>
+            </li>`)
+          .join("") || "<li>Nothing selected.</li>"}
+      </ol>`);
+
+    const bodyPages = body.map((page, i) => {
+      const kpis = page.kpis.length
+        ? `<div class="report-kpis">${page.kpis
+            .map((k) => `<div class="report-kpi"><h4>${esc(k.label)}</h4><p>${esc(k.value)}</p></div>`)
+            .join("")}</div>`
+        : "";
+      const charts = page.charts
+        .map((c) => `
+          <figure class="report-chart">
+            <figcaption>${esc(c.title)}</figcaption>
+            <img src="${c.src}" alt="${esc(c.title)}" />
+          </figure>`)
+        .join("");
+      const heading = page.first
+        ? `<h2 class="report-section-title">${esc(page.section.title)}</h2>`
+        : `<h3 class="report-section-continued">${esc(page.section.title)} (continued)</h3>`;
+      return pageHtml(FRONT_PAGES + i + 1, heading + kpis + charts);
+    });
+
+    el.report.innerHTML = titlePage + tocPage + bodyPages.join("");
+  }
+});
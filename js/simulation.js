@@ -0,0 +1,167 @@
+// ==================== Overrun Simulation ====================
+// Monte Carlo final-cost simulation for in-progress projects, using
+// distributions fitted from completed projects. Seeded, so a given dataset
+// always produces the same probabilities.
+//
+//   Simulation.fit(projects, changeOrders)      -> model (historical distributions)
+//   Simulation.run(model, activeProjects, opts) -> { projects: [...], portfolio: {...} }
+//
+// Model, per completed project (ratios of planned budget / planned duration):
+//   co    = Σ change-order cost / budget
+//   slip  = (actual_end − planned_end) / planned duration
+//   base  = (actual − budget − CO cost) / budget, i.e. cost variance not
+//           explained by change orders; split into β × slip + residual (OLS)
+// Each draw resamples co, slip and the residual independently (bootstrap with
+// a small Gaussian kernel), so the final cost of an in-progress project is
+//   AC + BAC × (1 − completion) × (1 + residual + β × slip + co)
+// ==================================================================
+
+window.Simulation = (() => {
+  const DEFAULT_RUNS = 5000;
+  const DEFAULT_SEED = 20250101;
+  const QUANTILES = [0.5, 0.8, 0.9];
+
+  // mulberry32: small, fast, seedable PRNG returning [0, 1)
+  function rng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal via Box–Muller
+  function normal(rand) {
+    const u = 1 - rand();
+    const v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+  function sd(xs) {
+    const m = mean(xs);
+    return Math.sqrt(mean(xs.map((x) => (x - m) ** 2)));
+  }
+
+  // Empirical distribution with Silverman's rule-of-thumb bandwidth
+  function empirical(values) {
+    const vals = values.filter((v) => isFinite(v));
+    return { values: vals, bandwidth: 1.06 * sd(vals) * Math.pow(vals.length || 1, -0.2) };
+  }
+
+  function draw(dist, rand) {
+    if (!dist.values.length) return 0;
+    const v = dist.values[Math.floor(rand() * dist.values.length)];
+    return v + dist.bandwidth * normal(rand);
+  }
+
+  function quantile(sorted, p) {
+    if (!sorted.length) return NaN;
+    const i = (sorted.length - 1) * p;
+    const lo = Math.floor(i);
+    const hi = Math.ceil(i);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+  }
+
+  // ---------- Fit ----------
+  function fit(projects, changeOrders) {
+    const coTotals = new Map();
+    changeOrders.forEach((r) => {
+      if (!isFinite(r.co_cost)) return;
+      coTotals.set(r.project_id, (coTotals.get(r.project_id) || 0) + r.co_cost);
+    });
+
+    const rows = projects
+      .filter((p) => p.actual_end && p.start_date && p.planned_end && p.planned_budget > 0 && isFinite(p.actual_cost))
+      .map((p) => {
+        const duration = (p.planned_end - p.start_date) || 1;
+        const co = (coTotals.get(p.project_id) || 0) / p.planned_budget;
+        return {
+          co,
+          slip: (p.actual_end - p.planned_end) / duration,
+          base: (p.actual_cost - p.planned_budget) / p.planned_budget - co,
+        };
+      });
+
+    // base = β × slip + residual
+    const ms = mean(rows.map((r) => r.slip));
+    const mb = mean(rows.map((r) => r.base));
+    let sxy = 0, sxx = 0;
+    rows.forEach((r) => {
+      sxy += (r.slip - ms) * (r.base - mb);
+      sxx += (r.slip - ms) ** 2;
+    });
+    const beta = sxx > 0 ? sxy / sxx : 0;
+
+    return {
+      n: rows.length,
+      beta,
+      co: empirical(rows.map((r) => r.co)),
+      slip: empirical(rows.map((r) => r.slip)),
+      residual: empirical(rows.map((r) => r.base - beta * r.slip)),
+      historicalOverrunRate: rows.length ? rows.filter((r) => r.base + r.co > 0).length / rows.length : NaN,
+    };
+  }
+
+  // ---------- Run ----------
+  // activeProjects: projects without actual_end; returns per-project and
+  // portfolio overrun probability and P50/P80/P90 final cost, plus the
+  // simulated portfolio totals for a distribution chart.
+  function run(model, activeProjects, { runs = DEFAULT_RUNS, seed = DEFAULT_SEED } = {}) {
+    const rand = rng(seed);
+    const list = activeProjects.filter((p) => p.planned_budget > 0 && isFinite(p.actual_cost));
+    const remaining = list.map((p) => p.planned_budget * Math.max(0, 1 - (p.completion_pct || 0) / 100));
+    const finals = list.map(() => new Float64Array(runs));
+    const totals = new Float64Array(runs);
+
+    for (let i = 0; i < runs; i++) {
+      let total = 0;
+      list.forEach((p, j) => {
+        const ratio = draw(model.residual, rand) + model.beta * draw(model.slip, rand) + draw(model.co, rand);
+        const final = p.actual_cost + remaining[j] * (1 + ratio);
+        finals[j][i] = final;
+        total += final;
+      });
+      totals[i] = total;
+    }
+
+    const summarize = (samples, budget) => {
+      const sorted = Array.from(samples).sort((a, b) => a - b);
+      return {
+        budget,
+        overrunProbability: sorted.filter((v) => v > budget).length / (sorted.length || 1),
+        mean: mean(sorted),
+        ...Object.fromEntries(QUANTILES.map((q) => [`p${q * 100}`, quantile(sorted, q)])),
+        samples: sorted,
+      };
+    };
+
+    return {
+      runs,
+      seed,
+      projects: list.map((p, j) => ({
+        id: p.project_id,
+        name: p.project_name,
+        actual: p.actual_cost,
+        completion: p.completion_pct / 100,
+        ...summarize(finals[j], p.planned_budget),
+      })),
+      portfolio: summarize(totals, list.reduce((a, p) => a + p.planned_budget, 0)),
+    };
+  }
+
+  // Equal-width histogram of samples: { edges, counts }
+  function histogram(samples, bins = 20) {
+    const lo = samples[0];
+    const hi = samples[samples.length - 1];
+    const width = (hi - lo) / bins || 1;
+    const counts = Array(bins).fill(0);
+    samples.forEach((v) => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))] += 1; });
+    return { edges: counts.map((_, i) => lo + i * width), width, counts };
+  }
+
+  return { fit, run, histogram, rng, quantile, DEFAULT_RUNS, DEFAULT_SEED };
+})();
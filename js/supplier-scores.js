@@ -0,0 +1,91 @@
+// ==================== Supplier Scores ====================
+// Scores suppliers from materials.csv deliveries. Shared by the supplier
+// scorecard (js/suppliers.js) and the prescriptive recommendations, so both
+// pages rank suppliers the same way.
+//
+//   SupplierScores.scorecard(materials)        -> [{ supplier, score, rank, ... }]
+//   SupplierScores.projectEvidence(materials, card) -> Map(project_id -> evidence)
+//
+// Score (0–100, higher is better):
+//   40 × on-time rate + 30 × (1 − avg delay / 5 days) + 30 × (1 − cost overrun / 25%)
+// ==================================================================
+
+window.SupplierScores = (() => {
+  const DELAY_CAP_DAYS = 5;
+  const OVERRUN_CAP = 0.25;
+
+  // Project-level evidence thresholds for a "Supplier/subcontractor review"
+  const FLAG_COST_VAR = 0.15;
+  const FLAG_AVG_DELAY = 3;
+
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+  // Delivery and cost stats for any set of material rows
+  function deliveryStats(rows) {
+    const delays = rows
+      .map((r) => r.delivery_delay_days)
+      .filter((v) => isFinite(v))
+      .sort((a, b) => a - b);
+    const planned = d3.sum(rows, (r) => (isFinite(r.planned_cost) ? r.planned_cost : 0));
+    const actual = d3.sum(rows, (r) => (isFinite(r.actual_cost) ? r.actual_cost : 0));
+    return {
+      deliveries: rows.length,
+      onTimeRate: delays.length ? delays.filter((d) => d <= 0).length / delays.length : NaN,
+      avgDelay: delays.length ? d3.mean(delays) : NaN,
+      p90Delay: delays.length ? d3.quantileSorted(delays, 0.9) : NaN,
+      planned,
+      actual,
+      overrun: actual - planned,
+      costVar: planned > 0 ? (actual - planned) / planned : NaN,
+    };
+  }
+
+  function score(stats) {
+    const onTime = isFinite(stats.onTimeRate) ? stats.onTimeRate : 0;
+    const delayTerm = 1 - clamp01((stats.avgDelay || 0) / DELAY_CAP_DAYS);
+    const costTerm = 1 - clamp01(Math.max(0, stats.costVar || 0) / OVERRUN_CAP);
+    return 40 * onTime + 30 * delayTerm + 30 * costTerm;
+  }
+
+  // One row per supplier, ranked best (1) to worst
+  function scorecard(materials) {
+    const out = Array.from(d3.group(materials, (r) => r.supplier || "Unspecified"), ([supplier, rows]) => {
+      const stats = deliveryStats(rows);
+      return { supplier, ...stats, score: score(stats) };
+    }).sort((a, b) => b.score - a.score || a.supplier.localeCompare(b.supplier));
+    out.forEach((s, i) => (s.rank = i + 1));
+    return out;
+  }
+
+  // Per-project supplier evidence: how this project's deliveries went and
+  // which supplier hurt it most. `flagged` drives the prescriptive rule.
+  function projectEvidence(materials, card = scorecard(materials)) {
+    const rankOf = new Map(card.map((s) => [s.supplier, s.rank]));
+    const out = new Map();
+    d3.group(materials, (r) => r.project_id).forEach((rows, projectId) => {
+      const stats = deliveryStats(rows);
+      const bySupplier = Array.from(d3.group(rows, (r) => r.supplier || "Unspecified"), ([supplier, v]) => ({
+        supplier,
+        rank: rankOf.get(supplier),
+        ...deliveryStats(v),
+      }));
+      // worst = largest overrun $, ties broken by delay
+      const delayKey = (x) => (Number.isFinite(x.avgDelay) ? x.avgDelay : -Infinity);
+      const worst = bySupplier.sort((a, b) => b.overrun - a.overrun || d3.descending(delayKey(a), delayKey(b)))[0];
+      const flagged = stats.costVar >= FLAG_COST_VAR || stats.avgDelay >= FLAG_AVG_DELAY;
+      out.set(projectId, { ...stats, worst, flagged });
+    });
+    return out;
+  }
+
+  // Short human-readable evidence line, e.g. for a recommendation row
+  function describe(ev) {
+    if (!ev || !ev.worst) return "";
+    const w = ev.worst;
+    const pct = isFinite(w.costVar) ? `${w.costVar >= 0 ? "+" : ""}${(w.costVar * 100).toFixed(0)}% cost` : "cost n/a";
+    const delay = Number.isFinite(w.avgDelay) ? `${w.avgDelay.toFixed(1)}d avg delay` : "delay n/a";
+    return `${w.supplier} (rank #${w.rank}): ${pct}, ${delay}`;
+  }
+
+  return { scorecard, projectEvidence, deliveryStats, describe, FLAG_COST_VAR, FLAG_AVG_DELAY };
+})();
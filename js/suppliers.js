@@ -0,0 +1,282 @@
+// ==================== Supplier Scorecard JS ====================
+// Works with dashboards/suppliers.html; materials come from js/data.js and
+// scores from js/supplier-scores.js (shared with the prescriptive page)
+//
+// KPIs: On-Time Delivery Rate, Avg / P90 Delay, Material Cost Variance
+// Charts:
+//   - On-Time Delivery Rate by Supplier
+//   - Delivery Delay by Supplier (avg vs P90)
+//   - Cost Variance by Supplier × Item
+//   - Delivery Delay Distribution (days)
+//   - Unit Cost Trend (actual_cost / qty) for the selected item, one line
+//     per supplier — by YEAR (or MONTH when a year is selected)
+// Table: suppliers ranked by score
+//
+// The year filter slices deliveries by delivery_date.
+// ==================================================================
+
+window.addEventListener("DOMContentLoaded", () => {
+  // ---------- DOM helpers ----------
+  const $ = (id) => document.getElementById(id);
+  const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  const { esc } = ProjectData;
+  const pctStr = (x) => (isFinite(x) ? `${(x * 100).toFixed(1)}%` : "N/A");
+  const dayStr = (d) => (isFinite(d) ? `${d.toFixed(1)} days` : "N/A");
+  const money2 = (n) => (isFinite(n) ? `$${n.toFixed(2)}` : "N/A");
+
+  function abbrNumber(n) {
+    if (!isFinite(n)) return "0";
+    const abs = Math.abs(n);
+    if (abs >= 1e12) return (n / 1e12).toFixed(1) + "T";
+    if (abs >= 1e9)  return (n / 1e9 ).toFixed(1) + "B";
+    if (abs >= 1e6)  return (n / 1e6 ).toFixed(1) + "M";
+    if (abs >= 1e3)  return (n / 1e3 ).toFixed(1) + "K";
+    return String(Math.round(n));
+  }
+  const moneyAbbr = (n) => (n < 0 ? `-$${abbrNumber(-n)}` : `$${abbrNumber(n)}`);
+
+  // ---------- Elements ----------
+  const el = {
+    yearFilter: $("yearFilter"),
+    itemSelect: $("itemSelect"),
+
+    kOnTime: $("kpiOnTimeRate"),
+    kDelay: $("kpiDelay"),
+    kCostVar: $("kpiMaterialCostVariance"),
+
+    cOnTime: $("onTimeBySupplier"),
+    cDelay: $("delayBySupplier"),
+    cCostVar: $("costVarBySupplierItem"),
+    cDelayDist: $("delayDistribution"),
+    cUnitCost: $("unitCostTrend"),
+    scoreTable: $("scoreTable"),
+  };
+
+  Object.entries(el).forEach(([k, v]) => {
+    if (!v) console.debug(`[SUPPLIERS] Optional/missing element: ${k}`);
+  });
+
+  // ---------- State ----------
+  let allMaterials = [];
+  const charts = { onTime: null, delay: null, costVar: null, delayDist: null, unitCost: null };
+
+  ProjectData.load()
+    .then((data) => {
+      populateYearFilter(data.materials);
+      populateItemSelect(data.materials);
+
+      // global filter bar (js/filters.js) narrows the data; the year
+      // filter slices what is left
+      GlobalFilters.mount(data, (filtered) => {
+        allMaterials = filtered.materials;
+        updateView();
+      });
+
+      el.yearFilter.addEventListener("change", updateView);
+      el.itemSelect?.addEventListener("change", updateView);
+    })
+    .catch((err) => console.error("[SUPPLIERS] CSV load error:", err));
+
+  // ---------- UI builders ----------
+  function populateYearFilter(rows) {
+    const years = Array.from(
+      new Set(rows.filter((r) => r.delivery_date).map((r) => r.delivery_date.getFullYear()))
+    ).sort((a, b) => a - b);
+    years.forEach((y) => {
+      const opt = document.createElement("option");
+      opt.value = y;
+      opt.textContent = y;
+      el.yearFilter.appendChild(opt);
+    });
+  }
+
+  function populateItemSelect(rows) {
+    if (!el.itemSelect) return;
+    Array.from(new Set(rows.map((r) => r.item).filter(Boolean))).sort().forEach((item) => {
+      const opt = document.createElement("option");
+      opt.value = item;
+      opt.textContent = item;
+      el.itemSelect.appendChild(opt);
+    });
+  }
+
+  function updateView() {
+    const sel = el.yearFilter.value; // "all" or "YYYY"
+    const slice =
+      sel === "all"
+        ? allMaterials
+        : allMaterials.filter((r) => r.delivery_date && r.delivery_date.getFullYear().toString() === sel);
+
+    DataExport.setRows({ materials: slice });
+    const card = SupplierScores.scorecard(slice);
+    updateKPIs(slice);
+    renderCharts(slice, card, sel);
+    renderScoreTable(card);
+  }
+
+  // ---------- KPIs ----------
+  function updateKPIs(rows) {
+    const s = SupplierScores.deliveryStats(rows);
+    if (el.kOnTime) el.kOnTime.textContent = pctStr(s.onTimeRate);
+    if (el.kDelay) el.kDelay.textContent = `${dayStr(s.avgDelay)} avg · ${dayStr(s.p90Delay)} P90`;
+    if (el.kCostVar) el.kCostVar.textContent = `${pctStr(s.costVar)} (${moneyAbbr(s.overrun)})`;
+  }
+
+  // ---------- Rendering ----------
+  function renderCharts(rows, card, selected) {
+    const isAll = selected === "all";
+    const yearInt = isAll ? null : parseInt(selected, 10);
+    const suppliers = card.map((s) => s.supplier);
+
+    charts.onTime = drawOrUpdateChart(charts.onTime, el.cOnTime, {
+      type: "bar",
+      data: {
+        labels: suppliers,
+        datasets: [{ label: "On-Time Rate", data: card.map((s) => s.onTimeRate) }],
+      },
+      options: axisOptions({ fmt: pctStr }),
+    });
+
+    charts.delay = drawOrUpdateChart(charts.delay, el.cDelay, {
+      type: "bar",
+      data: {
+        labels: suppliers,
+        datasets: [
+          { label: "Avg Delay", data: card.map((s) => s.avgDelay) },
+          { label: "P90 Delay", data: card.map((s) => s.p90Delay) },
+        ],
+      },
+      options: axisOptions({ fmt: dayStr }),
+    });
+
+    // supplier × item cost variance (grouped bars, one dataset per item)
+    const items = Array.from(new Set(rows.map((r) => r.item).filter(Boolean))).sort();
+    const bySupplierItem = d3.rollup(rows, SupplierScores.deliveryStats, (r) => r.supplier, (r) => r.item);
+    charts.costVar = drawOrUpdateChart(charts.costVar, el.cCostVar, {
+      type: "bar",
+      data: {
+        labels: suppliers,
+        datasets: items.map((item) => ({
+          label: item,
+          data: suppliers.map((s) => bySupplierItem.get(s)?.get(item)?.costVar ?? null),
+        })),
+      },
+      options: axisOptions({ fmt: pctStr }),
+    });
+
+    // delay histogram (0..max days), whole-day bins; uploads may hold
+    // fractional or negative delays, and early deliveries are left out
+    const delays = rows.map((r) => r.delivery_delay_days).filter((v) => isFinite(v) && v >= 0).map(Math.floor);
+    const hist = Array((d3.max(delays) ?? 0) + 1).fill(0);
+    delays.forEach((d) => (hist[d] += 1));
+    charts.delayDist = drawOrUpdateChart(charts.delayDist, el.cDelayDist, {
+      type: "bar",
+      data: {
+        labels: hist.map((_, i) => (i === 0 ? "On time" : `${i}d`)),
+        datasets: [{ label: "Deliveries", data: hist, categoryPercentage: 0.9, barPercentage: 0.9 }],
+      },
+      options: axisOptions({ fmt: abbrNumber }),
+    });
+
+    renderUnitCostTrend(rows, suppliers, isAll, yearInt);
+  }
+
+  function renderUnitCostTrend(rows, suppliers, isAll, yearInt) {
+    if (!el.cUnitCost) return;
+    const item = el.itemSelect?.value || rows[0]?.item;
+    const t = el.cUnitCost.previousElementSibling;
+    if (t) t.textContent = isAll ? `Unit Cost Trend — ${item} by Year` : `Unit Cost Trend — ${item} by Month (${yearInt})`;
+
+    // weighted unit cost per bucket = Σ actual_cost / Σ qty
+    const itemRows = rows.filter((r) => r.item === item && r.delivery_date && r.qty > 0 && isFinite(r.actual_cost));
+    const bucket = (r) => (isAll ? r.delivery_date.getFullYear() : r.delivery_date.getMonth());
+    const unit = d3.rollup(
+      itemRows,
+      (v) => d3.sum(v, (r) => r.actual_cost) / d3.sum(v, (r) => r.qty),
+      (r) => r.supplier,
+      bucket
+    );
+
+    const keys = isAll
+      ? Array.from(new Set(itemRows.map(bucket))).sort((a, b) => a - b)
+      : MONTH_LABELS.map((_, i) => i);
+    const labels = isAll ? keys : MONTH_LABELS.slice();
+
+    charts.unitCost = drawOrUpdateChart(charts.unitCost, el.cUnitCost, {
+      type: "line",
+      data: {
+        labels,
+        datasets: suppliers.map((s) => ({
+          label: s,
+          data: keys.map((k) => unit.get(s)?.get(k) ?? null),
+          tension: 0.25,
+          pointRadius: 2,
+          spanGaps: true,
+        })),
+      },
+      options: axisOptions({ fmt: money2, rotateX: labels.length > 12, beginAtZero: false }),
+    });
+  }
+
+  // ---------- Table: ranked scorecard ----------
+  function renderScoreTable(card) {
+    if (!el.scoreTable) return;
+    const body = card.map((s) => `<tr>
+        <td class="num">${s.rank}</td>
+        <td>${esc(s.supplier)}</td>
+        <td class="num">${s.score.toFixed(1)}</td>
+        <td class="num">${s.deliveries.toLocaleString()}</td>
+        <td class="num">${pctStr(s.onTimeRate)}</td>
+        <td class="num">${dayStr(s.avgDelay)}</td>
+        <td class="num">${dayStr(s.p90Delay)}</td>
+        <td class="num">${pctStr(s.costVar)}</td>
+        <td class="num">${moneyAbbr(s.overrun)}</td>
+      </tr>`).join("");
+
+    el.scoreTable.innerHTML = `
+      <div class="table-wrap">
+        <table class="simple-table">
+          <thead><tr>
+            <th>Rank</th><th>Supplier</th><th>Score</th><th>Deliveries</th><th>On-Time</th>
+            <th>Avg Delay</th><th>P90 Delay</th><th>Cost Var</th><th>Overrun</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>`;
+  }
+
+  // ---------- Chart helpers ----------
+  function axisOptions({ fmt, rotateX = false, beginAtZero = true }) {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: "top" },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${fmt(ctx.parsed.y)}`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { maxRotation: rotateX ? 45 : 0, minRotation: rotateX ? 45 : 0 },
+        },
+        y: { beginAtZero, ticks: { callback: fmt } },
+      },
+    };
+  }
+
+  function drawOrUpdateChart(existing, canvasEl, config) {
+    if (!canvasEl) return existing;
+    if (existing) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update();
+      return existing;
+    }
+    const ctx = canvasEl.getContext("2d");
+    return new Chart(ctx, config);
+  }
+});
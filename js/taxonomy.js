@@ -0,0 +1,165 @@
+// ==================== Change-Order Reason Taxonomy ====================
+// One reason taxonomy shared by every dashboard. js/data.js runs each raw
+// co_reason value through classify() while loading, so charts, filters and
+// tables all see the same canonical categories and groups.
+//
+//   ReasonTaxonomy.classify(" scope chg ")
+//     -> { category: "Scope Change", group: "owner", raw: "scope chg", match: "pattern" }
+//   ReasonTaxonomy.groupOf("Design Revision") -> "design"
+//   ReasonTaxonomy.groupLabel("design")       -> "Design-driven"
+//   ReasonTaxonomy.categories() / groups()    -> in configured order
+//
+// Config: { groups: [{ id, label }], categories: [{ label, group, aliases,
+// patterns }] }. A raw value maps to the first category whose label or alias
+// matches it exactly (case/space-insensitive, "2.0" == "2"), else to the
+// first category whose regex pattern (case-insensitive) matches it. Blank
+// values become "Unspecified"; anything else becomes "Other". Both sit in the
+// "unclassified" group, and dashboards/reasons.html lists the raw values
+// that ended up there.
+//
+// Edits made on dashboards/reasons.html are kept in localStorage; save()
+// and reset() apply on the next ProjectData.load() (i.e. the next page load).
+// Until then classify(), groupOf(), groups() and categories() keep answering
+// from the taxonomy the page loaded with, so they agree with the rows
+// already on the page; config() returns the saved one, for the editor.
+// ==================================================================
+
+window.ReasonTaxonomy = (() => {
+  const STORAGE_KEY = "ccd:taxonomy:v1";
+  const UNSPECIFIED = "Unspecified";
+  const OTHER = "Other";
+  const UNCLASSIFIED = { id: "unclassified", label: "Unclassified" };
+
+  // codes 0..3 are the ones the field app exports:
+  // 0 = scope change, 1 = client request, 2 = unforeseen conditions, 3 = design revision
+  const DEFAULT_CONFIG = {
+    groups: [
+      { id: "owner", label: "Owner-driven" },
+      { id: "design", label: "Design-driven" },
+      { id: "site", label: "Site-driven" },
+    ],
+    categories: [
+      { label: "Scope Change", group: "owner", aliases: ["0", "scope", "added scope"], patterns: ["\\bscope\\b"] },
+      { label: "Client Request", group: "owner", aliases: ["1", "owner request", "owner change"], patterns: ["\\b(client|owner)\\b"] },
+      { label: "Unforeseen Conditions", group: "site", aliases: ["2", "differing site conditions", "DSC"], patterns: ["unforeseen", "site condition", "concealed"] },
+      { label: "Design Revision", group: "design", aliases: ["3", "design change", "design error"], patterns: ["\\bdesign\\b", "\\bdrawings?\\b", "\\bRFI\\b"] },
+    ],
+  };
+
+  const normKey = (v) => (v ?? "").toString().trim().replace(/\.0+$/, "").replace(/\s+/g, " ").toLowerCase();
+  const clone = (cfg) => JSON.parse(JSON.stringify(cfg));
+
+  // ---------- Config ----------
+  function readStored() {
+    try {
+      const cfg = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+      return cfg && !validate(cfg).length ? cfg : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Returns a list of problems (empty = usable)
+  function validate(cfg) {
+    const problems = [];
+    if (!cfg || !Array.isArray(cfg.groups) || !Array.isArray(cfg.categories)) return ["Not a taxonomy config."];
+    const groupIds = new Set();
+    cfg.groups.forEach((g, i) => {
+      if (!g.id || !g.label) problems.push(`Group ${i + 1} needs an id and a label.`);
+      else if (groupIds.has(g.id) || g.id === UNCLASSIFIED.id) problems.push(`Group id "${g.id}" is used twice.`);
+      groupIds.add(g.id);
+    });
+    const seen = new Map(); // normalized label/alias -> category label
+    cfg.categories.forEach((c, i) => {
+      if (!c.label) {
+        problems.push(`Category ${i + 1} needs a name.`);
+        return;
+      }
+      if ([UNSPECIFIED, OTHER].includes(c.label)) problems.push(`"${c.label}" is reserved.`);
+      if (!groupIds.has(c.group)) problems.push(`${c.label}: pick a group.`);
+      [c.label, ...(c.aliases || [])].forEach((a) => {
+        const k = normKey(a);
+        if (!k) return;
+        if (seen.has(k) && seen.get(k) !== c.label) problems.push(`"${a}" is listed under both ${seen.get(k)} and ${c.label}.`);
+        seen.set(k, c.label);
+      });
+      (c.patterns || []).forEach((p) => {
+        try {
+          new RegExp(p, "i");
+        } catch (err) {
+          problems.push(`${c.label}: pattern /${p}/ is not a valid regular expression.`);
+        }
+      });
+    });
+    return problems;
+  }
+
+  function compile(cfg) {
+    const exact = new Map();
+    const patterns = [];
+    cfg.categories.forEach((c) => {
+      [c.label, ...(c.aliases || [])].forEach((a) => {
+        const k = normKey(a);
+        if (k && !exact.has(k)) exact.set(k, c);
+      });
+      (c.patterns || []).forEach((p) => patterns.push({ re: new RegExp(p, "i"), category: c }));
+    });
+    return { cfg, exact, patterns, groupOf: new Map(cfg.categories.map((c) => [c.label, c.group])) };
+  }
+
+  // the taxonomy this page's rows were classified with
+  const active = compile(readStored() || DEFAULT_CONFIG);
+
+  const config = () => clone(readStored() || DEFAULT_CONFIG);
+  const isCustom = () => readStored() != null;
+
+  // Throws when the config has problems or the browser refuses to store it
+  function save(cfg) {
+    const problems = validate(cfg);
+    if (problems.length) throw new Error(problems.join(" "));
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cfg));
+  }
+
+  function reset() {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch (err) { /* storage unavailable */ }
+  }
+
+  // ---------- Classification ----------
+  // `using` lets the editor preview a config before it is saved
+  function classify(v, using = active) {
+    const raw = (v ?? "").toString().trim();
+    if (!raw) return { category: UNSPECIFIED, group: UNCLASSIFIED.id, raw, match: "blank" };
+    const hit = using.exact.get(normKey(raw));
+    if (hit) return { category: hit.label, group: hit.group, raw, match: "alias" };
+    const rule = using.patterns.find((p) => p.re.test(raw));
+    if (rule) return { category: rule.category.label, group: rule.category.group, raw, match: "pattern" };
+    return { category: OTHER, group: UNCLASSIFIED.id, raw, match: null };
+  }
+
+  const groupOf = (category) => active.groupOf.get(category) || UNCLASSIFIED.id;
+  const groups = () => [...active.cfg.groups, UNCLASSIFIED];
+  const groupLabel = (id) => groups().find((g) => g.id === id)?.label || id;
+  // canonical labels in config order, then the two catch-alls
+  const categories = () => [...active.cfg.categories.map((c) => c.label), OTHER, UNSPECIFIED];
+
+  return {
+    STORAGE_KEY,
+    DEFAULT_CONFIG,
+    UNSPECIFIED,
+    OTHER,
+    UNCLASSIFIED,
+    classify,
+    compile,
+    validate,
+    config,
+    isCustom,
+    save,
+    reset,
+    groupOf,
+    groups,
+    groupLabel,
+    categories,
+  };
+})();
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// ==================== Headless KPIs ====================
+// Computes the descriptive, diagnostic, predictive and prescriptive KPIs
+// and series from a folder of CSVs, without a browser, and prints them as
+// JSON (or a Markdown summary). It runs the same js/*.js files the
+// dashboards load, so the numbers match the pages for the same data,
+// filters and date.
+//
+//   node tools/kpis.js                                  # data/ -> JSON on stdout
+//   node tools/kpis.js --data exports/ --out kpis.json
+//   node tools/kpis.js --filters "band=large&status=active" --year 2015
+//   node tools/kpis.js --as-of 2025-06-30 --model auto --horizon 2 --markdown
+//
+// Options:
+//   --data <dir>       folder with projects.csv, phases.csv, ... (default data/)
+//   --filters <query>  global filter bar state, as in the dashboard URLs
+//   --year <YYYY|all>  year filter of the descriptive / diagnostic pages
+//   --as-of <date>     "today" for in-progress spend, EVM, the pipeline and labor demand
+//   --horizon <years>  forecast horizon (default 3)
+//   --model <key>      linear | holt | movingAverage | auto (default linear)
+//   --holdout <years>  backtest years (default 5)
+//   --capacity <h>     crew hours per trade per month for labor leveling (default 600)
+//   --markdown         print a Markdown summary instead of JSON
+//   --out <file>       write to a file instead of stdout
+//   --d3 <file>        d3 v7 UMD build, if `npm install --no-save d3` is not an option
+//
+// Dates print as YYYY-MM-DD; NaN (no data) prints as null. Reason
+// categories use the default taxonomy: edits saved on dashboards/reasons.html
+// live in the browser and are not seen here.
+// ==================================================================
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+// loaded in this order, as the dashboards do
+const SCRIPTS = [
+  "taxonomy.js", "data.js", "filters.js", "evm.js", "forecast.js", "simulation.js", "supplier-scores.js",
+  "labor-leveling.js", "descriptive-kpis.js", "diagnostic-kpis.js", "predictive-kpis.js", "prescriptive-kpis.js",
+];
+
+const USAGE = `Usage: node tools/kpis.js [--data dir] [--filters query] [--year YYYY|all] [--as-of YYYY-MM-DD]
+       [--horizon years] [--model linear|holt|movingAverage|auto] [--holdout years]
+       [--capacity hours] [--markdown] [--out file] [--d3 file]`;
+
+// ---------- Arguments ----------
+function parseArgs(argv) {
+  const opts = { data: path.join(ROOT, "data"), filters: "", year: "all", asOf: null, horizon: 3, model: "linear", holdout: 5, capacity: null, markdown: false, out: null, d3: null };
+  const valueOf = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith("--")) throw new Error(`${name} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    switch (a) {
+      case "--data": opts.data = path.resolve(valueOf(++i, a)); break;
+      case "--filters": opts.filters = valueOf(++i, a).replace(/^\?/, ""); break;
+      case "--year": opts.year = valueOf(++i, a); break;
+      case "--as-of": opts.asOf = valueOf(++i, a); break;
+      case "--horizon": opts.horizon = parseInt(valueOf(++i, a), 10); break;
+      case "--model": opts.model = valueOf(++i, a); break;
+      case "--holdout": opts.holdout = parseInt(valueOf(++i, a), 10); break;
+      case "--capacity": opts.capacity = Number(valueOf(++i, a)); break;
+      case "--markdown": opts.markdown = true; break;
+      case "--out": opts.out = path.resolve(valueOf(++i, a)); break;
+      case "--d3": opts.d3 = path.resolve(valueOf(++i, a)); break;
+      case "-h":
+      case "--help": opts.help = true; break;
+      default: throw new Error(`Unknown option ${a}`);
+    }
+  }
+  if (opts.year !== "all" && !/^\d{4}$/.test(opts.year)) throw new Error("--year must be a year (e.g. 2015) or all");
+  if (opts.asOf != null && !/^\d{4}-\d{2}-\d{2}$/.test(opts.asOf)) throw new Error("--as-of must be YYYY-MM-DD");
+  if (!(opts.horizon >= 1)) throw new Error("--horizon must be a whole number of years");
+  if (!(opts.holdout >= 1)) throw new Error("--holdout must be a whole number of years");
+  if (opts.capacity != null && !(opts.capacity > 0)) throw new Error("--capacity must be a number of hours above 0");
+  return opts;
+}
+
+// ---------- Browser-free context ----------
+function findD3(explicit) {
+  if (explicit) return explicit;
+  try {
+    // the package's main entry is src/index.js; the UMD build sits next to it
+    return path.join(path.dirname(require.resolve("d3")), "..", "dist", "d3.min.js");
+  } catch (err) {
+    throw new Error("d3 v7 not found. Run `npm install --no-save d3` or pass --d3 path/to/d3.min.js");
+  }
+}
+
+function createContext(d3File) {
+  const ctx = vm.createContext({ console, URL, URLSearchParams });
+  ctx.window = ctx;
+  const run = (file) => vm.runInContext(fs.readFileSync(file, "utf8"), ctx, { filename: file });
+  run(d3File);
+  SCRIPTS.forEach((f) => run(path.join(ROOT, "js", f)));
+  return ctx;
+}
+
+function readTables(ctx, dir) {
+  if (!fs.existsSync(dir)) throw new Error(`No data folder at ${dir}`);
+  const texts = {};
+  const missing = [];
+  Object.entries(ctx.ProjectData.SCHEMA).forEach(([table, { file }]) => {
+    const f = path.join(dir, file);
+    if (fs.existsSync(f)) texts[table] = fs.readFileSync(f, "utf8");
+    else missing.push(file);
+  });
+  if (!texts.projects) throw new Error(`${path.join(dir, "projects.csv")} is required`);
+  if (missing.length) console.error(`[KPIS] Not found, treated as empty: ${missing.join(", ")}`);
+  return texts;
+}
+
+// ---------- Compute ----------
+function compute(opts) {
+  const ctx = createContext(findD3(opts.d3));
+  const { ProjectData, GlobalFilters } = ctx;
+  if (opts.model !== "auto" && !ctx.Forecast.MODELS[opts.model]) {
+    throw new Error(`--model must be auto or one of ${Object.keys(ctx.Forecast.MODELS).join(", ")}`);
+  }
+
+  // a Date of the script context, like the ones the loader builds
+  const CtxDate = vm.runInContext("Date", ctx);
+  const asOf = opts.asOf
+    ? new CtxDate(+opts.asOf.slice(0, 4), +opts.asOf.slice(5, 7) - 1, +opts.asOf.slice(8, 10))
+    : new CtxDate();
+  const state = GlobalFilters.read(opts.filters ? `?${opts.filters}` : "");
+  const data = GlobalFilters.apply(ProjectData.fromText(readTables(ctx, opts.data)), state);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    asOf,
+    data: opts.data,
+    filters: state,
+    filtersLabel: GlobalFilters.describe(state),
+    descriptive: ctx.DescriptiveKPIs.summary(data, { year: opts.year, asOf }),
+    diagnostic: ctx.DiagnosticKPIs.summary(data, { year: opts.year }),
+    predictive: ctx.PredictiveKPIs.summary(data, { horizon: opts.horizon, model: opts.model, holdout: opts.holdout, asOf }),
+    prescriptive: ctx.PrescriptiveKPIs.summary(data, { capacity: opts.capacity ?? ctx.LaborLeveling.DEFAULT_CAPACITY, asOf }),
+  };
+}
+
+// ---------- Output ----------
+// Dates come from the script context, so instanceof Date does not see them
+const isDate = (v) => Object.prototype.toString.call(v) === "[object Date]";
+const pad = (n) => String(n).padStart(2, "0");
+const ymd = (d) => (isNaN(d) ? null : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`);
+
+function toJSON(result) {
+  return JSON.stringify(result, function (key, value) {
+    const raw = this[key];
+    if (isDate(raw)) return ymd(raw);
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    return value;
+  }, 2);
+}
+
+const money = (n) => (isFinite(n) ? `$${Math.round(n).toLocaleString("en-US")}` : "N/A");
+const pct = (x, digits = 1) => (isFinite(x) ? `${(x * 100).toFixed(digits)}%` : "N/A");
+const days = (d) => (isFinite(d) ? `${Math.round(d)} days` : "N/A");
+const ratio = (x) => (isFinite(x) ? x.toFixed(2) : "N/A");
+const hours = (h) => (isFinite(h) ? `${Math.round(h).toLocaleString("en-US")} h` : "N/A");
+const sum = (xs) => xs.reduce((a, v) => a + (v || 0), 0);
+
+function table(headers, rows) {
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+  return [line(headers), line(headers.map(() => "---")), ...rows.map(line)].join("\n");
+}
+
+function toMarkdown(r) {
+  const { descriptive: d, diagnostic: g, predictive: p, prescriptive: s } = r;
+  const yearNote = d.year === "all" ? "all years" : d.year;
+  const out = [
+    "# Construction Cost Dashboard — KPIs",
+    "",
+    `As of ${ymd(r.asOf)} · data: ${r.data} · filters: ${r.filtersLabel || "none"}`,
+    "",
+    `## Descriptive (${yearNote})`,
+    "",
+    table(["KPI", "Value"], [
+      ["Total projects", d.kpis.totalProjects],
+      ["Avg actual cost", money(d.kpis.avgCost)],
+      ["Avg duration", days(d.kpis.avgDurationDays)],
+      ["Total planned budget", money(d.series.totals.planned)],
+      ["Total actual cost", money(d.series.totals.actual)],
+      ["Cash flow widest gap", d.series.cashFlow.gap ? `${money(d.series.cashFlow.gap.value)} in ${d.series.cashFlow.gap.month}` : "N/A"],
+    ]),
+    "",
+    `## Diagnostic (${yearNote})`,
+    "",
+    table(["KPI", "Value"], [
+      ["Overrun rate", pct(g.kpis.overrunRate)],
+      ["Avg cost variance", pct(g.kpis.avgCostVariance)],
+      ["Avg schedule variance", days(g.kpis.avgScheduleVarianceDays)],
+      ["Weather delay vs phase slip (r)", ratio(g.series.weatherVsSlip.r)],
+    ]),
+    "",
+    "Top change-order reasons:",
+    "",
+    table(["Reason", "COs"], g.series.topReasons.labels.map((l, i) => [l, sum(g.series.topReasons.groups.map((grp) => grp.values[i]))])),
+    "",
+    "## Predictive",
+    "",
+    table(["KPI", "Value"], [
+      ["Next-year avg cost", `${money(p.kpis.nextYearAvgCost)}${p.series.avgCost ? ` (${p.series.avgCost.model})` : ""}`],
+      ["Portfolio overrun probability", `${pct(p.kpis.overrunProbability, 0)} (${p.kpis.inProgressProjects} in-progress projects)`],
+      ["At-risk projects (score ≥ 70)", isFinite(p.kpis.atRiskCount) ? p.kpis.atRiskCount : "N/A"],
+      ["Simulated final cost P50 / P80 / P90", [p.series.simulation.portfolio.p50, p.series.simulation.portfolio.p80, p.series.simulation.portfolio.p90].map(money).join(" / ")],
+      ["Portfolio CPI · SPI", `${ratio(p.series.evm.portfolio.cpi)} · ${ratio(p.series.evm.portfolio.spi)}`],
+      ["Portfolio EAC (ETC)", `${money(p.series.evm.portfolio.eac)} (${money(p.series.evm.portfolio.etc)})`],
+    ]),
+    "",
+    "## Prescriptive",
+    "",
+    table(["KPI", "Value"], [
+      ["Recommendations", s.kpis.recommendations],
+      ["High-risk projects (≥ 80)", s.kpis.highRisk],
+      ["Est. savings", money(s.kpis.savings)],
+    ]),
+    "",
+    "Top 10 recommendations:",
+    "",
+    table(["Project", "Action", "Risk", "Est. savings", "Why"],
+      s.series.recommendations.slice(0, 10).map((rec) => [rec.name, rec.category, rec.risk, money(rec.savings), rec.rule])),
+    "",
+    `Labor peaks over ${hours(s.series.laborLoading.capacity)}/month per trade: ${s.series.laborLoading.peaksBefore.length} months, ` +
+      `${hours(s.series.laborLoading.excessBefore)} over (${hours(s.series.laborLoading.excessAfter)} after the suggested shifts)`,
+    "",
+    s.series.laborLoading.shifts.length
+      ? table(["Project", "Phase", "Trades", "Shift", "Hours cut"],
+        s.series.laborLoading.shifts.map((sh) => [sh.name, sh.phase, sh.trades.join(", "), `+${sh.days} days${sh.carried ? ` (+${sh.carried} carried)` : ""}: ${ymd(sh.from)} → ${ymd(sh.to)}`, hours(sh.cut)]))
+      : "No phase shifts suggested.",
+    "",
+  ];
+  return out.join("\n");
+}
+
+// ---------- Main ----------
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const result = compute(opts);
+    const text = opts.markdown ? toMarkdown(result) : toJSON(result);
+    if (opts.out) fs.writeFileSync(opts.out, text + "\n");
+    else process.stdout.write(text + "\n");
+  } catch (err) {
+    console.error(`[KPIS] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();